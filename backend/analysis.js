@@ -0,0 +1,173 @@
+const { generateConnectionBasedIPAssignments } = require('./topology');
+const { computeRoutingTables } = require('./routing');
+const { findDefaultRoute } = require('./cloudinit');
+
+// Reachability between two devices, following what the guests are configured
+// with: VMs send off-segment traffic to their default gateway, routers use the
+// tables from computeRoutingTables.
+
+function interfaceOf(assignment) {
+  return { interfaceName: assignment.interfaceName, ip: assignment.ip, segment: assignment.network, subnet: assignment.subnet };
+}
+
+// Connections crossed between two devices of a segment; more than one when
+// the segment is switched.
+function segmentLinks(segment, fromId, toId) {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0 && !previous.has(toId)) {
+    const current = queue.shift();
+    segment.connections.forEach(connItem => {
+      const next = connItem.from === current ? connItem.to : connItem.to === current ? connItem.from : null;
+      if (next && !previous.has(next)) {
+        previous.set(next, { deviceId: current, connItem });
+        queue.push(next);
+      }
+    });
+  }
+
+  const links = [];
+  for (let step = previous.get(toId); step; step = previous.get(step.deviceId)) {
+    links.unshift({ from: step.connItem.from, to: step.connItem.to });
+  }
+  return links;
+}
+
+// Devices linked by any chain of connections, regardless of addressing
+function connectedComponent(deviceId, connections) {
+  const seen = new Set([deviceId]);
+  const queue = [deviceId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    connections.forEach(connItem => {
+      const next = connItem.from === current ? connItem.to : connItem.to === current ? connItem.from : null;
+      if (next && !seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  return seen;
+}
+
+function tracePath(source, target, { devices, ipAssignments, networkSegments, routingTables }) {
+  const targetAssignments = ipAssignments.get(target.id);
+  const targetSegments = new Set(targetAssignments.map(a => a.network));
+  const subnets = targetAssignments.map(a => a.subnet).join(', ');
+  const hops = [];
+  const links = [];
+  const visited = new Set();
+  let current = source;
+  let ingress = null;
+
+  for (;;) {
+    visited.add(current.id);
+    const assignments = ipAssignments.get(current.id);
+    const shared = assignments.find(a => targetSegments.has(a.network));
+
+    if (shared) {
+      const arrival = targetAssignments.find(a => a.network === shared.network);
+      hops.push({ deviceId: current.id, type: current.type, in: ingress, out: interfaceOf(shared) });
+      hops.push({ deviceId: target.id, type: target.type, in: interfaceOf(arrival), out: null });
+      links.push(...segmentLinks(networkSegments.get(shared.network), current.id, target.id));
+      return { hops, links };
+    }
+
+    let egress;
+    let nextId;
+    if (current.type === 'router') {
+      const table = routingTables.find(t => t.routerId === current.id);
+      const route = table.routes
+        .filter(r => targetSegments.has(r.segment))
+        .sort((a, b) => a.metric - b.metric)[0];
+      if (!route) {
+        return {
+          hops,
+          links,
+          reason: {
+            code: 'no-route',
+            message: `${current.id} has no route to ${target.id} (${subnets}): no chain of routers connects their segments`
+          }
+        };
+      }
+      egress = assignments.find(a => a.interfaceName === route.interfaceName);
+      nextId = route.nextHopRouter;
+    } else {
+      egress = findDefaultRoute(current, assignments);
+      if (!egress) {
+        return {
+          hops,
+          links,
+          reason: {
+            code: 'no-gateway',
+            message: `${current.id} (${assignments.map(a => a.subnet).join(', ')}) and ${target.id} (${subnets}) are in disjoint subnets and ${current.id} has no default gateway: none of its segments has a router`
+          }
+        };
+      }
+      nextId = egress.gatewayDeviceId;
+    }
+
+    if (visited.has(nextId)) {
+      return {
+        hops,
+        links,
+        reason: { code: 'routing-loop', message: `Routing loop: ${current.id} sends traffic for ${target.id} back to ${nextId}` }
+      };
+    }
+
+    const next = devices.find(d => d.id === nextId);
+    hops.push({ deviceId: current.id, type: current.type, in: ingress, out: interfaceOf(egress) });
+    links.push(...segmentLinks(networkSegments.get(egress.network), current.id, nextId));
+    const arrival = ipAssignments.get(nextId).find(a => a.network === egress.network);
+    ingress = arrival ? interfaceOf(arrival) : null;
+    current = next;
+  }
+}
+
+// Returns { reachable, hops, connections } and a { code, message } reason when
+// there is no path. Replies have to find their way back, so the return path is
+// checked as well.
+function analyzePath(devices, connections, fromId, toId) {
+  const source = devices.find(d => d.id === fromId);
+  const target = devices.find(d => d.id === toId);
+  const result = { from: fromId, to: toId, reachable: false, hops: [], connections: [] };
+  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments(devices, connections);
+
+  const unaddressed = [source, target].find(device => (ipAssignments.get(device.id) || []).length === 0);
+  if (unaddressed) {
+    result.reason = { code: 'no-address', message: `${unaddressed.id} has no address: it is not connected to any segment` };
+    return result;
+  }
+  if (!connectedComponent(fromId, connections).has(toId)) {
+    result.reason = { code: 'disjoint', message: `${fromId} and ${toId} are not connected by any chain of links` };
+    return result;
+  }
+
+  const context = {
+    devices,
+    ipAssignments,
+    networkSegments,
+    routingTables: computeRoutingTables(devices, { ipAssignments, networkSegments })
+  };
+  const forward = tracePath(source, target, context);
+  result.hops = forward.hops;
+  result.connections = forward.links;
+  if (forward.reason) {
+    result.reason = forward.reason;
+    return result;
+  }
+
+  const reverse = tracePath(target, source, context);
+  if (reverse.reason) {
+    result.reason = { code: 'no-return-path', message: `Replies cannot get back: ${reverse.reason.message}` };
+    return result;
+  }
+
+  result.reachable = true;
+  return result;
+}
+
+module.exports = {
+  analyzePath
+};
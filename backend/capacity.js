@@ -0,0 +1,142 @@
+const { deviceResources, formatMebibytes } = require('./quantities');
+
+// Capacity planning against the cluster's node inventory (db cluster nodes). Every VM
+// and router becomes a VirtualMachine that requests its cores and memory on one node
+// and its disk from a storage class. A node that lists storage classes only takes
+// disks that fit into one of them; a node without any is not checked for storage.
+//
+// Placement is best-fit decreasing: the largest VMs are placed first, each on the node
+// it leaves the least room on, so big VMs do not end up without a node that can
+// take them.
+
+// What the KubeVirt exports accept as ?placement=, anything else exports without hints
+const PLACEMENT_HINTS = ['nodeSelector', 'nodeAffinity'];
+
+// What each VirtualMachine of the design requests, with the defaults filled in
+function vmRequests(devices) {
+  return devices
+    .filter(device => device.type !== 'switch')
+    .map(device => ({ deviceId: device.id, type: device.type, ...deviceResources(device) }));
+}
+
+function sumResources(items) {
+  return items.reduce(
+    (sum, item) => ({ cpu: sum.cpu + item.cpu, memory: sum.memory + item.memory, storage: sum.storage + item.storage }),
+    { cpu: 0, memory: 0, storage: 0 }
+  );
+}
+
+// What the VMs and routers request together, with the defaults filled in
+function requestedResources(devices) {
+  const requests = vmRequests(devices);
+  return { vms: requests.length, ...sumResources(requests) };
+}
+
+// Cores are counted in whole millicores so fractions do not drift
+const cores = value => Math.round(value * 1000) / 1000;
+
+const nodeStorage = node => node.storage.reduce((sum, entry) => sum + entry.capacity, 0);
+
+// The storage class of node that takes a disk of size with the least room to spare,
+// undefined when none can and null when the node does not list storage
+function storageClassFor(node, free, size) {
+  if (node.storage.length === 0) return null;
+  const candidates = node.storage.filter(entry => free.get(entry.storageClass) >= size);
+  if (candidates.length === 0) return undefined;
+  return candidates.reduce((best, entry) =>
+    (free.get(entry.storageClass) < free.get(best.storageClass) ? entry : best)).storageClass;
+}
+
+// Why request fits on no node: too big for every node, or the ones it would fit on are full
+function unplacedReason(request, nodes) {
+  if (nodes.length === 0) {
+    return 'The cluster inventory has no nodes';
+  }
+  const fitsEmpty = node => request.cpu <= node.cpu && request.memory <= node.memory &&
+    (node.storage.length === 0 || node.storage.some(entry => entry.capacity >= request.storage));
+  if (nodes.some(fitsEmpty)) {
+    return 'The nodes that could run it are full';
+  }
+  const needs = [`${request.cpu} cores`, `${formatMebibytes(request.memory)} memory`];
+  if (nodes.every(node => node.storage.length > 0)) {
+    needs.push(`${formatMebibytes(request.storage)} in one storage class`);
+  }
+  return `No node has ${needs.slice(0, -1).join(', ')} and ${needs[needs.length - 1]}`;
+}
+
+// Returns the capacity report: what the design requests, what the cluster offers,
+// the use of every node, where each VM goes and which VMs do not fit.
+function planCapacity(devices, nodes) {
+  const requests = vmRequests(devices);
+  const state = nodes.map(node => ({
+    node,
+    cpu: node.cpu,
+    memory: node.memory,
+    storage: new Map(node.storage.map(entry => [entry.storageClass, entry.capacity])),
+    devices: []
+  }));
+  const placements = new Map();
+  const unplaced = [];
+
+  // Largest first: memory, then cores, then disk; the ID keeps the order stable
+  const ordered = [...requests].sort((a, b) =>
+    b.memory - a.memory || b.cpu - a.cpu || b.storage - a.storage ||
+    a.deviceId.localeCompare(b.deviceId, undefined, { numeric: true }));
+
+  ordered.forEach(request => {
+    let best = null;
+    state.forEach(candidate => {
+      if (request.cpu > candidate.cpu || request.memory > candidate.memory) return;
+      const storageClass = storageClassFor(candidate.node, candidate.storage, request.storage);
+      if (storageClass === undefined) return;
+      // Share of the node that stays free, lower is a tighter fit
+      const room = (candidate.cpu - request.cpu) / candidate.node.cpu +
+        (candidate.memory - request.memory) / candidate.node.memory;
+      if (!best || room < best.room) best = { candidate, storageClass, room };
+    });
+
+    if (!best) {
+      unplaced.push({ ...request, reason: unplacedReason(request, nodes) });
+      return;
+    }
+    const { candidate, storageClass } = best;
+    candidate.cpu = cores(candidate.cpu - request.cpu);
+    candidate.memory -= request.memory;
+    if (storageClass) candidate.storage.set(storageClass, candidate.storage.get(storageClass) - request.storage);
+    candidate.devices.push(request.deviceId);
+    placements.set(request.deviceId, { deviceId: request.deviceId, node: candidate.node.name, storageClass });
+  });
+
+  return {
+    fits: unplaced.length === 0,
+    requested: requestedResources(devices),
+    allocatable: {
+      nodes: nodes.length,
+      cpu: cores(nodes.reduce((sum, node) => sum + node.cpu, 0)),
+      memory: nodes.reduce((sum, node) => sum + node.memory, 0),
+      storage: nodes.reduce((sum, node) => sum + nodeStorage(node), 0)
+    },
+    nodes: state.map(({ node, cpu, memory, storage, devices: placed }) => ({
+      name: node.name,
+      allocatable: { cpu: node.cpu, memory: node.memory },
+      requested: { cpu: cores(node.cpu - cpu), memory: node.memory - memory },
+      storage: node.storage.map(entry => ({
+        storageClass: entry.storageClass,
+        capacity: entry.capacity,
+        requested: entry.capacity - storage.get(entry.storageClass)
+      })),
+      devices: placed
+    })),
+    // In design order
+    placements: requests.filter(request => placements.has(request.deviceId)).map(request => placements.get(request.deviceId)),
+    unplaced: requests
+      .filter(request => !placements.has(request.deviceId))
+      .map(request => unplaced.find(entry => entry.deviceId === request.deviceId))
+  };
+}
+
+module.exports = {
+  PLACEMENT_HINTS,
+  planCapacity,
+  requestedResources
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// Guest configuration delivered through a cloudInitNoCloud volume. NICs are matched
+// by MAC address, which the VirtualMachine pins per interface, and renamed to the
+// ethN names used by the IP plan; eth0 is the pod network.
+
+// Locally administered unicast MAC, stable for a design/device/interface
+function interfaceMAC(design, device, interfaceName) {
+  const hash = crypto.createHash('sha1')
+    .update(`${design.namespace}/${device.id}/${interfaceName}`)
+    .digest();
+  return ['02', ...[...hash.subarray(0, 5)].map(byte => byte.toString(16).padStart(2, '0'))].join(':');
+}
+
+// The default route goes through the gateway router of the first segment the device
+// is not itself the gateway of. Segments without a router provide no default route.
+function findDefaultRoute(device, assignments) {
+  return assignments.find(a => a.gatewayDeviceId && a.gatewayDeviceId !== device.id) || null;
+}
+
+function generateNetworkData(design, device, assignments, staticRoutes) {
+  const lines = [
+    'version: 2',
+    'ethernets:',
+    '  eth0:',
+    '    match:',
+    `      macaddress: "${interfaceMAC(design, device, 'eth0')}"`,
+    '    set-name: eth0',
+    '    dhcp4: true',
+    '    dhcp4-overrides:',
+    '      route-metric: 200'
+  ];
+  const defaultRoute = findDefaultRoute(device, assignments);
+  const gateway = defaultRoute ? defaultRoute.gateway : null;
+
+  assignments.forEach(assignment => {
+    lines.push(
+      `  ${assignment.interfaceName}:`,
+      '    match:',
+      `      macaddress: "${interfaceMAC(design, device, assignment.interfaceName)}"`,
+      `    set-name: ${assignment.interfaceName}`,
+      '    dhcp4: false',
+      '    addresses:',
+      `      - ${assignment.ip}/${assignment.prefixLength}`
+    );
+    const hasDefaultRoute = gateway !== null && assignment.gateway === gateway;
+    const routes = staticRoutes.filter(route => route.interfaceName === assignment.interfaceName);
+    if (hasDefaultRoute || routes.length > 0) {
+      lines.push('    routes:');
+    }
+    if (hasDefaultRoute) {
+      lines.push(
+        '      - to: default',
+        `        via: ${gateway}`,
+        '        metric: 100'
+      );
+    }
+    routes.forEach(route => {
+      lines.push(
+        `      - to: ${route.destination}`,
+        `        via: ${route.via}`,
+        `        metric: ${route.metric}`
+      );
+    });
+  });
+
+  return lines.join('\n');
+}
+
+// Where each ruleset format is installed and how it is loaded
+const FIREWALL_FILES = {
+  nftables: { path: '/etc/nftables.conf', permissions: '0644', commands: ['nft -f /etc/nftables.conf', 'systemctl enable nftables'] },
+  iptables: { path: '/etc/infrastructure-lab/firewall.sh', permissions: '0755', commands: ['/etc/infrastructure-lab/firewall.sh'] }
+};
+
+// firewall is { format, ruleset } from firewall.js for routers that enforce their
+// connection rules themselves
+function generateUserData(device, firewall) {
+  const lines = [
+    '#cloud-config',
+    `hostname: ${device.id.toLowerCase()}`
+  ];
+
+  if (device.type === 'router') {
+    const files = FIREWALL_FILES[firewall ? firewall.format : null];
+    if (firewall && firewall.format === 'nftables') {
+      lines.push('packages:', '  - nftables');
+    }
+    lines.push(
+      'write_files:',
+      '  - path: /etc/sysctl.d/90-ip-forward.conf',
+      '    content: |',
+      '      net.ipv4.ip_forward = 1'
+    );
+    if (files) {
+      lines.push(
+        `  - path: ${files.path}`,
+        `    permissions: '${files.permissions}'`,
+        '    content: |',
+        ...firewall.ruleset.split('\n').map(line => (line ? `      ${line}` : ''))
+      );
+    }
+    lines.push(
+      'runcmd:',
+      '  - sysctl --system',
+      ...(files ? files.commands.map(command => `  - ${command}`) : [])
+    );
+  }
+
+  return lines.join('\n');
+}
+
+// Router interfaces follow the IP plan, one per attached segment, so every
+// interfaceIPs entry ends up on the interface of the segment its peer is on.
+// staticRoutes are the router's entries from computeRoutingTables, firewall its
+// optional ruleset (see generateUserData).
+function generateCloudInit(design, device, assignments, staticRoutes = [], firewall = null) {
+  return {
+    networkData: generateNetworkData(design, device, assignments, staticRoutes),
+    userData: generateUserData(device, firewall),
+    interfaces: [
+      { name: 'eth0', network: 'default', macAddress: interfaceMAC(design, device, 'eth0') },
+      ...assignments.map(assignment => ({
+        name: assignment.interfaceName,
+        network: assignment.network,
+        macAddress: interfaceMAC(design, device, assignment.interfaceName),
+        address: `${assignment.ip}/${assignment.prefixLength}`
+      }))
+    ]
+  };
+}
+
+module.exports = {
+  interfaceMAC,
+  findDefaultRoute,
+  generateCloudInit
+};
@@ -0,0 +1,126 @@
+const { generateConnectionBasedIPAssignments } = require('./topology');
+const { computeRoutingTables } = require('./routing');
+const { findDefaultRoute } = require('./cloudinit');
+
+// Node kind and image per device type, overridable through the export's query string
+const DEFAULT_NODE_SETTINGS = {
+  vm: { kind: 'linux', image: 'alpine:3.19' },
+  router: { kind: 'linux', image: 'frrouting/frr:v8.4.1' },
+  switch: { kind: 'linux', image: 'alpine:3.19' }
+};
+
+function nodeName(device) {
+  return device.id.toLowerCase();
+}
+
+// Interface names per connection end. VMs and routers use the ethN of the segment
+// the connection belongs to, so the names match the IP plan; a second link into a
+// segment that already has an interface gets the next free ethN without address.
+// Switch ports are numbered in connection order.
+function assignLinkInterfaces(devices, connections, ipAssignments, networkSegments) {
+  const nextFree = new Map(devices.map(device => [device.id, (ipAssignments.get(device.id) || []).length + 1]));
+  const usedSegments = new Map(devices.map(device => [device.id, new Set()]));
+  const segmentOf = (connItem) => [...networkSegments.values()].find(segment => segment.connections.includes(connItem));
+
+  const interfaceFor = (device, segment) => {
+    const assignment = segment && (ipAssignments.get(device.id) || []).find(a => a.network === segment.name);
+    if (device.type !== 'switch' && assignment && !usedSegments.get(device.id).has(segment.name)) {
+      usedSegments.get(device.id).add(segment.name);
+      return assignment.interfaceName;
+    }
+    const name = `eth${nextFree.get(device.id)}`;
+    nextFree.set(device.id, nextFree.get(device.id) + 1);
+    return name;
+  };
+
+  return connections.map(connItem => {
+    const segment = segmentOf(connItem);
+    const from = devices.find(d => d.id === connItem.from);
+    const to = devices.find(d => d.id === connItem.to);
+    return {
+      from: { device: from, interfaceName: interfaceFor(from, segment) },
+      to: { device: to, interfaceName: interfaceFor(to, segment) }
+    };
+  });
+}
+
+// Shell commands run in the node once its links are up
+function nodeExec(device, ipAssignments, routingTables, links) {
+  const commands = [];
+
+  if (device.type === 'switch') {
+    const ports = links
+      .flatMap(link => [link.from, link.to])
+      .filter(end => end.device.id === device.id)
+      .map(end => end.interfaceName);
+    commands.push('ip link add br0 type bridge', 'ip link set br0 up');
+    ports.forEach(port => commands.push(`ip link set ${port} master br0`));
+    return commands;
+  }
+
+  const assignments = ipAssignments.get(device.id) || [];
+  assignments.forEach(assignment => {
+    commands.push(`ip addr add ${assignment.ip}/${assignment.prefixLength} dev ${assignment.interfaceName}`);
+  });
+
+  if (device.type === 'router') {
+    commands.push('sysctl -w net.ipv4.ip_forward=1');
+    const table = routingTables.find(t => t.routerId === device.id);
+    table.routes.forEach(route => {
+      commands.push(`ip route add ${route.destination} via ${route.via} dev ${route.interfaceName}`);
+    });
+  }
+
+  const defaultRoute = findDefaultRoute(device, assignments);
+  if (defaultRoute) {
+    commands.push(`ip route replace default via ${defaultRoute.gateway} dev ${defaultRoute.interfaceName}`);
+  }
+
+  return commands;
+}
+
+// containerlab topology for the design; settings is { vm, router, switch } with
+// optional kind/image overrides for each device type
+function generateContainerlabTopology(design, devices, connections, settings = {}) {
+  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments(devices, connections);
+  const routingTables = computeRoutingTables(devices, { ipAssignments, networkSegments });
+  const links = assignLinkInterfaces(devices, connections, ipAssignments, networkSegments);
+
+  const nodes = devices.map(device => {
+    const node = { ...DEFAULT_NODE_SETTINGS[device.type], ...settings[device.type] };
+    const exec = nodeExec(device, ipAssignments, routingTables, links);
+    const lines = [
+      `    ${nodeName(device)}:`,
+      `      kind: ${node.kind}`,
+      `      image: ${node.image}`,
+      '      labels:',
+      `        device-type: ${device.type}`
+    ];
+    if (exec.length > 0) {
+      lines.push('      exec:', ...exec.map(command => `        - ${command}`));
+    }
+    return lines.join('\n');
+  });
+
+  const linkLines = links.map(link =>
+    `    - endpoints: ["${nodeName(link.from.device)}:${link.from.interfaceName}", "${nodeName(link.to.device)}:${link.to.interfaceName}"]`
+  );
+
+  return `# containerlab topology
+# Generated: ${new Date().toISOString()}
+# Devices: ${devices.length} | Connections: ${connections.length}
+# Design: ${design.name}
+# Deploy with: containerlab deploy -t ${design.namespace}.clab.yml
+name: ${design.namespace}
+
+topology:
+  nodes:
+${nodes.join('\n')}
+${linkLines.length > 0 ? `  links:\n${linkLines.join('\n')}` : '  links: []'}
+`;
+}
+
+module.exports = {
+  DEFAULT_NODE_SETTINGS,
+  generateContainerlabTopology
+};
@@ -0,0 +1,644 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'infrastructure.db');
+
+// Schema migrations, applied in order and tracked through PRAGMA user_version.
+// An entry is either SQL or a function run against the database for data changes.
+// Never edit an entry that has shipped - append a new one instead.
+const migrations = [
+  `CREATE TABLE devices (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    cpu TEXT,
+    memory TEXT,
+    storage TEXT,
+    ip TEXT,
+    interface_ips TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE connections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    from_device TEXT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    to_device TEXT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    from_router_ip TEXT,
+    to_router_ip TEXT,
+    created_at TEXT NOT NULL
+  );`,
+
+  // Designs: every device and connection now belongs to one, keyed by (design_id, id).
+  `CREATE TABLE designs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    namespace TEXT NOT NULL,
+    labels TEXT,
+    device_counters TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  INSERT INTO designs (id, name, namespace, labels, device_counters, created_at)
+  VALUES (1, 'default', 'infrastructure-lab', '{}', '{}', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+  CREATE TABLE devices_new (
+    design_id INTEGER NOT NULL REFERENCES designs(id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    cpu TEXT,
+    memory TEXT,
+    storage TEXT,
+    ip TEXT,
+    interface_ips TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (design_id, id)
+  );
+  INSERT INTO devices_new (design_id, id, type, cpu, memory, storage, ip, interface_ips, created_at)
+  SELECT 1, id, type, cpu, memory, storage, ip, interface_ips, created_at FROM devices;
+
+  CREATE TABLE connections_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    design_id INTEGER NOT NULL,
+    from_device TEXT NOT NULL,
+    to_device TEXT NOT NULL,
+    from_router_ip TEXT,
+    to_router_ip TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (design_id, from_device) REFERENCES devices(design_id, id) ON DELETE CASCADE,
+    FOREIGN KEY (design_id, to_device) REFERENCES devices(design_id, id) ON DELETE CASCADE
+  );
+  INSERT INTO connections_new (id, design_id, from_device, to_device, from_router_ip, to_router_ip, created_at)
+  SELECT id, 1, from_device, to_device, from_router_ip, to_router_ip, created_at FROM connections;
+
+  DROP TABLE connections;
+  DROP TABLE devices;
+  ALTER TABLE devices_new RENAME TO devices;
+  ALTER TABLE connections_new RENAME TO connections;`,
+
+  // Canvas position of each device as {"x": .., "y": ..}
+  `ALTER TABLE devices ADD COLUMN position TEXT;`,
+
+  // Explicit segment CIDRs: on the switch for switched segments, on the connection otherwise
+  `ALTER TABLE devices ADD COLUMN subnet TEXT;
+  ALTER TABLE connections ADD COLUMN subnet TEXT;`,
+
+  // Free-text resources ("1 vCPU", "2GB") become whole cores and MiB; values that
+  // cannot be parsed are dropped so the exporter falls back to its defaults. The parser
+  // is a frozen copy of quantities.js as it was when this migration was written, so
+  // later changes there do not change what an old database migrates to.
+  (database) => {
+    const sizeUnits = {
+      '': 1,
+      ki: 1 / 1024,
+      kib: 1 / 1024,
+      mi: 1,
+      mib: 1,
+      mb: 1,
+      gi: 1024,
+      gib: 1024,
+      gb: 1024,
+      ti: 1024 * 1024,
+      tib: 1024 * 1024,
+      tb: 1024 * 1024,
+      k: 1000 / 1024 ** 2,
+      m: 1000 ** 2 / 1024 ** 2,
+      g: 1000 ** 3 / 1024 ** 2,
+      t: 1000 ** 4 / 1024 ** 2
+    };
+    // Cores or MiB, null when value cannot be parsed
+    const parse = (field, value) => {
+      if (field === 'cpu') {
+        const match = /^(\d+)\s*(?:v?cpus?|cores?)?$/i.exec(value);
+        return (match && Number(match[1])) || null;
+      }
+      const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(value);
+      const unit = match && sizeUnits[match[2].toLowerCase()];
+      return (unit && Math.ceil(Number(match[1]) * unit - 1e-9)) || null;
+    };
+
+    const update = database.prepare(`
+      UPDATE devices SET cpu = @cpu, memory = @memory, storage = @storage
+      WHERE design_id = @designId AND id = @id
+    `);
+    database.prepare('SELECT design_id, id, cpu, memory, storage FROM devices').all().forEach(row => {
+      const values = {};
+      ['cpu', 'memory', 'storage'].forEach(field => {
+        const text = row[field] === null ? '' : String(row[field]).trim();
+        values[field] = text ? parse(field, text) : null;
+        if (text && values[field] === null) console.warn(`Dropping ${field} of device ${row.id}: ${text} cannot be parsed`);
+      });
+      update.run({ designId: row.design_id, id: row.id, ...values });
+    });
+  },
+
+  // Named snapshots of a design, stored as design file documents
+  `CREATE TABLE snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    design_id INTEGER NOT NULL REFERENCES designs(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    document TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (design_id, name)
+  );`,
+
+  // Bumped on every change to a device so stale writes from other users can be refused
+  `ALTER TABLE devices ADD COLUMN version INTEGER NOT NULL DEFAULT 1;`,
+
+  // Zones group devices of a design ("dmz", "backend"); devices name theirs in zone
+  `CREATE TABLE zones (
+    design_id INTEGER NOT NULL REFERENCES designs(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    namespace TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (design_id, name)
+  );
+  ALTER TABLE devices ADD COLUMN zone TEXT;`,
+
+  // Firewall rules of a connection as a JSON array, NULL while it is open
+  `ALTER TABLE connections ADD COLUMN rules TEXT;`,
+
+  // Node inventory of the cluster the designs are deployed to, shared by all designs.
+  // CPU in cores, memory in MiB, storage as [{ storageClass, capacity (MiB) }].
+  `CREATE TABLE cluster_nodes (
+    name TEXT PRIMARY KEY,
+    cpu TEXT NOT NULL,
+    memory TEXT NOT NULL,
+    storage TEXT,
+    created_at TEXT NOT NULL
+  );`
+];
+
+const DEFAULT_DESIGN_ID = 1;
+
+if (DATABASE_PATH !== ':memory:') {
+  fs.mkdirSync(path.dirname(DATABASE_PATH), { recursive: true });
+}
+
+const db = new Database(DATABASE_PATH);
+db.pragma('journal_mode = WAL');
+
+// Runs with foreign keys switched off so migrations can rebuild tables.
+function migrate() {
+  const currentVersion = db.pragma('user_version', { simple: true });
+
+  migrations.slice(currentVersion).forEach((migration, index) => {
+    const version = currentVersion + index + 1;
+    db.transaction(() => {
+      if (typeof migration === 'function') {
+        migration(db);
+      } else {
+        db.exec(migration);
+      }
+      db.pragma(`user_version = ${version}`);
+    })();
+    console.log(`Applied database migration ${version}`);
+  });
+}
+
+db.pragma('foreign_keys = OFF');
+migrate();
+db.pragma('foreign_keys = ON');
+
+function parseJSON(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+// Resource columns are TEXT from the first schema, their values are numbers now.
+// Written as strings so SQLite does not store them as REAL ("4.0").
+function parseNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function formatNumber(value) {
+  return value ? String(value) : null;
+}
+
+function rowToDesign(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    namespace: row.namespace,
+    labels: parseJSON(row.labels) || {},
+    deviceCounters: parseJSON(row.device_counters) || {},
+    createdAt: row.created_at
+  };
+}
+
+function rowToDevice(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    cpu: parseNumber(row.cpu),
+    memory: parseNumber(row.memory),
+    storage: parseNumber(row.storage),
+    ip: row.ip,
+    interfaceIPs: parseJSON(row.interface_ips),
+    position: parseJSON(row.position),
+    subnet: row.subnet,
+    zone: row.zone,
+    version: row.version,
+    createdAt: row.created_at
+  };
+}
+
+function rowToZone(row) {
+  return {
+    name: row.name,
+    namespace: row.namespace,
+    createdAt: row.created_at
+  };
+}
+
+function rowToConnection(row) {
+  return {
+    from: row.from_device,
+    to: row.to_device,
+    fromRouterIP: row.from_router_ip,
+    toRouterIP: row.to_router_ip,
+    subnet: row.subnet,
+    rules: row.rules ? JSON.parse(row.rules) : [],
+    createdAt: row.created_at
+  };
+}
+
+function rowToClusterNode(row) {
+  return {
+    name: row.name,
+    cpu: parseNumber(row.cpu),
+    memory: parseNumber(row.memory),
+    storage: parseJSON(row.storage) || [],
+    createdAt: row.created_at
+  };
+}
+
+function listDesigns() {
+  return db.prepare('SELECT * FROM designs ORDER BY id').all().map(rowToDesign);
+}
+
+function findDesign(id) {
+  const row = db.prepare('SELECT * FROM designs WHERE id = ?').get(id);
+  return row ? rowToDesign(row) : null;
+}
+
+function findDesignByName(name) {
+  const row = db.prepare('SELECT * FROM designs WHERE name = ?').get(name);
+  return row ? rowToDesign(row) : null;
+}
+
+function findDesignByNamespace(namespace) {
+  const row = db.prepare('SELECT * FROM designs WHERE namespace = ?').get(namespace);
+  return row ? rowToDesign(row) : null;
+}
+
+function insertDesign(design) {
+  const result = db.prepare(`
+    INSERT INTO designs (name, namespace, labels, device_counters, created_at)
+    VALUES (@name, @namespace, @labels, '{}', @createdAt)
+  `).run({
+    name: design.name,
+    namespace: design.namespace,
+    labels: JSON.stringify(design.labels || {}),
+    createdAt: design.createdAt
+  });
+  return findDesign(result.lastInsertRowid);
+}
+
+function updateDesign(id, design) {
+  db.prepare(`
+    UPDATE designs SET name = @name, namespace = @namespace, labels = @labels WHERE id = @id
+  `).run({
+    id,
+    name: design.name,
+    namespace: design.namespace,
+    labels: JSON.stringify(design.labels || {})
+  });
+  return findDesign(id);
+}
+
+// Devices and connections go with it through ON DELETE CASCADE.
+function deleteDesign(id) {
+  return db.prepare('DELETE FROM designs WHERE id = ?').run(id).changes > 0;
+}
+
+function setDeviceCounters(designId, deviceCounters) {
+  db.prepare('UPDATE designs SET device_counters = ? WHERE id = ?')
+    .run(JSON.stringify(deviceCounters), designId);
+}
+
+function listDevices(designId) {
+  return db.prepare('SELECT * FROM devices WHERE design_id = ? ORDER BY rowid').all(designId).map(rowToDevice);
+}
+
+function findDevice(designId, id) {
+  const row = db.prepare('SELECT * FROM devices WHERE design_id = ? AND id = ?').get(designId, id);
+  return row ? rowToDevice(row) : null;
+}
+
+function findDeviceByIP(designId, ip) {
+  const row = db.prepare('SELECT * FROM devices WHERE design_id = ? AND ip = ?').get(designId, ip);
+  return row ? rowToDevice(row) : null;
+}
+
+function insertDevice(designId, device) {
+  db.prepare(`
+    INSERT INTO devices (design_id, id, type, cpu, memory, storage, ip, interface_ips, position, subnet, zone, created_at)
+    VALUES (@designId, @id, @type, @cpu, @memory, @storage, @ip, @interfaceIPs, @position, @subnet, @zone, @createdAt)
+  `).run({
+    designId,
+    id: device.id,
+    type: device.type,
+    cpu: formatNumber(device.cpu),
+    memory: formatNumber(device.memory),
+    storage: formatNumber(device.storage),
+    ip: device.ip || null,
+    interfaceIPs: device.interfaceIPs ? JSON.stringify(device.interfaceIPs) : null,
+    position: device.position ? JSON.stringify(device.position) : null,
+    subnet: device.subnet || null,
+    zone: device.zone || null,
+    createdAt: device.createdAt
+  });
+  return device;
+}
+
+function updateDevice(designId, device) {
+  db.prepare(`
+    UPDATE devices SET cpu = @cpu, memory = @memory, storage = @storage, ip = @ip,
+      interface_ips = @interfaceIPs, subnet = @subnet, zone = @zone, version = version + 1
+    WHERE design_id = @designId AND id = @id
+  `).run({
+    designId,
+    id: device.id,
+    cpu: formatNumber(device.cpu),
+    memory: formatNumber(device.memory),
+    storage: formatNumber(device.storage),
+    ip: device.ip || null,
+    interfaceIPs: device.interfaceIPs ? JSON.stringify(device.interfaceIPs) : null,
+    subnet: device.subnet || null,
+    zone: device.zone || null
+  });
+  return device;
+}
+
+function setInterfaceIPs(designId, id, interfaceIPs) {
+  db.prepare('UPDATE devices SET interface_ips = ?, version = version + 1 WHERE design_id = ? AND id = ?')
+    .run(interfaceIPs ? JSON.stringify(interfaceIPs) : null, designId, id);
+}
+
+function setPosition(designId, id, position) {
+  return db.prepare('UPDATE devices SET position = ?, version = version + 1 WHERE design_id = ? AND id = ?')
+    .run(JSON.stringify(position), designId, id).changes > 0;
+}
+
+// Connections are removed by the ON DELETE CASCADE foreign keys.
+function deleteDevice(designId, id) {
+  return db.prepare('DELETE FROM devices WHERE design_id = ? AND id = ?').run(designId, id).changes > 0;
+}
+
+function listZones(designId) {
+  return db.prepare('SELECT * FROM zones WHERE design_id = ? ORDER BY created_at, name').all(designId).map(rowToZone);
+}
+
+function findZone(designId, name) {
+  const row = db.prepare('SELECT * FROM zones WHERE design_id = ? AND name = ?').get(designId, name);
+  return row ? rowToZone(row) : null;
+}
+
+function insertZone(designId, zone) {
+  db.prepare(`
+    INSERT INTO zones (design_id, name, namespace, created_at) VALUES (@designId, @name, @namespace, @createdAt)
+  `).run({ designId, name: zone.name, namespace: zone.namespace || null, createdAt: zone.createdAt });
+  return findZone(designId, zone.name);
+}
+
+// Renaming moves the members along
+function updateZone(designId, name, zone) {
+  db.transaction(() => {
+    db.prepare('UPDATE zones SET name = @newName, namespace = @namespace WHERE design_id = @designId AND name = @name')
+      .run({ designId, name, newName: zone.name, namespace: zone.namespace || null });
+    if (zone.name !== name) {
+      db.prepare('UPDATE devices SET zone = ?, version = version + 1 WHERE design_id = ? AND zone = ?')
+        .run(zone.name, designId, name);
+    }
+  })();
+  return findZone(designId, zone.name);
+}
+
+// The members stay, without a zone
+function deleteZone(designId, name) {
+  return db.transaction(() => {
+    db.prepare('UPDATE devices SET zone = NULL, version = version + 1 WHERE design_id = ? AND zone = ?').run(designId, name);
+    return db.prepare('DELETE FROM zones WHERE design_id = ? AND name = ?').run(designId, name).changes > 0;
+  })();
+}
+
+function setZone(designId, id, zone) {
+  return db.prepare('UPDATE devices SET zone = ?, version = version + 1 WHERE design_id = ? AND id = ?')
+    .run(zone || null, designId, id).changes > 0;
+}
+
+function listConnections(designId) {
+  return db.prepare('SELECT * FROM connections WHERE design_id = ? ORDER BY id').all(designId).map(rowToConnection);
+}
+
+function findConnection(designId, a, b) {
+  const row = db.prepare(`
+    SELECT * FROM connections
+    WHERE design_id = @designId
+      AND ((from_device = @a AND to_device = @b) OR (from_device = @b AND to_device = @a))
+  `).get({ designId, a, b });
+  return row ? rowToConnection(row) : null;
+}
+
+function insertConnection(designId, connection) {
+  db.prepare(`
+    INSERT INTO connections (design_id, from_device, to_device, from_router_ip, to_router_ip, subnet, rules, created_at)
+    VALUES (@designId, @from, @to, @fromRouterIP, @toRouterIP, @subnet, @rules, @createdAt)
+  `).run({ designId, subnet: null, ...connection, rules: rulesColumn(connection.rules) });
+  return connection;
+}
+
+// Updates the link between connection.from and connection.to in place.
+function updateConnection(designId, connection) {
+  db.prepare(`
+    UPDATE connections SET from_router_ip = @fromRouterIP, to_router_ip = @toRouterIP, subnet = @subnet, rules = @rules
+    WHERE design_id = @designId AND from_device = @from AND to_device = @to
+  `).run({
+    designId,
+    from: connection.from,
+    to: connection.to,
+    fromRouterIP: connection.fromRouterIP || null,
+    toRouterIP: connection.toRouterIP || null,
+    subnet: connection.subnet || null,
+    rules: rulesColumn(connection.rules)
+  });
+  return connection;
+}
+
+function rulesColumn(rules) {
+  return rules && rules.length > 0 ? JSON.stringify(rules) : null;
+}
+
+function deleteConnection(designId, a, b) {
+  return db.prepare(`
+    DELETE FROM connections
+    WHERE design_id = @designId
+      AND ((from_device = @a AND to_device = @b) OR (from_device = @b AND to_device = @a))
+  `).run({ designId, a, b }).changes > 0;
+}
+
+function listClusterNodes() {
+  return db.prepare('SELECT * FROM cluster_nodes ORDER BY rowid').all().map(rowToClusterNode);
+}
+
+function findClusterNode(name) {
+  const row = db.prepare('SELECT * FROM cluster_nodes WHERE name = ?').get(name);
+  return row ? rowToClusterNode(row) : null;
+}
+
+function clusterNodeColumns(node) {
+  return {
+    name: node.name,
+    cpu: formatNumber(node.cpu),
+    memory: formatNumber(node.memory),
+    storage: node.storage && node.storage.length > 0 ? JSON.stringify(node.storage) : null
+  };
+}
+
+function insertClusterNode(node) {
+  db.prepare(`
+    INSERT INTO cluster_nodes (name, cpu, memory, storage, created_at) VALUES (@name, @cpu, @memory, @storage, @createdAt)
+  `).run({ ...clusterNodeColumns(node), createdAt: node.createdAt });
+  return findClusterNode(node.name);
+}
+
+function updateClusterNode(name, node) {
+  db.prepare(`
+    UPDATE cluster_nodes SET name = @name, cpu = @cpu, memory = @memory, storage = @storage WHERE name = @currentName
+  `).run({ ...clusterNodeColumns(node), currentName: name });
+  return findClusterNode(node.name);
+}
+
+function deleteClusterNode(name) {
+  return db.prepare('DELETE FROM cluster_nodes WHERE name = ?').run(name).changes > 0;
+}
+
+// Replaces the whole inventory, in the given order
+function replaceClusterNodes(nodes) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM cluster_nodes').run();
+    nodes.forEach(node => insertClusterNode(node));
+  })();
+  return listClusterNodes();
+}
+
+function countDevices() {
+  return db.prepare('SELECT COUNT(*) AS count FROM devices').get().count;
+}
+
+function countConnections() {
+  return db.prepare('SELECT COUNT(*) AS count FROM connections').get().count;
+}
+
+function rowToSnapshot(row) {
+  const document = JSON.parse(row.document);
+  return {
+    id: row.id,
+    name: row.name,
+    devices: document.devices.length,
+    connections: document.connections.length,
+    createdAt: row.created_at,
+    document
+  };
+}
+
+// Without the documents, which can be large
+function listSnapshots(designId) {
+  return db.prepare('SELECT * FROM snapshots WHERE design_id = ? ORDER BY id').all(designId)
+    .map(row => {
+      const { document, ...snapshot } = rowToSnapshot(row);
+      return snapshot;
+    });
+}
+
+function findSnapshot(designId, id) {
+  const row = db.prepare('SELECT * FROM snapshots WHERE design_id = ? AND id = ?').get(designId, id);
+  return row ? rowToSnapshot(row) : null;
+}
+
+function findSnapshotByName(designId, name) {
+  const row = db.prepare('SELECT * FROM snapshots WHERE design_id = ? AND name = ?').get(designId, name);
+  return row ? rowToSnapshot(row) : null;
+}
+
+function insertSnapshot(designId, snapshot) {
+  const result = db.prepare(`
+    INSERT INTO snapshots (design_id, name, document, created_at)
+    VALUES (@designId, @name, @document, @createdAt)
+  `).run({
+    designId,
+    name: snapshot.name,
+    document: JSON.stringify(snapshot.document),
+    createdAt: snapshot.createdAt
+  });
+  return findSnapshot(designId, result.lastInsertRowid);
+}
+
+function deleteSnapshot(designId, id) {
+  return db.prepare('DELETE FROM snapshots WHERE design_id = ? AND id = ?').run(designId, id).changes > 0;
+}
+
+function clear(designId) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM connections WHERE design_id = ?').run(designId);
+    db.prepare('DELETE FROM devices WHERE design_id = ?').run(designId);
+    db.prepare('DELETE FROM zones WHERE design_id = ?').run(designId);
+    setDeviceCounters(designId, {});
+  })();
+}
+
+module.exports = {
+  db,
+  DEFAULT_DESIGN_ID,
+  transaction: (fn) => db.transaction(fn),
+  listDesigns,
+  findDesign,
+  findDesignByName,
+  findDesignByNamespace,
+  insertDesign,
+  updateDesign,
+  deleteDesign,
+  setDeviceCounters,
+  listDevices,
+  findDevice,
+  findDeviceByIP,
+  insertDevice,
+  updateDevice,
+  setInterfaceIPs,
+  setPosition,
+  deleteDevice,
+  listZones,
+  findZone,
+  insertZone,
+  updateZone,
+  deleteZone,
+  setZone,
+  listConnections,
+  findConnection,
+  insertConnection,
+  updateConnection,
+  deleteConnection,
+  listClusterNodes,
+  findClusterNode,
+  insertClusterNode,
+  updateClusterNode,
+  deleteClusterNode,
+  replaceClusterNodes,
+  countDevices,
+  countConnections,
+  listSnapshots,
+  findSnapshot,
+  findSnapshotByName,
+  insertSnapshot,
+  deleteSnapshot,
+  clear
+};
@@ -0,0 +1,205 @@
+const { parseResources } = require('./quantities');
+
+// Design files: a whole design as one JSON document that can be checked into git
+// or sent around without a running backend. Every document carries its schema
+// version; older versions are upgraded step by step before they are imported.
+
+const DESIGN_FILE_FORMAT = 'infrastructure-lab/design';
+const DESIGN_FILE_VERSION = 4;
+
+const DEVICE_TYPES = ['vm', 'router', 'switch'];
+// Zone names end up in labels and namespace names
+const ZONE_NAME_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+// Device IDs are lowercased into resource names, so they are DNS labels in either case
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9]([-A-Za-z0-9]*[A-Za-z0-9])?$/;
+
+// MIGRATIONS[n] turns a version n document into a version n + 1 document
+const MIGRATIONS = {
+  // Version 1 was the single-design state, { devices, connections } as the API
+  // returned them, with resources kept as typed ("2 vCPU", "4GB").
+  1: (document, warnings) => ({
+    format: DESIGN_FILE_FORMAT,
+    version: 2,
+    design: document.design || { name: 'imported' },
+    devices: (Array.isArray(document.devices) ? document.devices : []).map(device => {
+      if (!device || typeof device !== 'object') return device;
+      const migrated = { ...device };
+      ['cpu', 'memory', 'storage'].forEach(field => {
+        const parsed = parseResources({ [field]: device[field] });
+        if (parsed.error) {
+          warnings.push(`${device.id}: dropped ${parsed.error}`);
+          migrated[field] = null;
+        } else {
+          migrated[field] = parsed[field] || null;
+        }
+      });
+      return migrated;
+    }),
+    connections: document.connections
+  }),
+
+  // Version 3 added zones, version 2 documents have none
+  2: (document) => ({ ...document, version: 3, zones: [] }),
+
+  // Version 4 added firewall rules, connections of older documents are open
+  3: (document) => ({
+    ...document,
+    version: 4,
+    connections: Array.isArray(document.connections)
+      ? document.connections.map(connItem => (connItem && typeof connItem === 'object' ? { ...connItem, rules: [] } : connItem))
+      : document.connections
+  })
+};
+
+function buildDesignDocument(design, devices, connections, zones = []) {
+  return {
+    format: DESIGN_FILE_FORMAT,
+    version: DESIGN_FILE_VERSION,
+    design: {
+      name: design.name,
+      namespace: design.namespace,
+      labels: design.labels,
+      deviceCounters: design.deviceCounters
+    },
+    zones: zones.map(zone => ({
+      name: zone.name,
+      namespace: zone.namespace,
+      createdAt: zone.createdAt
+    })),
+    devices: devices.map(device => ({
+      id: device.id,
+      type: device.type,
+      cpu: device.cpu,
+      memory: device.memory,
+      storage: device.storage,
+      ip: device.ip,
+      interfaceIPs: device.interfaceIPs,
+      position: device.position,
+      subnet: device.subnet,
+      zone: device.zone,
+      createdAt: device.createdAt
+    })),
+    connections: connections.map(connItem => ({
+      from: connItem.from,
+      to: connItem.to,
+      fromRouterIP: connItem.fromRouterIP,
+      toRouterIP: connItem.toRouterIP,
+      subnet: connItem.subnet,
+      rules: connItem.rules || [],
+      createdAt: connItem.createdAt
+    }))
+  };
+}
+
+// Upgrades the document to the current version and checks its structure. Field
+// values (addresses, subnets, resources) are left to the regular device and
+// connection checks. Returns { errors } or { document, warnings }.
+function readDesignDocument(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['A design file is a JSON object'] };
+  }
+  if (input.format !== undefined && input.format !== DESIGN_FILE_FORMAT) {
+    return { errors: [`Unknown file format: ${input.format}`] };
+  }
+
+  const version = input.version === undefined ? 1 : input.version;
+  if (!Number.isInteger(version) || version < 1) {
+    return { errors: [`Invalid schema version: ${input.version}`] };
+  }
+  if (version > DESIGN_FILE_VERSION) {
+    return { errors: [`Schema version ${version} is newer than this backend supports (${DESIGN_FILE_VERSION})`] };
+  }
+
+  const warnings = [];
+  let document = input;
+  for (let current = version; current < DESIGN_FILE_VERSION; current++) {
+    document = MIGRATIONS[current](document, warnings);
+  }
+
+  const errors = [];
+  const { design, zones, devices, connections } = document;
+  if (!design || typeof design !== 'object' || Array.isArray(design)) {
+    errors.push('design must be an object');
+  }
+  if (!Array.isArray(zones)) errors.push('zones must be an array');
+  if (!Array.isArray(devices)) errors.push('devices must be an array');
+  if (!Array.isArray(connections)) errors.push('connections must be an array');
+  if (errors.length > 0) return { errors };
+
+  const zoneNames = new Set();
+  zones.forEach((zone, index) => {
+    if (!zone || typeof zone !== 'object' || typeof zone.name !== 'string' || !ZONE_NAME_PATTERN.test(zone.name)) {
+      errors.push(`zones[${index}]: name must be lowercase letters, digits and '-'`);
+      return;
+    }
+    if (zoneNames.has(zone.name)) {
+      errors.push(`zones[${index}]: duplicate zone ${zone.name}`);
+    }
+    zoneNames.add(zone.name);
+  });
+
+  const types = new Map();
+  const lowercaseIds = new Map();
+  devices.forEach((device, index) => {
+    if (!device || typeof device !== 'object' || typeof device.id !== 'string' || !device.id.trim()) {
+      errors.push(`devices[${index}]: id is required`);
+      return;
+    }
+    if (device.id.length > 63 || !DEVICE_ID_PATTERN.test(device.id)) {
+      errors.push(`devices[${index}]: ID ${device.id} must be at most 63 letters, digits and '-', starting and ending with a letter or digit`);
+    }
+    const clash = lowercaseIds.get(device.id.toLowerCase());
+    if (clash === device.id) {
+      errors.push(`devices[${index}]: duplicate device ID ${device.id}`);
+    } else if (clash) {
+      errors.push(`devices[${index}]: device ID ${device.id} clashes with ${clash}, IDs are compared without case`);
+    } else {
+      lowercaseIds.set(device.id.toLowerCase(), device.id);
+    }
+    if (!DEVICE_TYPES.includes(device.type)) {
+      errors.push(`${device.id}: unknown device type ${device.type}`);
+    }
+    if (device.zone !== undefined && device.zone !== null && !zoneNames.has(device.zone)) {
+      errors.push(`${device.id}: unknown zone ${device.zone}`);
+    }
+    types.set(device.id, device.type);
+  });
+
+  const links = new Set();
+  connections.forEach((connItem, index) => {
+    if (!connItem || typeof connItem !== 'object') {
+      errors.push(`connections[${index}]: not an object`);
+      return;
+    }
+    const { from, to } = connItem;
+    const label = `connections[${index}] (${from} - ${to})`;
+    if (!types.has(from) || !types.has(to)) {
+      errors.push(`${label}: references an unknown device`);
+      return;
+    }
+    if (from === to) {
+      errors.push(`${label}: a device cannot connect to itself`);
+    }
+    if (types.get(from) === 'vm' && types.get(to) === 'vm') {
+      errors.push(`${label}: connecting VM with VM is prohibited`);
+    }
+    if (connItem.rules !== undefined && connItem.rules !== null && !Array.isArray(connItem.rules)) {
+      errors.push(`${label}: rules must be an array`);
+    }
+    const key = [from, to].sort().join('|');
+    if (links.has(key)) {
+      errors.push(`${label}: duplicate connection`);
+    }
+    links.add(key);
+  });
+
+  return errors.length > 0 ? { errors } : { document, warnings };
+}
+
+module.exports = {
+  DESIGN_FILE_FORMAT,
+  DESIGN_FILE_VERSION,
+  DEVICE_ID_PATTERN,
+  buildDesignDocument,
+  readDesignDocument
+};
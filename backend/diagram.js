@@ -0,0 +1,151 @@
+const { generateConnectionBasedIPAssignments } = require('./topology');
+const { deviceResources, formatMebibytes } = require('./quantities');
+
+// Topology diagrams for design documents: Graphviz DOT for automatic layout and a
+// standalone SVG that keeps the canvas positions. Colours match the designer.
+
+const DEVICE_COLORS = {
+  vm: '#007bff',
+  router: '#ff073a',
+  switch: '#28a745'
+};
+
+const DEVICE_SIZE = 80;
+
+// Same grid the frontend uses for devices that were never placed on the canvas
+function fallbackPosition(index) {
+  return { x: 40 + (index % 6) * 140, y: 40 + Math.floor(index / 6) * 140 };
+}
+
+// Text lines shown under the device ID
+function deviceDetails(device, assignments) {
+  const addresses = assignments.map(a => `${a.interfaceName} ${a.ip}/${a.prefixLength}`);
+
+  if (device.type === 'vm') {
+    const resources = deviceResources(device);
+    return [
+      `${resources.cpu} vCPU, ${formatMebibytes(resources.memory)} RAM, ${formatMebibytes(resources.storage)} disk`,
+      ...addresses
+    ];
+  }
+  if (device.type === 'switch') {
+    return device.subnet ? [`subnet ${device.subnet}`] : [];
+  }
+  return addresses;
+}
+
+// Segment name and subnet of every connection, keyed by the connection object
+function connectionSegments(networkSegments) {
+  const segments = new Map();
+  networkSegments.forEach(segment => {
+    segment.connections.forEach(connItem => segments.set(connItem, segment));
+  });
+  return segments;
+}
+
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function generateDot(design, devices, connections) {
+  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments(devices, connections);
+  const segments = connectionSegments(networkSegments);
+
+  const nodes = devices.map(device => {
+    const label = [device.id, ...deviceDetails(device, ipAssignments.get(device.id) || [])].join('\n');
+    const shape = device.type === 'switch' ? 'shape=box, style="rounded,filled"' : 'shape=ellipse, style=filled';
+    return `  ${dotString(device.id)} [${shape}, fillcolor="${DEVICE_COLORS[device.type]}", label=${dotString(label)}];`;
+  });
+
+  const edges = connections.map(connItem => {
+    const segment = segments.get(connItem);
+    const label = segment ? `${segment.name}\n${segment.subnet}` : '';
+    return `  ${dotString(connItem.from)} -- ${dotString(connItem.to)} [label=${dotString(label)}];`;
+  });
+
+  return `// Generated: ${new Date().toISOString()}
+// Render with: dot -Tpng ${design.namespace}.dot -o ${design.namespace}.png
+graph ${dotString(design.name)} {
+  label=${dotString(`${design.name} (${design.namespace})`)};
+  labelloc=t;
+  fontname="Helvetica";
+  node [fontname="Helvetica", fontsize=10, fontcolor="#ffffff"];
+  edge [fontname="Helvetica", fontsize=9];
+
+${nodes.join('\n')}
+
+${edges.join('\n')}
+}
+`;
+}
+
+function xmlText(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function generateSvg(design, devices, connections) {
+  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments(devices, connections);
+  const segments = connectionSegments(networkSegments);
+  const positions = new Map(devices.map((device, index) => [device.id, device.position || fallbackPosition(index)]));
+  const center = (deviceId) => {
+    const position = positions.get(deviceId);
+    return { x: position.x + DEVICE_SIZE / 2, y: position.y + DEVICE_SIZE / 2 };
+  };
+
+  const edges = connections
+    .filter(connItem => positions.has(connItem.from) && positions.has(connItem.to))
+    .map(connItem => {
+      const from = center(connItem.from);
+      const to = center(connItem.to);
+      const segment = segments.get(connItem);
+      const label = segment
+        ? `<text x="${(from.x + to.x) / 2}" y="${(from.y + to.y) / 2 - 4}" class="edge-label">${xmlText(`${segment.name} ${segment.subnet}`)}</text>`
+        : '';
+      return `  <line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" class="edge"/>${label}`;
+    });
+
+  const nodes = devices.map(device => {
+    const { x, y } = positions.get(device.id);
+    const shape = device.type === 'switch'
+      ? `<rect x="${x}" y="${y}" width="${DEVICE_SIZE}" height="${DEVICE_SIZE}" rx="12" fill="${DEVICE_COLORS.switch}"/>`
+      : `<circle cx="${x + DEVICE_SIZE / 2}" cy="${y + DEVICE_SIZE / 2}" r="${DEVICE_SIZE / 2}" fill="${DEVICE_COLORS[device.type]}"/>`;
+    const details = deviceDetails(device, ipAssignments.get(device.id) || [])
+      .map((line, index) => `<text x="${x + DEVICE_SIZE / 2}" y="${y + DEVICE_SIZE + 14 + index * 12}" class="detail">${xmlText(line)}</text>`);
+    return [
+      `  <g class="device ${device.type}">`,
+      `    ${shape}`,
+      `    <text x="${x + DEVICE_SIZE / 2}" y="${y + DEVICE_SIZE / 2 + 5}" class="device-id">${xmlText(device.id)}</text>`,
+      ...details.map(detail => `    ${detail}`),
+      '  </g>'
+    ].join('\n');
+  });
+
+  // Room for the detail lines under the lowest devices and labels to the right
+  const width = Math.max(...[...positions.values()].map(p => p.x)) + DEVICE_SIZE + 160;
+  const height = Math.max(...[...positions.values()].map(p => p.y)) + DEVICE_SIZE + 80;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- ${xmlText(design.name)} (${xmlText(design.namespace)}), generated ${new Date().toISOString()} -->
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <style>
+    text { font-family: Helvetica, Arial, sans-serif; text-anchor: middle; }
+    .edge { stroke: #555555; stroke-width: 1.5; }
+    .edge-label { font-size: 10px; fill: #333333; }
+    .device-id { font-size: 14px; font-weight: bold; fill: #ffffff; }
+    .detail { font-size: 10px; fill: #222222; }
+  </style>
+  <rect width="100%" height="100%" fill="#ffffff"/>
+${edges.join('\n')}
+${nodes.join('\n')}
+</svg>
+`;
+}
+
+module.exports = {
+  generateDot,
+  generateSvg
+};
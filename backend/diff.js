@@ -0,0 +1,217 @@
+const { generateConnectionBasedIPAssignments } = require('./topology');
+
+// Differences between two states of a design ({ zones, devices, connections }): what was
+// added, removed or modified among zones, devices, connections and the resulting IP plan,
+// plus a unified line diff for comparing generated manifests. Canvas positions and
+// creation times are not part of the deployment and are ignored.
+
+const DEVICE_FIELDS = ['type', 'cpu', 'memory', 'storage', 'ip', 'interfaceIPs', 'subnet', 'zone'];
+const ZONE_FIELDS = ['namespace'];
+const CONNECTION_FIELDS = ['fromRouterIP', 'toRouterIP', 'subnet', 'rules'];
+const ASSIGNMENT_FIELDS = ['ip', 'prefixLength', 'subnet', 'network', 'gateway'];
+
+// Above this many cells the line diff falls back to replacing the changed block. The
+// table holds 4 bytes per cell and blocks the event loop while it fills, so the limit
+// keeps it at 8 MB, about 1400 changed lines on each side.
+const MAX_DIFF_CELLS = 2000000;
+
+// JSON with sorted keys, so { a, b } and { b, a } compare equal
+function canonical(value) {
+  if (value === undefined || value === null) return 'null';
+  if (typeof value !== 'object') return JSON.stringify(value);
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+}
+
+// { field: { before, after } } for the fields that differ, null when none do
+function fieldChanges(before, after, fields) {
+  const changes = {};
+  fields.forEach(field => {
+    if (canonical(before[field]) !== canonical(after[field])) {
+      changes[field] = { before: before[field] === undefined ? null : before[field], after: after[field] === undefined ? null : after[field] };
+    }
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Compares two keyed collections. describe(item) gives what identifies an item in the report.
+function diffCollections(before, after, fields, describe) {
+  const result = { added: [], removed: [], modified: [] };
+  after.forEach((item, key) => {
+    if (!before.has(key)) {
+      result.added.push(item);
+      return;
+    }
+    const changes = fieldChanges(before.get(key), item, fields);
+    if (changes) result.modified.push({ ...describe(item), changes });
+  });
+  before.forEach((item, key) => {
+    if (!after.has(key)) result.removed.push(item);
+  });
+  return result;
+}
+
+// Connections are undirected: key them by the sorted device pair and orient the
+// router IPs the same way on both sides
+function connectionsByPair(connections) {
+  return new Map(connections.map(connItem => {
+    const [from, to] = [connItem.from, connItem.to].sort();
+    const oriented = from === connItem.from
+      ? connItem
+      : { ...connItem, from, to, fromRouterIP: connItem.toRouterIP, toRouterIP: connItem.fromRouterIP };
+    return [`${from}|${to}`, oriented];
+  }));
+}
+
+function assignmentsByInterface(devices, connections) {
+  const { ipAssignments } = generateConnectionBasedIPAssignments(devices, connections);
+  const assignments = new Map();
+  ipAssignments.forEach((deviceAssignments, deviceId) => {
+    deviceAssignments.forEach(assignment => {
+      assignments.set(`${deviceId}|${assignment.interfaceName}`, {
+        deviceId,
+        interfaceName: assignment.interfaceName,
+        ip: assignment.ip,
+        prefixLength: assignment.prefixLength,
+        subnet: assignment.subnet,
+        network: assignment.network,
+        gateway: assignment.gateway || null
+      });
+    });
+  });
+  return assignments;
+}
+
+function diffDesigns(before, after) {
+  const devices = diffCollections(
+    new Map(before.devices.map(device => [device.id, device])),
+    new Map(after.devices.map(device => [device.id, device])),
+    DEVICE_FIELDS,
+    device => ({ id: device.id })
+  );
+  const connections = diffCollections(
+    connectionsByPair(before.connections),
+    connectionsByPair(after.connections),
+    CONNECTION_FIELDS,
+    connItem => ({ from: connItem.from, to: connItem.to })
+  );
+  const zones = diffCollections(
+    new Map((before.zones || []).map(zone => [zone.name, zone])),
+    new Map((after.zones || []).map(zone => [zone.name, zone])),
+    ZONE_FIELDS,
+    zone => ({ name: zone.name })
+  );
+  const ipAssignments = diffCollections(
+    assignmentsByInterface(before.devices, before.connections),
+    assignmentsByInterface(after.devices, after.connections),
+    ASSIGNMENT_FIELDS,
+    assignment => ({ deviceId: assignment.deviceId, interfaceName: assignment.interfaceName })
+  );
+
+  const sections = [zones, devices, connections, ipAssignments];
+  return {
+    changed: sections.some(section => section.added.length + section.removed.length + section.modified.length > 0),
+    zones,
+    devices,
+    connections,
+    ipAssignments
+  };
+}
+
+// Line operations turning a into b: [' ' | '-' | '+', line]. Common head and tail are
+// matched directly, the rest through a longest common subsequence table.
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const n = middleA.length;
+  const m = middleB.length;
+  const middle = [];
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    middleA.forEach(line => middle.push(['-', line]));
+    middleB.forEach(line => middle.push(['+', line]));
+  } else {
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = middleA[i] === middleB[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && middleA[i] === middleB[j]) {
+        middle.push([' ', middleA[i++]]);
+        j++;
+      } else if (j < m && (i === n || lengths[i * width + j + 1] > lengths[(i + 1) * width + j])) {
+        middle.push(['+', middleB[j++]]);
+      } else {
+        middle.push(['-', middleA[i++]]);
+      }
+    }
+  }
+
+  return [
+    ...a.slice(0, start).map(line => [' ', line]),
+    ...middle,
+    ...a.slice(endA).map(line => [' ', line])
+  ];
+}
+
+// Unified diff (diff -u) of two texts, empty when they are equal
+function unifiedDiff(before, after, { fromLabel = 'before', toLabel = 'after', context = 3 } = {}) {
+  const operations = diffLines(before.split('\n'), after.split('\n'));
+
+  // Line numbers in both texts at the start of every operation
+  let lineA = 1;
+  let lineB = 1;
+  const positions = operations.map(([type]) => {
+    const position = { a: lineA, b: lineB };
+    if (type !== '+') lineA++;
+    if (type !== '-') lineB++;
+    return position;
+  });
+
+  const hunks = [];
+  operations.forEach(([type], index) => {
+    if (type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(operations.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+  if (hunks.length === 0) return '';
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  hunks.forEach(({ start, end }) => {
+    const slice = operations.slice(start, end);
+    const countA = slice.filter(([type]) => type !== '+').length;
+    const countB = slice.filter(([type]) => type !== '-').length;
+    const startA = countA === 0 ? positions[start].a - 1 : positions[start].a;
+    const startB = countB === 0 ? positions[start].b - 1 : positions[start].b;
+    lines.push(`@@ -${startA},${countA} +${startB},${countB} @@`);
+    slice.forEach(([type, line]) => lines.push(`${type}${line}`));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  diffDesigns,
+  unifiedDiff
+};
@@ -0,0 +1,72 @@
+// Change events for live collaboration, sent to every browser that has a design open
+// as Server-Sent Events. Each browser identifies itself with a client ID (the
+// X-Client-Id header on its API calls) so it can skip the events of its own changes.
+
+const HEARTBEAT_INTERVAL = 25000;
+
+// designId -> Map clientId -> { res, user, connectedAt }
+const subscribers = new Map();
+let nextEventId = 1;
+
+function clientsOf(designId) {
+  return subscribers.get(Number(designId)) || new Map();
+}
+
+// Every client of the design receives the event under the same ID
+function broadcast(designId, type, data) {
+  const message = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  clientsOf(designId).forEach(client => client.res.write(message));
+}
+
+// Who has the design open
+function listUsers(designId) {
+  return [...clientsOf(designId).entries()].map(([clientId, client]) => ({
+    clientId,
+    user: client.user,
+    connectedAt: client.connectedAt
+  }));
+}
+
+function broadcastPresence(designId) {
+  broadcast(designId, 'presence', { users: listUsers(designId) });
+}
+
+// Keeps the response open as an event stream until the browser goes away
+function subscribe(designId, clientId, user, res) {
+  const key = Number(designId);
+  if (!subscribers.has(key)) subscribers.set(key, new Map());
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+
+  subscribers.get(key).set(clientId, { res, user, connectedAt: new Date().toISOString() });
+  broadcastPresence(key);
+
+  res.on('close', () => {
+    const clients = subscribers.get(key);
+    if (!clients || !clients.has(clientId) || clients.get(clientId).res !== res) return;
+    clients.delete(clientId);
+    if (clients.size === 0) subscribers.delete(key);
+    broadcastPresence(key);
+  });
+}
+
+// origin is the client that made the change; it gets the event too and ignores it
+function publish(designId, type, data, origin = null) {
+  broadcast(designId, type, { ...data, origin });
+}
+
+// Comment lines keep proxies from closing idle streams
+setInterval(() => {
+  subscribers.forEach(clients => clients.forEach(client => client.res.write(': ping\n\n')));
+}, HEARTBEAT_INTERVAL).unref();
+
+module.exports = {
+  subscribe,
+  publish,
+  listUsers
+};
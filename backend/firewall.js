@@ -0,0 +1,359 @@
+const { parseIPv4, parseCIDR, cidrsOverlap } = require('./ipam');
+
+// Firewall rules on connections. A connection without rules is open. Once it has
+// rules they filter the traffic the connection delivers to its devices: the rules
+// are checked in order, the first one that matches decides, and traffic that no rule
+// matches is dropped. Source and destination are an IPv4 address, a CIDR or a device
+// ID (all addresses of that device); left empty they match anything.
+//
+// The KubeVirt export turns the rules into MultiNetworkPolicies on the connection's
+// VMs and routers, and routers can enforce them themselves with nftables or iptables.
+
+const ACTIONS = ['allow', 'deny'];
+const PROTOCOLS = ['any', 'tcp', 'udp', 'icmp'];
+const RULESET_FORMATS = ['nftables', 'iptables'];
+const PORT_PATTERN = /^(\d{1,5})(?:-(\d{1,5}))?$/;
+// Descriptions end up as comments in router rulesets that run as root, so they are
+// plain text: no quotes, backslashes, $, backticks or newlines
+const DESCRIPTION_PATTERN = /^[A-Za-z0-9 .,:;_()/+=@#-]*$/;
+const DESCRIPTION_MAX_LENGTH = 100;
+const ANYWHERE = '0.0.0.0/0';
+
+// "80" or "8000-8080" -> { start, end }, null for every port
+function portRange(ports) {
+  if (!ports) return null;
+  const match = PORT_PATTERN.exec(ports);
+  const start = Number(match[1]);
+  return { start, end: match[2] === undefined ? start : Number(match[2]) };
+}
+
+// Checks a rule and returns it in stored form, or { error }. isDeviceId tells whether a
+// source or destination that is not an address names a device of the design.
+function normalizeFirewallRule(rule, isDeviceId) {
+  if (!rule || typeof rule !== 'object') {
+    return { error: 'A rule is an object with action, protocol, ports, source and destination' };
+  }
+  if (!ACTIONS.includes(rule.action)) {
+    return { error: `Unknown rule action: ${rule.action}. Use ${ACTIONS.join(' or ')}` };
+  }
+  const protocol = rule.protocol || 'any';
+  if (!PROTOCOLS.includes(protocol)) {
+    return { error: `Unknown protocol: ${protocol}. Use ${PROTOCOLS.join(', ')}` };
+  }
+
+  const ports = rule.ports === undefined || rule.ports === null ? '' : String(rule.ports).trim();
+  if (ports) {
+    if (protocol !== 'tcp' && protocol !== 'udp') {
+      return { error: `Ports need protocol tcp or udp, not ${protocol}` };
+    }
+    const match = PORT_PATTERN.exec(ports);
+    const range = match && portRange(ports);
+    if (!range || range.start < 1 || range.end > 65535 || range.start > range.end) {
+      return { error: `Invalid port range: ${ports}. Use a port such as 443 or a range such as 8000-8080 (1-65535)` };
+    }
+  }
+
+  const endpoints = {};
+  for (const field of ['source', 'destination']) {
+    const value = rule[field] === undefined || rule[field] === null ? '' : String(rule[field]).trim();
+    if (!value) {
+      endpoints[field] = null;
+    } else if (value.includes('/')) {
+      try {
+        endpoints[field] = parseCIDR(value).cidr;
+      } catch (error) {
+        return { error: `Invalid ${field}: ${error.message}` };
+      }
+    } else if (parseIPv4(value) !== null) {
+      endpoints[field] = value;
+    } else if (isDeviceId(value)) {
+      endpoints[field] = value;
+    } else {
+      return { error: `Invalid ${field}: ${value} is neither an IPv4 address, a CIDR nor a device of this design` };
+    }
+  }
+
+  const description = rule.description ? String(rule.description).trim() : '';
+  if (description.length > DESCRIPTION_MAX_LENGTH || !DESCRIPTION_PATTERN.test(description)) {
+    return {
+      error: `Invalid description: use at most ${DESCRIPTION_MAX_LENGTH} letters, digits, spaces and . , : ; _ ( ) / + = @ # -`
+    };
+  }
+
+  return {
+    rule: {
+      action: rule.action,
+      protocol,
+      ports: ports || null,
+      ...endpoints,
+      description: description || null
+    }
+  };
+}
+
+// The CIDRs a source or destination stands for. addressesOf(deviceId) lists the
+// addresses of a device in the IP plan.
+function resolveEndpoint(value, addressesOf) {
+  if (!value) return [ANYWHERE];
+  if (value.includes('/')) return [value];
+  if (parseIPv4(value) !== null) return [`${value}/32`];
+  return addressesOf(value).map(ip => `${ip}/32`);
+}
+
+function cidrWithin(outer, inner) {
+  const a = parseCIDR(outer);
+  const b = parseCIDR(inner);
+  return a.network <= b.network && b.broadcast <= a.broadcast;
+}
+
+const ALL_PORTS = { start: 1, end: 65535 };
+
+// Whether the two rules can match the same packet, addresses aside
+function sharesTraffic(a, b) {
+  if (a.protocol !== 'any' && b.protocol !== 'any' && a.protocol !== b.protocol) return false;
+  const aPorts = portRange(a.ports);
+  const bPorts = portRange(b.ports);
+  return !aPorts || !bPorts || (aPorts.start <= bPorts.end && bPorts.start <= aPorts.end);
+}
+
+// The parts of range outside cut
+function portsOutside(range, cut) {
+  return [
+    ...(cut.start > range.start ? [{ start: range.start, end: cut.start - 1 }] : []),
+    ...(cut.end < range.end ? [{ start: cut.end + 1, end: range.end }] : [])
+  ];
+}
+
+// Rules stored before descriptions were restricted may still carry other characters
+const safeDescription = (rule) => (rule.description || '').replace(/[^A-Za-z0-9 .,:;_()/+=@#-]/g, '').trim();
+
+// Single-quoted for sh, a quote inside becomes '\''
+const shellQuote = (value) => `'${value.replace(/'/g, "'\\''")}'`;
+
+const ruleLabel = (rule, index) => `rule ${index + 1} (${rule.action} ${rule.protocol}${rule.ports ? ` ${rule.ports}` : ''})`;
+
+// The MultiNetworkPolicy ingress of one device on a connection with rules. Policies
+// only allow, so deny rules are applied to the allow rules after them: the allowed
+// port range is split around the denied ports and the denied sources become ipBlock
+// exceptions. What cannot be written that way is returned in notes. VMs get the
+// rules whose destination matches them. Routers also receive traffic they forward,
+// they get every rule and leave the destination to their own ruleset.
+// target: { device, ip } with the device's address on the connection's segment.
+function policyIngress(rules, target, addressesOf) {
+  const notes = [];
+  const matchesTarget = (rule) => {
+    if (target.device.type === 'router' || !rule.destination) return true;
+    if (!rule.destination.includes('/') && parseIPv4(rule.destination) === null) {
+      return rule.destination === target.device.id;
+    }
+    return target.ip !== null && resolveEndpoint(rule.destination, addressesOf)
+      .some(cidr => cidrsOverlap(cidr, `${target.ip}/32`));
+  };
+  const applicable = rules.map((rule, index) => ({ rule, index })).filter(({ rule }) => matchesTarget(rule));
+
+  // Ingress entries keyed by protocol and ports, so pieces with the same ports share one
+  const entries = new Map();
+  applicable.forEach(({ rule: allow, index }, position) => {
+    if (allow.action !== 'allow') return;
+    if (allow.protocol === 'icmp') {
+      notes.push(`${ruleLabel(allow, index)} is left out: MultiNetworkPolicy only filters TCP, UDP and SCTP`);
+      return;
+    }
+    const partly = (deny, denyIndex) =>
+      notes.push(`${ruleLabel(deny, denyIndex)} only partly overlaps ${ruleLabel(allow, index)} and cannot be expressed here`);
+
+    // A source CIDR with a port range (null for every protocol) and its exceptions
+    let pieces = resolveEndpoint(allow.source, addressesOf).map(cidr => ({
+      cidr,
+      ports: allow.protocol === 'any' ? null : portRange(allow.ports) || ALL_PORTS,
+      except: []
+    }));
+    applicable.slice(0, position).forEach(({ rule: deny, index: denyIndex }) => {
+      if (deny.action !== 'deny' || !sharesTraffic(deny, allow)) return;
+      const denied = resolveEndpoint(deny.source, addressesOf);
+      pieces = pieces.flatMap(piece => {
+        if (!denied.some(cidr => cidrsOverlap(cidr, piece.cidr))) return [piece];
+        if (deny.protocol !== 'any' && allow.protocol === 'any') {
+          partly(deny, denyIndex);
+          return [piece];
+        }
+        const cut = portRange(deny.ports);
+        const overlap = cut && piece.ports
+          ? { start: Math.max(cut.start, piece.ports.start), end: Math.min(cut.end, piece.ports.end) }
+          : piece.ports;
+        if (overlap && overlap.start > overlap.end) return [piece];
+        const outside = cut && piece.ports ? portsOutside(piece.ports, overlap) : [];
+
+        const inside = { ...piece, ports: overlap, except: [...piece.except] };
+        let shadowed = false;
+        denied.filter(cidr => cidrsOverlap(cidr, piece.cidr)).forEach(cidr => {
+          if (cidrWithin(cidr, piece.cidr)) {
+            shadowed = true;
+          } else if (cidrWithin(piece.cidr, cidr)) {
+            inside.except.push(cidr);
+          } else {
+            partly(deny, denyIndex);
+          }
+        });
+        return [...outside.map(ports => ({ ...piece, ports })), ...(shadowed ? [] : [inside])];
+      });
+    });
+
+    pieces.forEach(piece => {
+      const key = `${allow.protocol}:${piece.ports ? `${piece.ports.start}-${piece.ports.end}` : ''}`;
+      if (!entries.has(key)) {
+        const all = !piece.ports || (piece.ports.start === ALL_PORTS.start && piece.ports.end === ALL_PORTS.end);
+        entries.set(key, {
+          from: [],
+          ports: allow.protocol === 'any'
+            ? []
+            : [{
+              protocol: allow.protocol.toUpperCase(),
+              ...(all ? {} : { port: piece.ports.start }),
+              ...(!all && piece.ports.end > piece.ports.start ? { endPort: piece.ports.end } : {})
+            }]
+        });
+      }
+      entries.get(key).from.push({ cidr: piece.cidr, except: [...new Set(piece.except)] });
+    });
+  });
+
+  if (target.device.type === 'router' && rules.some(rule => rule.destination)) {
+    notes.push('Destinations are not checked here, the router forwards this traffic; its ruleset checks them');
+  }
+  return { ingress: [...entries.values()], notes };
+}
+
+// One chain per router interface with rules. links: [{ interfaceName, peerId, rules }].
+// The rules filter what the router forwards out of the interface onto the link;
+// answers to allowed traffic always pass. Chains are numbered by link so peers whose
+// IDs look alike once shortened never share one.
+function generateRouterRuleset(router, links, format, addressesOf) {
+  const chainName = (link) => `to_${links.indexOf(link) + 1}_${link.peerId.toLowerCase().replace(/[^a-z0-9_]/g, '_')}`;
+
+  if (format === 'nftables') {
+    const set = (cidrs) => (cidrs.length === 1 ? cidrs[0] : `{ ${cidrs.join(', ')} }`);
+    // { missing } when a device named in the rule has no address yet
+    const match = (rule) => {
+      const parts = [];
+      for (const [field, keyword] of [['source', 'saddr'], ['destination', 'daddr']]) {
+        if (!rule[field]) continue;
+        const cidrs = resolveEndpoint(rule[field], addressesOf);
+        if (cidrs.length === 0) return { missing: rule[field] };
+        parts.push(`ip ${keyword} ${set(cidrs)}`);
+      }
+      if (rule.protocol === 'icmp') parts.push('ip protocol icmp');
+      else if (rule.protocol !== 'any') parts.push(rule.ports ? `${rule.protocol} dport ${rule.ports}` : `meta l4proto ${rule.protocol}`);
+      return { parts };
+    };
+    const lines = [
+      '#!/usr/sbin/nft -f',
+      `# Firewall rules of ${router.id}, generated from the design`,
+      'table inet lab_firewall',
+      'delete table inet lab_firewall',
+      'table inet lab_firewall {',
+      '  chain forward {',
+      '    type filter hook forward priority 0; policy accept;',
+      '    ct state established,related accept',
+      ...links.map(link => `    oifname "${link.interfaceName}" jump ${chainName(link)}`),
+      '  }'
+    ];
+    links.forEach(link => {
+      lines.push('', `  # ${router.id} - ${link.peerId}`, `  chain ${chainName(link)} {`);
+      link.rules.forEach((rule, index) => {
+        const { parts, missing } = match(rule);
+        if (missing) {
+          lines.push(`    # ${ruleLabel(rule, index)} skipped: ${missing} has no address`);
+          return;
+        }
+        const description = safeDescription(rule);
+        const comment = description ? ` comment "${description}"` : '';
+        lines.push(`    ${[...parts, rule.action === 'allow' ? 'accept' : 'drop'].join(' ')}${comment}`);
+      });
+      lines.push('    drop', '  }');
+    });
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  // iptables chain names have at most 28 characters; the number keeps them apart
+  const chain = (link) => `LAB-${chainName(link).toUpperCase().replace(/_/g, '-')}`.slice(0, 28);
+  const lines = [
+    '#!/bin/sh',
+    `# Firewall rules of ${router.id}, generated from the design`,
+    'set -e',
+    'iptables -C FORWARD -m conntrack --ctstate ESTABLISHED,RELATED -j ACCEPT 2>/dev/null ||',
+    '  iptables -I FORWARD 1 -m conntrack --ctstate ESTABLISHED,RELATED -j ACCEPT'
+  ];
+  links.forEach(link => {
+    lines.push(
+      '',
+      `# ${router.id} - ${link.peerId}`,
+      `iptables -N ${chain(link)} 2>/dev/null || iptables -F ${chain(link)}`,
+      `iptables -C FORWARD -o ${link.interfaceName} -j ${chain(link)} 2>/dev/null ||`,
+      `  iptables -A FORWARD -o ${link.interfaceName} -j ${chain(link)}`
+    );
+    link.rules.forEach((rule, index) => {
+      const protocol = rule.protocol === 'any' ? [] : [`-p ${rule.protocol}`];
+      const ports = rule.ports ? [`--dport ${rule.ports.replace('-', ':')}`] : [];
+      const description = safeDescription(rule);
+      const comment = description ? [`-m comment --comment ${shellQuote(description)}`] : [];
+      const sources = rule.source ? resolveEndpoint(rule.source, addressesOf) : [null];
+      const destinations = rule.destination ? resolveEndpoint(rule.destination, addressesOf) : [null];
+      if (sources.length === 0 || destinations.length === 0) {
+        lines.push(`# ${ruleLabel(rule, index)} skipped: ${sources.length === 0 ? rule.source : rule.destination} has no address`);
+        return;
+      }
+      sources.forEach(source => destinations.forEach(destination => {
+        lines.push([
+          `iptables -A ${chain(link)}`,
+          ...(source ? [`-s ${source}`] : []),
+          ...(destination ? [`-d ${destination}`] : []),
+          ...protocol,
+          ...ports,
+          ...comment,
+          `-j ${rule.action === 'allow' ? 'ACCEPT' : 'DROP'}`
+        ].join(' '));
+      }));
+    });
+    lines.push(`iptables -A ${chain(link)} -j DROP`);
+  });
+  return lines.join('\n');
+}
+
+// Addresses of a device in the IP plan, for device IDs in rules
+function addressLookup(ipAssignments) {
+  return deviceId => (ipAssignments.get(deviceId) || []).map(assignment => assignment.ip);
+}
+
+// The router's ruleset in the given format, for the links of the router that have
+// rules; null when there are none or no format is asked for
+function routerFirewall(router, { ipAssignments, networkSegments }, format) {
+  if (!format) return null;
+  if (!RULESET_FORMATS.includes(format)) {
+    throw new Error(`Unknown router firewall format: ${format}. Use ${RULESET_FORMATS.join(' or ')}`);
+  }
+  const links = [];
+  (ipAssignments.get(router.id) || []).forEach(assignment => {
+    const segment = networkSegments.get(assignment.network);
+    if (!segment) return;
+    segment.connections
+      .filter(connItem => (connItem.from === router.id || connItem.to === router.id) && connItem.rules && connItem.rules.length > 0)
+      .forEach(connItem => links.push({
+        interfaceName: assignment.interfaceName,
+        peerId: connItem.from === router.id ? connItem.to : connItem.from,
+        rules: connItem.rules
+      }));
+  });
+  if (links.length === 0) return null;
+  return { format, ruleset: generateRouterRuleset(router, links, format, addressLookup(ipAssignments)) };
+}
+
+module.exports = {
+  ACTIONS,
+  PROTOCOLS,
+  normalizeFirewallRule,
+  addressLookup,
+  policyIngress,
+  routerFirewall
+};
@@ -0,0 +1,289 @@
+const yaml = require('js-yaml');
+const { parseSize } = require('./quantities');
+const { parseIPv4, networkFor, validateCIDR, parseCIDR } = require('./ipam');
+
+// Rebuilds devices and connections from KubeVirt manifests. VirtualMachines become
+// VMs or routers, their shared Multus networks become connections: a direct link
+// when exactly two devices share a network and at most one of them is a VM, a
+// switch otherwise. Whatever cannot be mapped is reported, never guessed.
+
+const ID_PATTERN = /^([vr])(\d+)$/i;
+
+function multusNetworkName(networkName) {
+  return networkName.includes('/') ? networkName.split('/').pop() : networkName;
+}
+
+// Subnet a NetworkAttachmentDefinition declares, through our annotation or its CNI ipam
+function nadSubnet(doc) {
+  const annotated = doc.metadata.annotations && doc.metadata.annotations['infrastructure-lab/subnet'];
+  if (annotated && !validateCIDR(annotated)) return parseCIDR(annotated).cidr;
+
+  try {
+    const { ipam = {} } = JSON.parse((doc.spec && doc.spec.config) || '{}');
+    const subnet = ipam.subnet || (ipam.ranges && ipam.ranges[0] && ipam.ranges[0][0] && ipam.ranges[0][0].subnet);
+    return subnet && !validateCIDR(subnet) ? parseCIDR(subnet).cidr : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// spec.resources.requests.storage of a PVC or DataVolume storage spec, null when unset
+function requestedStorage(storageSpec) {
+  const requests = storageSpec && storageSpec.resources && storageSpec.resources.requests;
+  return (requests && requests.storage) || null;
+}
+
+function decodeBase64(value) {
+  return value ? Buffer.from(value, 'base64').toString('utf8') : null;
+}
+
+function cloudInitVolume(vmSpec) {
+  const volume = (vmSpec.volumes || []).find(v => v.cloudInitNoCloud || v.cloudInitConfigDrive);
+  return volume ? volume.cloudInitNoCloud || volume.cloudInitConfigDrive : null;
+}
+
+// ethernets from the netplan v2 network data, optionally wrapped in "network:"
+function netplanEthernets(cloudInit) {
+  const text = cloudInit.networkData || decodeBase64(cloudInit.networkDataBase64);
+  if (!text) return {};
+  const data = yaml.load(text) || {};
+  return (data.network || data).ethernets || {};
+}
+
+function parseCores(domain) {
+  const cpu = domain.cpu || {};
+  if (cpu.cores || cpu.sockets || cpu.threads) {
+    return (cpu.cores || 1) * (cpu.sockets || 1) * (cpu.threads || 1);
+  }
+  const request = domain.resources && domain.resources.requests && domain.resources.requests.cpu;
+  if (request === undefined) return null;
+  const millicores = /^(\d+)m$/.exec(String(request));
+  return Math.ceil(millicores ? Number(millicores[1]) / 1000 : Number(request)) || null;
+}
+
+// Size of the first disk: its PVC, DataVolume template or DataVolume document
+function rootDiskSize(vm, vmSpec, claims) {
+  const disk = ((vmSpec.domain.devices || {}).disks || [])[0];
+  const volume = disk && (vmSpec.volumes || []).find(v => v.name === disk.name);
+  if (!volume) return { size: null, reason: 'no disk volume' };
+
+  // Claims listed without a storage request are in claims with a null size
+  const missing = (kind, name) => ({
+    size: null,
+    reason: claims.has(name) ? `${kind} ${name} requests no storage` : `${kind} ${name} is not part of the import`
+  });
+
+  if (volume.persistentVolumeClaim) {
+    const size = claims.get(volume.persistentVolumeClaim.claimName);
+    return size ? { size } : missing('PVC', volume.persistentVolumeClaim.claimName);
+  }
+  if (volume.dataVolume) {
+    const template = (vm.spec.dataVolumeTemplates || []).find(t => t.metadata && t.metadata.name === volume.dataVolume.name);
+    const storageSpec = template && template.spec && (template.spec.storage || template.spec.pvc);
+    const size = requestedStorage(storageSpec) || claims.get(volume.dataVolume.name);
+    return size ? { size } : missing('DataVolume', volume.dataVolume.name);
+  }
+  return { size: null, reason: `${Object.keys(volume).find(key => key !== 'name')} volumes have no size` };
+}
+
+// One VirtualMachine -> draft device with its addresses per Multus network
+function parseVirtualMachine(vm, claims, unmapped) {
+  const name = vm.metadata.name;
+  const vmSpec = vm.spec.template.spec;
+  const domain = vmSpec.domain;
+  const labels = vm.metadata.labels || {};
+  const cloudInit = cloudInitVolume(vmSpec);
+  const userData = cloudInit ? cloudInit.userData || decodeBase64(cloudInit.userDataBase64) || '' : '';
+  const report = (reason) => unmapped.push({ kind: 'VirtualMachine', name, reason });
+
+  const draft = {
+    name,
+    type: labels['device-type'] === 'router' || /ip_forward/.test(userData) ? 'router' : 'vm',
+    cpu: parseCores(domain),
+    memory: null,
+    storage: null,
+    networks: [],
+    addresses: new Map()
+  };
+
+  const memory = (domain.resources && domain.resources.requests && domain.resources.requests.memory) ||
+    (domain.memory && domain.memory.guest);
+  try {
+    if (memory) draft.memory = parseSize(memory, 'memory');
+    const disk = rootDiskSize(vm, vmSpec, claims);
+    if (disk.size) draft.storage = parseSize(disk.size, 'storage');
+    else report(`disk size unknown: ${disk.reason}`);
+  } catch (error) {
+    report(error.message);
+  }
+
+  // Multus attachments in interface order; eth1..N in the guest, eth0 is the pod network
+  const networksByName = new Map((vmSpec.networks || []).map(network => [network.name, network]));
+  const multusInterfaces = ((domain.devices || {}).interfaces || [])
+    .map(iface => ({ ...iface, network: networksByName.get(iface.name) }))
+    .filter(iface => iface.network && iface.network.multus);
+  multusInterfaces.forEach(iface => draft.networks.push(multusNetworkName(iface.network.multus.networkName)));
+
+  if (cloudInit) {
+    let ethernets = {};
+    try {
+      ethernets = netplanEthernets(cloudInit);
+    } catch (error) {
+      report(`cloud-init network data is not valid YAML: ${error.message}`);
+    }
+
+    Object.entries(ethernets).forEach(([key, ethernet]) => {
+      const addresses = (ethernet && ethernet.addresses) || [];
+      if (addresses.length === 0) return;
+
+      const mac = ethernet.match && ethernet.match.macaddress;
+      const interfaceName = ethernet['set-name'] || key;
+      const byMac = mac && multusInterfaces.find(iface => iface.macAddress && iface.macAddress.toLowerCase() === String(mac).toLowerCase());
+      const ethNumber = /^eth(\d+)$/.exec(interfaceName);
+      const iface = byMac || (ethNumber && multusInterfaces[Number(ethNumber[1]) - 1]);
+      if (!iface) {
+        if (interfaceName !== 'eth0') report(`${interfaceName} ${addresses.join(', ')} matches no Multus interface`);
+        return;
+      }
+
+      const [ip, prefix] = String(addresses[0]).split('/');
+      if (parseIPv4(ip) === null) {
+        report(`${interfaceName} address ${addresses[0]} is not an IPv4 address`);
+        return;
+      }
+      draft.addresses.set(multusNetworkName(iface.network.multus.networkName), { ip, prefixLength: Number(prefix) || 24 });
+      if (addresses.length > 1) report(`${interfaceName}: only ${addresses[0]} is kept, ${addresses.slice(1).join(', ')} dropped`);
+    });
+  }
+
+  return draft;
+}
+
+// Returns { devices, connections, deviceCounters, mapping, unmapped }. existingIds
+// and deviceCounters are the design's, so imported IDs never collide.
+function importKubeVirt(text, { existingIds = [], deviceCounters = {} } = {}) {
+  const docs = yaml.loadAll(text).filter(doc => doc && typeof doc === 'object');
+  const unmapped = [];
+  const claims = new Map();
+  const subnets = new Map();
+  const virtualMachines = [];
+
+  docs.forEach(doc => {
+    const name = doc.metadata && doc.metadata.name;
+    if (doc.kind === 'VirtualMachine' && doc.spec && doc.spec.template && doc.spec.template.spec && doc.spec.template.spec.domain) {
+      virtualMachines.push(doc);
+    } else if (doc.kind === 'PersistentVolumeClaim' || doc.kind === 'DataVolume') {
+      const storageSpec = doc.kind === 'DataVolume' ? doc.spec && (doc.spec.storage || doc.spec.pvc) : doc.spec;
+      const size = requestedStorage(storageSpec);
+      claims.set(name, size);
+      if (!size) unmapped.push({ kind: doc.kind, name: name || null, reason: 'no spec.resources.requests.storage, the size is unknown' });
+    } else if (doc.kind === 'NetworkAttachmentDefinition') {
+      subnets.set(name, nadSubnet(doc));
+    } else if (doc.kind !== 'Namespace') {
+      unmapped.push({ kind: doc.kind || 'unknown', name: name || null, reason: 'not a resource the designer models' });
+    }
+  });
+
+  if (virtualMachines.length === 0) {
+    throw new Error('No VirtualMachine found in the YAML');
+  }
+
+  const drafts = virtualMachines.map(vm => parseVirtualMachine(vm, claims, unmapped));
+
+  // Keep "v3"/"r1" style names as IDs when free, number the rest after the counters
+  const counters = { ...deviceCounters };
+  // Compared in upper case: IDs that only differ in case clash in resource names
+  const taken = new Set(existingIds.map(id => id.toUpperCase()));
+  const claim = (type, id) => {
+    taken.add(id);
+    counters[type] = Math.max(counters[type] || 0, Number(/(\d+)$/.exec(id)[1]));
+    return id;
+  };
+  const allocate = (type) => {
+    const prefix = type.charAt(0).toUpperCase();
+    let number = (counters[type] || 0) + 1;
+    while (taken.has(`${prefix}${number}`)) number++;
+    return claim(type, `${prefix}${number}`);
+  };
+
+  drafts.forEach(draft => {
+    const match = ID_PATTERN.exec(draft.name);
+    const id = match && match[1].toLowerCase() === draft.type.charAt(0) ? match[0].toUpperCase() : null;
+    if (id && !taken.has(id)) draft.id = claim(draft.type, id);
+  });
+  drafts.filter(draft => !draft.id).forEach(draft => {
+    draft.id = allocate(draft.type);
+  });
+
+  const devices = drafts.map(draft => ({
+    id: draft.id,
+    type: draft.type,
+    cpu: draft.cpu,
+    memory: draft.memory,
+    storage: draft.storage,
+    ip: null,
+    interfaceIPs: draft.type === 'router' ? {} : null,
+    subnet: null
+  }));
+  const deviceOf = (draft) => devices.find(device => device.id === draft.id);
+
+  // VMs hold a single custom address, the first static one
+  drafts.filter(draft => draft.type === 'vm').forEach(draft => {
+    const [first, ...rest] = draft.networks.filter(network => draft.addresses.has(network));
+    if (first) deviceOf(draft).ip = draft.addresses.get(first).ip;
+    rest.forEach(network => unmapped.push({
+      kind: 'VirtualMachine',
+      name: draft.name,
+      reason: `${draft.addresses.get(network).ip} on ${network} dropped, a VM keeps one custom address`
+    }));
+  });
+
+  const connections = [];
+  const connect = (a, b, subnet) => {
+    const connItem = { from: a.id, to: b.id, fromRouterIP: null, toRouterIP: null, subnet };
+    connections.push(connItem);
+    return connItem;
+  };
+  // Router addresses live on the connection and in interfaceIPs towards the peer
+  const setRouterIP = (connItem, draft, network) => {
+    const address = draft.addresses.get(network);
+    if (draft.type !== 'router' || !address) return;
+    const peer = connItem.from === draft.id ? connItem.to : connItem.from;
+    connItem[connItem.from === draft.id ? 'fromRouterIP' : 'toRouterIP'] = address.ip;
+    deviceOf(draft).interfaceIPs[`to_${peer}`] = address.ip;
+  };
+
+  const networkNames = [...new Set(drafts.flatMap(draft => draft.networks))];
+  networkNames.forEach(network => {
+    const members = drafts.filter(draft => draft.networks.includes(network));
+    const address = members.map(draft => draft.addresses.get(network)).find(Boolean);
+    const subnet = subnets.get(network) || (address ? networkFor(address.ip, address.prefixLength) : null);
+
+    if (members.length === 1) {
+      unmapped.push({ kind: 'Network', name: network, reason: `only ${members[0].name} attaches to it, there is nothing to connect` });
+    } else if (members.length === 2 && members.some(draft => draft.type === 'router')) {
+      const connItem = connect(deviceOf(members[0]), deviceOf(members[1]), subnet);
+      members.forEach(draft => setRouterIP(connItem, draft, network));
+    } else {
+      const networkSwitch = { id: allocate('switch'), type: 'switch', cpu: null, memory: null, storage: null, ip: null, interfaceIPs: null, subnet };
+      devices.push(networkSwitch);
+      members.forEach(draft => setRouterIP(connect(deviceOf(draft), networkSwitch, null), draft, network));
+    }
+  });
+
+  [...subnets.keys()]
+    .filter(network => !networkNames.includes(network))
+    .forEach(network => unmapped.push({ kind: 'NetworkAttachmentDefinition', name: network, reason: 'no VirtualMachine uses it' }));
+
+  return {
+    devices,
+    connections,
+    deviceCounters: counters,
+    mapping: drafts.map(draft => ({ name: draft.name, deviceId: draft.id })),
+    unmapped
+  };
+}
+
+module.exports = {
+  importKubeVirt
+};
@@ -0,0 +1,151 @@
+// IPv4 address management: CIDR parsing and per-segment address pools.
+// Addresses are handled as unsigned 32-bit integers internally.
+
+const IP_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+function parseIPv4(ip) {
+  const match = IP_PATTERN.exec(String(ip).trim());
+  if (!match) return null;
+
+  const octets = match.slice(1, 5).map(Number);
+  if (octets.some(octet => octet > 255)) return null;
+
+  return octets.reduce((value, octet) => value * 256 + octet, 0);
+}
+
+function formatIPv4(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+function prefixToNetmask(prefixLength) {
+  return formatIPv4(2 ** 32 - 2 ** (32 - prefixLength));
+}
+
+// Parses "10.0.0.0/24". Throws when the notation is invalid or host bits are set.
+function parseCIDR(cidr) {
+  const [address, prefix, extra] = String(cidr).trim().split('/');
+  const network = parseIPv4(address);
+  const prefixLength = Number(prefix);
+
+  if (network === null || extra !== undefined || prefix === undefined ||
+      !/^\d{1,2}$/.test(prefix) || prefixLength > 32) {
+    throw new Error(`Invalid CIDR: ${cidr}. Use the form 10.0.0.0/24`);
+  }
+
+  const blockSize = 2 ** (32 - prefixLength);
+  if (network % blockSize !== 0) {
+    throw new Error(`Invalid CIDR: ${cidr} has host bits set, did you mean ${formatIPv4(network - network % blockSize)}/${prefixLength}?`);
+  }
+
+  const broadcast = network + blockSize - 1;
+  // /31 point-to-point links and /32 have no network or broadcast address to skip (RFC 3021)
+  const firstHost = prefixLength >= 31 ? network : network + 1;
+  const lastHost = prefixLength >= 31 ? broadcast : broadcast - 1;
+
+  return {
+    cidr: `${formatIPv4(network)}/${prefixLength}`,
+    network,
+    broadcast,
+    firstHost,
+    lastHost,
+    prefixLength,
+    netmask: prefixToNetmask(prefixLength),
+    size: lastHost - firstHost + 1
+  };
+}
+
+// Returns an error message, or null when the CIDR is usable as a segment subnet.
+function validateCIDR(cidr) {
+  try {
+    parseCIDR(cidr);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// The /prefix network containing ip, e.g. networkFor('10.1.2.3', 24) -> '10.1.2.0/24'
+function networkFor(ip, prefixLength) {
+  const value = parseIPv4(ip);
+  const blockSize = 2 ** (32 - prefixLength);
+  return `${formatIPv4(value - value % blockSize)}/${prefixLength}`;
+}
+
+function cidrContains(cidr, ip) {
+  const { network, broadcast } = parseCIDR(cidr);
+  const value = parseIPv4(ip);
+  return value !== null && value >= network && value <= broadcast;
+}
+
+function cidrsOverlap(a, b) {
+  const first = parseCIDR(a);
+  const second = parseCIDR(b);
+  return first.network <= second.broadcast && second.network <= first.broadcast;
+}
+
+// Address pool for one subnet. Every address is owned by at most one holder;
+// reserve() claims a specific address, allocate() hands out the next free host.
+function createAddressPool(cidr) {
+  const subnet = parseCIDR(cidr);
+  const allocations = new Map();
+
+  const contains = (ip) => {
+    const value = parseIPv4(ip);
+    return value !== null && value >= subnet.firstHost && value <= subnet.lastHost;
+  };
+
+  const reserve = (ip, owner) => {
+    if (!contains(ip)) {
+      throw new Error(`${ip} is outside ${subnet.cidr}`);
+    }
+    const value = parseIPv4(ip);
+    if (allocations.has(value)) {
+      throw new Error(`${ip} is already allocated to ${allocations.get(value)}`);
+    }
+    allocations.set(value, owner);
+    return formatIPv4(value);
+  };
+
+  // Searches upwards from the host at `offset` (1 = first host), wrapping to the
+  // start of the subnet so small subnets still fill up completely.
+  const allocate = (owner, { offset = 1 } = {}) => {
+    const start = Math.min(subnet.firstHost + offset - 1, subnet.lastHost + 1);
+    const candidates = [[start, subnet.lastHost], [subnet.firstHost, start - 1]];
+
+    for (const [from, to] of candidates) {
+      for (let value = from; value <= to; value++) {
+        if (!allocations.has(value)) {
+          allocations.set(value, owner);
+          return formatIPv4(value);
+        }
+      }
+    }
+    throw new Error(`No free addresses left in ${subnet.cidr}`);
+  };
+
+  return {
+    subnet,
+    contains,
+    reserve,
+    allocate,
+    isAllocated: (ip) => allocations.has(parseIPv4(ip)),
+    ownerOf: (ip) => allocations.get(parseIPv4(ip)) || null,
+    usage: () => ({
+      size: subnet.size,
+      used: allocations.size,
+      free: subnet.size - allocations.size
+    })
+  };
+}
+
+module.exports = {
+  parseIPv4,
+  formatIPv4,
+  prefixToNetmask,
+  parseCIDR,
+  validateCIDR,
+  networkFor,
+  cidrContains,
+  cidrsOverlap,
+  createAddressPool
+};
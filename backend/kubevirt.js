@@ -0,0 +1,382 @@
+const { generateConnectionBasedIPAssignments } = require('./topology');
+const { formatMebibytes, deviceResources } = require('./quantities');
+const { generateCloudInit } = require('./cloudinit');
+const { computeRoutingTables } = require('./routing');
+const { addressLookup, policyIngress, routerFirewall } = require('./firewall');
+
+const CLOUD_IMAGE_URL = 'https://cloud-images.ubuntu.com/jammy/current/jammy-server-cloudimg-amd64.img';
+
+// options.routerFirewall ('nftables' or 'iptables') adds the connection firewall rules
+// to the routers' cloud-init. options.placement ({ hint, plan } with the capacity plan
+// of capacity.js) pins the VMs to their planned nodes.
+function generateKubeVirtInfrastructure(design, devices, connections, options = {}) {
+  const components = [];
+  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments(devices, connections);
+  const routingTables = computeRoutingTables(devices, { ipAssignments, networkSegments });
+  
+  components.push(`# KubeVirt Infrastructure
+# Generated: ${new Date().toISOString()}
+# Devices: ${devices.length} | Connections: ${connections.length}
+# Design: ${design.name}
+# Namespace: ${design.namespace}
+
+${generateNamespaces(design)}`);
+
+  components.push(generateNetworkAttachmentDefinitions(design, devices, networkSegments));
+  components.push(...generateMultiNetworkPolicies(design, devices, { ipAssignments, networkSegments }));
+  
+  components.push('# Persistent Volume Claims');
+  virtualMachines(devices).forEach(device => {
+    components.push(generateDevicePVC(design, device, options));
+  });
+  
+  components.push('# Virtual Machines');
+  virtualMachines(devices).forEach(device => {
+    components.push(generateNetworkedKubeVirtVM(design, devices, device, ipAssignments, networkSegments, routingTables, options));
+  });
+  
+  return components.join('\n---\n');
+}
+
+function generateVMsOnly(design, devices, connections, options = {}) {
+  const components = [];
+  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments(devices, connections);
+  const routingTables = computeRoutingTables(devices, { ipAssignments, networkSegments });
+  
+  components.push(`# KubeVirt VMs
+# Generated: ${new Date().toISOString()}
+# Design: ${design.name}
+# Namespace: ${design.namespace}`);
+  
+  components.push('# Virtual Machines');
+  virtualMachines(devices).forEach(device => {
+    components.push(generateNetworkedKubeVirtVM(design, devices, device, ipAssignments, networkSegments, routingTables, options));
+  });
+  
+  return components.join('\n---\n');
+}
+
+function generatePVCsOnly(design, devices, connections, options = {}) {
+  const components = [];
+  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments(devices, connections);
+  
+  components.push(`# KubeVirt PVCs and Networks
+# Generated: ${new Date().toISOString()}
+# Design: ${design.name}
+# Namespace: ${design.namespace}
+
+${generateNamespaces(design)}`);
+  
+  components.push(generateNetworkAttachmentDefinitions(design, devices, networkSegments));
+  components.push(...generateMultiNetworkPolicies(design, devices, { ipAssignments, networkSegments }));
+  
+  components.push('# Persistent Volume Claims');
+  virtualMachines(devices).forEach(device => {
+    components.push(generateDevicePVC(design, device, options));
+  });
+  
+  return components.join('\n---\n');
+}
+
+// Switches are realised by the NetworkAttachmentDefinition bridge, not as VMs
+function virtualMachines(devices) {
+  return devices.filter(device => device.type !== 'switch');
+}
+
+function resourceName(device) {
+  return device.id.toLowerCase();
+}
+
+// Zones (design.zones) put the zone name on the resources of their devices as the
+// "zone" label and, when the zone has a namespace of its own, move them there.
+function zoneOf(design, device) {
+  return (design.zones || []).find(zone => zone.name === device.zone) || null;
+}
+
+function zoneLabels(zone) {
+  return zone ? { zone: zone.name } : {};
+}
+
+function namespaceOf(design, zone) {
+  return (zone && zone.namespace) || design.namespace;
+}
+
+// A segment belongs to a zone when all of its VMs and routers do; switches only
+// draw the segment and do not count
+function segmentZone(design, devices, segment) {
+  const zones = segment.devices
+    .map(deviceId => devices.find(device => device.id === deviceId))
+    .filter(device => device && device.type !== 'switch')
+    .map(device => zoneOf(design, device));
+  return zones.length > 0 && zones.every(zone => zone && zone === zones[0]) ? zones[0] : null;
+}
+
+// Indents every line of a multi-line block, for YAML literal scalars
+function indentBlock(text, indent) {
+  return text.split('\n').map(line => `${' '.repeat(indent)}${line}`).join('\n');
+}
+
+// Renders a label map as YAML lines at the given indentation, design labels last so they can override.
+function formatLabels(baseLabels, design, indent) {
+  const labels = { ...baseLabels, ...design.labels };
+  return Object.entries(labels)
+    .map(([key, value]) => `${' '.repeat(indent)}${key}: "${value}"`)
+    .join('\n');
+}
+
+function generateNamespace(design, namespace = design.namespace, baseLabels = {}) {
+  return `apiVersion: v1
+kind: Namespace
+metadata:
+  name: ${namespace}
+  labels:
+${formatLabels({ name: namespace, type: 'infrastructure-lab', ...baseLabels }, design, 4)}`;
+}
+
+// The design's namespace and those of zones that have their own
+function generateNamespaces(design) {
+  const namespaces = [`# Create namespace first\n${generateNamespace(design)}`];
+  const seen = new Set([design.namespace]);
+  (design.zones || []).forEach(zone => {
+    if (!zone.namespace || seen.has(zone.namespace)) return;
+    seen.add(zone.namespace);
+    namespaces.push(generateNamespace(design, zone.namespace, zoneLabels(zone)));
+  });
+  return namespaces.join('\n---\n');
+}
+
+// A segment's definition lives in its zone's namespace when it has one, otherwise in
+// the design namespace; VMs elsewhere refer to it as <namespace>/<name>
+function generateNetworkAttachmentDefinitions(design, devices, networkSegments) {
+  const definitions = ['# Network Attachment Definitions'];
+  
+  networkSegments.forEach(segment => {
+    const zone = segmentZone(design, devices, segment);
+    const cniConfig = JSON.stringify({
+      cniVersion: '0.3.1',
+      name: segment.name,
+      type: 'bridge',
+      bridge: `br-${segment.name}`,
+      ipam: {}
+    });
+    
+    definitions.push(`apiVersion: k8s.cni.cncf.io/v1
+kind: NetworkAttachmentDefinition
+metadata:
+  name: ${segment.name}
+  namespace: ${namespaceOf(design, zone)}
+  labels:
+${formatLabels({ type: 'infrastructure-lab', ...zoneLabels(zone) }, design, 4)}
+  annotations:
+    infrastructure-lab/subnet: "${segment.subnet}"
+    infrastructure-lab/devices: "${segment.devices.join(',')}"
+spec:
+  config: '${cniConfig}'`);
+  });
+  
+  return definitions.join('\n---\n');
+}
+
+// Connections with firewall rules get a MultiNetworkPolicy for each of their VMs and
+// routers, in that device's namespace and for the segment's NetworkAttachmentDefinition.
+// Connections without rules stay open.
+function generateMultiNetworkPolicies(design, devices, { ipAssignments, networkSegments }) {
+  const addressesOf = addressLookup(ipAssignments);
+  const policies = [];
+
+  networkSegments.forEach(segment => {
+    const networkNamespace = namespaceOf(design, segmentZone(design, devices, segment));
+    segment.connections
+      .filter(connItem => connItem.rules && connItem.rules.length > 0)
+      .forEach(connItem => {
+        [connItem.from, connItem.to]
+          .map(deviceId => devices.find(device => device.id === deviceId))
+          .filter(device => device && device.type !== 'switch')
+          .forEach(device => {
+            const assignment = (ipAssignments.get(device.id) || []).find(a => a.network === segment.name);
+            const { ingress, notes } = policyIngress(connItem.rules, { device, ip: assignment ? assignment.ip : null }, addressesOf);
+            policies.push(generateMultiNetworkPolicy(design, device, connItem, `${networkNamespace}/${segment.name}`, ingress, notes));
+          });
+      });
+  });
+
+  return policies.length > 0 ? ['# Multi-network policies (connection firewall rules)', ...policies] : [];
+}
+
+function generateMultiNetworkPolicy(design, device, connItem, network, ingress, notes) {
+  const name = resourceName(device);
+  const zone = zoneOf(design, device);
+  const ingressLines = ingress.length === 0 ? ['  ingress: []'] : ['  ingress:'];
+  ingress.forEach(entry => {
+    ingressLines.push('    - from:');
+    entry.from.forEach(peer => {
+      ingressLines.push('        - ipBlock:', `            cidr: ${peer.cidr}`);
+      if (peer.except.length > 0) {
+        ingressLines.push('            except:', ...peer.except.map(cidr => `              - ${cidr}`));
+      }
+    });
+    if (entry.ports.length > 0) {
+      ingressLines.push('      ports:');
+      entry.ports.forEach(port => {
+        ingressLines.push(`        - protocol: ${port.protocol}`);
+        if (port.port !== undefined) ingressLines.push(`          port: ${port.port}`);
+        if (port.endPort !== undefined) ingressLines.push(`          endPort: ${port.endPort}`);
+      });
+    }
+  });
+
+  return `${[...new Set(notes)].map(note => `# NOTE: ${note}\n`).join('')}apiVersion: k8s.cni.cncf.io/v1beta1
+kind: MultiNetworkPolicy
+metadata:
+  name: fw-${connItem.from.toLowerCase()}-${connItem.to.toLowerCase()}-${name}
+  namespace: ${namespaceOf(design, zone)}
+  labels:
+${formatLabels({ app: name, type: 'infrastructure-lab', ...zoneLabels(zone) }, design, 4)}
+  annotations:
+    k8s.v1.cni.cncf.io/policy-for: "${network}"
+    infrastructure-lab/connection: "${connItem.from}-${connItem.to}"
+spec:
+  podSelector:
+    matchLabels:
+      kubevirt.io/vm: ${name}
+  policyTypes:
+    - Ingress
+${ingressLines.join('\n')}`;
+}
+
+// Where the capacity plan puts the device, null without placement hints or when it fits nowhere
+function plannedPlacement(options, device) {
+  return options.placement ? options.placement.plan.placements.find(p => p.deviceId === device.id) || null : null;
+}
+
+// The template spec lines that keep a VM on its planned node: a nodeSelector, or a
+// nodeAffinity the scheduler prefers but may ignore
+function placementHint(options, device) {
+  const placement = plannedPlacement(options, device);
+  if (!placement) return '';
+  if (options.placement.hint === 'nodeSelector') {
+    return `      nodeSelector:
+        kubernetes.io/hostname: ${placement.node}
+`;
+  }
+  return `      affinity:
+        nodeAffinity:
+          preferredDuringSchedulingIgnoredDuringExecution:
+            - weight: 100
+              preference:
+                matchExpressions:
+                  - key: kubernetes.io/hostname
+                    operator: In
+                    values:
+                      - ${placement.node}
+`;
+}
+
+function generateDevicePVC(design, device, options = {}) {
+  const name = resourceName(device);
+  const storage = formatMebibytes(deviceResources(device).storage);
+  const zone = zoneOf(design, device);
+  const placement = plannedPlacement(options, device);
+  
+  return `apiVersion: v1
+kind: PersistentVolumeClaim
+metadata:
+  name: ${name}-disk
+  namespace: ${namespaceOf(design, zone)}
+  labels:
+${formatLabels({ app: name, 'device-type': device.type, ...zoneLabels(zone) }, design, 4)}
+  annotations:
+    cdi.kubevirt.io/storage.import.endpoint: "${CLOUD_IMAGE_URL}"
+spec:
+  accessModes:
+    - ReadWriteOnce
+  resources:
+    requests:
+      storage: ${storage}${placement && placement.storageClass ? `
+  storageClassName: ${placement.storageClass}` : ''}`;
+}
+
+function generateNetworkedKubeVirtVM(design, devices, device, ipAssignments, networkSegments, routingTables, options = {}) {
+  const name = resourceName(device);
+  const zone = zoneOf(design, device);
+  const namespace = namespaceOf(design, zone);
+  const networkName = (segmentName) => {
+    const segmentNamespace = namespaceOf(design, segmentZone(design, devices, networkSegments.get(segmentName)));
+    return segmentNamespace === namespace ? segmentName : `${segmentNamespace}/${segmentName}`;
+  };
+  const assignments = ipAssignments.get(device.id) || [];
+  const resources = deviceResources(device);
+  const memory = formatMebibytes(resources.memory);
+  const segmentAssignments = assignments.filter(assignment => networkSegments.has(assignment.network));
+  const routingTable = routingTables.find(table => table.routerId === device.id);
+  const firewall = device.type === 'router'
+    ? routerFirewall(device, { ipAssignments, networkSegments }, options.routerFirewall)
+    : null;
+  const cloudInit = generateCloudInit(design, device, segmentAssignments, routingTable ? routingTable.routes : [], firewall);
+  const macAddress = (networkName) => cloudInit.interfaces.find(i => i.network === networkName).macAddress;
+  const unplaced = options.placement && options.placement.plan.unplaced.find(entry => entry.deviceId === device.id);
+  
+  const interfaces = [`          - name: default\n            masquerade: {}\n            macAddress: "${macAddress('default')}"`];
+  const networks = ['        - name: default\n          pod: {}'];
+  
+  segmentAssignments.forEach(assignment => {
+    interfaces.push(`          - name: ${assignment.network}\n            bridge: {}\n            macAddress: "${macAddress(assignment.network)}"`);
+    networks.push(`        - name: ${assignment.network}\n          multus:\n            networkName: ${networkName(assignment.network)}`);
+  });
+  
+  const ipSummary = assignments
+    .map(a => `${a.interfaceName}=${a.ip} (${a.network}, gw ${a.gateway})`)
+    .join('; ');
+  
+  return `${unplaced ? `# NOTE: ${device.id} fits on no node (${unplaced.reason}), left to the scheduler\n` : ''}apiVersion: kubevirt.io/v1
+kind: VirtualMachine
+metadata:
+  name: ${name}
+  namespace: ${namespace}
+  labels:
+${formatLabels({ app: name, 'device-type': device.type, type: 'infrastructure-lab', ...zoneLabels(zone) }, design, 4)}
+  annotations:
+    infrastructure-lab/ip-assignments: "${ipSummary}"
+spec:
+  running: true
+  template:
+    metadata:
+      labels:
+        kubevirt.io/vm: ${name}
+    spec:
+${placementHint(options, device)}      domain:
+        cpu:
+          cores: ${resources.cpu}
+        resources:
+          requests:
+            memory: ${memory}
+        devices:
+          disks:
+            - name: rootdisk
+              disk:
+                bus: virtio
+            - name: cloudinitdisk
+              disk:
+                bus: virtio
+          interfaces:
+${interfaces.join('\n')}
+      networks:
+${networks.join('\n')}
+      volumes:
+        - name: rootdisk
+          persistentVolumeClaim:
+            claimName: ${name}-disk
+        - name: cloudinitdisk
+          cloudInitNoCloud:
+            networkData: |
+${indentBlock(cloudInit.networkData, 14)}
+            userData: |
+${indentBlock(cloudInit.userData, 14)}`;
+}
+
+module.exports = {
+  CLOUD_IMAGE_URL,
+  generateKubeVirtInfrastructure,
+  generateVMsOnly,
+  generatePVCsOnly
+};
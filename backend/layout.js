@@ -0,0 +1,103 @@
+// Automatic canvas layout. Every group of connected devices is laid out in columns
+// by hop distance from its best connected router (or device), groups are stacked
+// top to bottom. Spacing matches the frontend's 80px device boxes.
+
+const COLUMN_WIDTH = 160;
+const ROW_HEIGHT = 140;
+const BOX_SIZE = 80;
+const ORDERING_SWEEPS = 4;
+
+function neighboursOf(deviceId, connections) {
+  return connections
+    .filter(connItem => connItem.from === deviceId || connItem.to === deviceId)
+    .map(connItem => (connItem.from === deviceId ? connItem.to : connItem.from));
+}
+
+// Fewer crossing lines: alternating left-to-right and right-to-left sweeps sort each
+// column by the average row of the devices' neighbours in the column before it
+// (the barycenter heuristic). Devices without such neighbours keep their row.
+function orderColumns(columns, links) {
+  for (let sweep = 0; sweep < ORDERING_SWEEPS; sweep++) {
+    const forward = sweep % 2 === 0;
+    const indices = columns.map((column, index) => index).slice(forward ? 1 : 0, forward ? undefined : -1);
+    if (!forward) indices.reverse();
+
+    indices.forEach(index => {
+      const reference = new Map(columns[forward ? index - 1 : index + 1].map((deviceId, row) => [deviceId, row]));
+      const barycenter = new Map(columns[index].map((deviceId, row) => {
+        const rows = neighboursOf(deviceId, links).filter(next => reference.has(next)).map(next => reference.get(next));
+        return [deviceId, rows.length > 0 ? rows.reduce((sum, value) => sum + value, 0) / rows.length : row];
+      }));
+      columns[index] = [...columns[index]].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+    });
+  }
+  return columns;
+}
+
+// Returns device ID -> { x, y } for the given devices, starting at origin
+function layoutDevices(devices, connections, { origin = { x: 40, y: 40 } } = {}) {
+  const ids = new Set(devices.map(device => device.id));
+  const links = connections.filter(connItem => ids.has(connItem.from) && ids.has(connItem.to));
+  const degree = (device) => neighboursOf(device.id, links).length;
+  const positions = new Map();
+  let top = origin.y;
+
+  // Roots: routers first, then by number of links, so routers end up in the first column
+  const candidates = [...devices].sort((a, b) =>
+    (b.type === 'router') - (a.type === 'router') || degree(b) - degree(a)
+  );
+
+  candidates.forEach(root => {
+    if (positions.has(root.id)) return;
+
+    const columns = [];
+    const depth = new Map([[root.id, 0]]);
+    const queue = [root.id];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      (columns[depth.get(current)] = columns[depth.get(current)] || []).push(current);
+      neighboursOf(current, links).forEach(next => {
+        if (depth.has(next)) return;
+        depth.set(next, depth.get(current) + 1);
+        queue.push(next);
+      });
+    }
+
+    // Shorter columns are centred on the tallest one, which keeps links close to level
+    const height = Math.max(...columns.map(column => column.length));
+    orderColumns(columns, links).forEach((column, columnIndex) => {
+      const offset = Math.floor((height - column.length) / 2 * ROW_HEIGHT);
+      column.forEach((deviceId, rowIndex) => {
+        positions.set(deviceId, { x: origin.x + columnIndex * COLUMN_WIDTH, y: top + offset + rowIndex * ROW_HEIGHT });
+      });
+    });
+    top += height * ROW_HEIGHT;
+  });
+
+  return positions;
+}
+
+// Lays out part of a design. The devices stay where the top left one of them is,
+// unless that would put a box on top of one of the other, placed devices; then
+// they go below everything.
+function layoutSelection(devices, connections, others) {
+  const placed = devices.filter(device => device.position);
+  const origin = placed.length > 0
+    ? { x: Math.min(...placed.map(device => device.position.x)), y: Math.min(...placed.map(device => device.position.y)) }
+    : { x: 40, y: 40 };
+  const positions = layoutDevices(devices, connections, { origin });
+
+  const obstacles = others.filter(device => device.position).map(device => device.position);
+  const overlaps = [...positions.values()].some(position => obstacles.some(obstacle =>
+    Math.abs(position.x - obstacle.x) < BOX_SIZE && Math.abs(position.y - obstacle.y) < BOX_SIZE));
+  if (!overlaps) {
+    return positions;
+  }
+  const lowest = Math.max(...obstacles.map(obstacle => obstacle.y + ROW_HEIGHT));
+  return layoutDevices(devices, connections, { origin: { x: 40, y: lowest } });
+}
+
+module.exports = {
+  layoutDevices,
+  layoutSelection
+};
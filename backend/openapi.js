@@ -0,0 +1,117 @@
+const { validateRequest } = require('./requestValidation');
+const { components } = require('./schemas');
+
+// Routes are registered through createApi() together with a description: a summary,
+// the { body, query } schemas that are checked before the handler runs, the
+// response and the error statuses. The OpenAPI document and the endpoint list of
+// GET / are generated from those descriptions.
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  422: 'The design has validation errors',
+  500: 'Internal error'
+};
+
+const errorResponse = status => ({
+  description: ERROR_DESCRIPTIONS[status],
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// Express "/devices/:deviceId" -> OpenAPI "/devices/{deviceId}"
+const openApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+function parameters(route) {
+  const names = [...`${route.prefix}${route.path}`.matchAll(/:(\w+)/g)].map(match => match[1]);
+  const pathParameters = names.map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: name === 'designId' || name === 'snapshotId' ? { type: 'integer' } : { type: 'string' }
+  }));
+  const query = route.spec.query || { properties: {} };
+  const queryParameters = Object.entries(query.properties).map(([name, schema]) => {
+    const { description, ...parameterSchema } = schema;
+    return {
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      ...(description ? { description } : {}),
+      schema: parameterSchema
+    };
+  });
+  return [...pathParameters, ...queryParameters];
+}
+
+function operation(route) {
+  const { spec } = route;
+  const response = spec.response || {};
+  const responseContent = response.schema
+    ? { content: { [response.contentType || 'application/json']: { schema: response.schema } } }
+    : {};
+  const errors = [...(spec.body || spec.query ? [400] : []), ...(spec.errors || []), 500]
+    .filter((status, index, statuses) => statuses.indexOf(status) === index)
+    .sort();
+
+  return {
+    operationId: spec.operationId,
+    summary: spec.summary,
+    ...(spec.description ? { description: spec.description } : {}),
+    tags: spec.tags,
+    parameters: parameters(route),
+    // A body without required fields may be left out (DELETE /connections takes a query instead)
+    ...(spec.body
+      ? { requestBody: { required: Boolean(spec.body.required), content: { 'application/json': { schema: spec.body } } } }
+      : {}),
+    ...(spec.requestBody ? { requestBody: spec.requestBody } : {}),
+    responses: {
+      200: { description: response.description || 'Success', ...responseContent },
+      ...Object.fromEntries(errors.map(status => [status, errorResponse(status)]))
+    }
+  };
+}
+
+function createApi(info) {
+  const routes = [];
+
+  // Registers routes on an express app or router; prefix is where that router is mounted
+  const scope = (router, prefix = '') => {
+    const register = method => (path, spec, ...handlers) => {
+      routes.push({ method, path, prefix, spec });
+      const handler = handlers.pop();
+      const checks = spec.body || spec.query ? [validateRequest(spec)] : [];
+      router[method](path, ...handlers, ...checks, handler);
+    };
+    return {
+      get: register('get'),
+      post: register('post'),
+      put: register('put'),
+      patch: register('patch'),
+      delete: register('delete')
+    };
+  };
+
+  const document = () => {
+    const paths = {};
+    routes.forEach(route => {
+      const path = openApiPath(`${route.prefix}${route.path}`);
+      paths[path] = { ...paths[path], [route.method]: operation(route) };
+    });
+    return {
+      openapi: '3.1.0',
+      info,
+      paths,
+      components: { schemas: components }
+    };
+  };
+
+  // "POST /devices - Create a device", in registration order
+  const endpoints = () => routes.map(route => `${route.method.toUpperCase()} ${route.path} - ${route.spec.summary}`);
+
+  return { scope, document, endpoints };
+}
+
+module.exports = {
+  createApi
+};
@@ -0,0 +1,111 @@
+// VM resource quantities. CPU is stored as whole cores, memory and storage as MiB;
+// the exporter turns those back into Kubernetes quantities.
+
+const CPU_PATTERN = /^(\d+)\s*(?:v?cpus?|cores?)?$/i;
+const ALLOCATABLE_CPU_PATTERN = /^(\d+(?:\.\d+)?)\s*(m)?$/;
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i;
+
+// MiB per unit. Plain "GB"/"MB"/"TB" are read the way people type them for VMs,
+// as binary units; the single-letter Kubernetes suffixes keep their decimal meaning.
+// Units are matched case-insensitively, except that a lowercase "m" is refused: in
+// Kubernetes it means milli, not mega.
+const SIZE_UNITS = {
+  '': 1,
+  ki: 1 / 1024,
+  kib: 1 / 1024,
+  mi: 1,
+  mib: 1,
+  mb: 1,
+  gi: 1024,
+  gib: 1024,
+  gb: 1024,
+  ti: 1024 * 1024,
+  tib: 1024 * 1024,
+  tb: 1024 * 1024,
+  k: 1000 / 1024 ** 2,
+  m: 1000 ** 2 / 1024 ** 2,
+  g: 1000 ** 3 / 1024 ** 2,
+  t: 1000 ** 4 / 1024 ** 2
+};
+
+// Used by the exporters when a device has no value of its own; memory and storage in MiB
+const DEFAULT_RESOURCES = {
+  vm: { cpu: 1, memory: 2048, storage: 10240 },
+  router: { cpu: 1, memory: 1024, storage: 5120 }
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// "2", "2 vCPU", "2 cores" or 2 -> 2. Throws on anything else.
+function parseCPU(value) {
+  const match = CPU_PATTERN.exec(String(value).trim());
+  const cores = match ? Number(match[1]) : 0;
+  if (!cores) {
+    throw new Error(`Invalid CPU: ${value}. Use a whole number of cores, e.g. 2 or "2 vCPU"`);
+  }
+  return cores;
+}
+
+// Allocatable CPU of a cluster node as Kubernetes reports it: "4", "3.5" or "3500m"
+// -> cores, rounded down to a whole millicore. Throws on anything else.
+function parseAllocatableCPU(value) {
+  const match = ALLOCATABLE_CPU_PATTERN.exec(String(value).trim());
+  const millicores = match ? Math.floor(Number(match[1]) * (match[2] ? 1 : 1000) + 1e-9) : 0;
+  if (!millicores) {
+    throw new Error(`Invalid CPU: ${value}. Use cores such as 4 or 3.5, or millicores such as 3500m`);
+  }
+  return millicores / 1000;
+}
+
+// "2Gi", "2GB", "2048Mi", "1.5Gi" or 2048 -> MiB, rounded up to a whole MiB. A bare
+// number is already MiB. Throws on anything else.
+function parseSize(value, field = 'size') {
+  const match = SIZE_PATTERN.exec(String(value).trim());
+  if (match && match[2] === 'm') {
+    throw new Error(`Invalid ${field}: ${value}. A lowercase m means milli, use ${match[1]}M or ${match[1]}Mi`);
+  }
+  const unit = match && SIZE_UNITS[match[2].toLowerCase()];
+  const mebibytes = unit ? Math.ceil(Number(match[1]) * unit - 1e-9) : 0;
+  if (!mebibytes) {
+    throw new Error(`Invalid ${field}: ${value}. Use a size such as 2Gi, 2GB or 2048Mi`);
+  }
+  return mebibytes;
+}
+
+// Normalizes the resource fields that are present, leaving out blank ones.
+// Returns { error } or the canonical { cpu, memory, storage } values.
+function parseResources({ cpu, memory, storage }) {
+  const resources = {};
+  try {
+    if (!isBlank(cpu)) resources.cpu = parseCPU(cpu);
+    if (!isBlank(memory)) resources.memory = parseSize(memory, 'memory');
+    if (!isBlank(storage)) resources.storage = parseSize(storage, 'storage');
+  } catch (error) {
+    return { error: error.message };
+  }
+  return resources;
+}
+
+// MiB -> Kubernetes quantity, "2Gi" when it divides evenly and "1536Mi" otherwise
+function formatMebibytes(mebibytes) {
+  return mebibytes % 1024 === 0 ? `${mebibytes / 1024}Gi` : `${mebibytes}Mi`;
+}
+
+// The device's cores, memory and storage with the defaults filled in
+function deviceResources(device) {
+  const defaults = DEFAULT_RESOURCES[device.type] || DEFAULT_RESOURCES.vm;
+  return {
+    cpu: device.cpu || defaults.cpu,
+    memory: device.memory || defaults.memory,
+    storage: device.storage || defaults.storage
+  };
+}
+
+module.exports = {
+  deviceResources,
+  parseCPU,
+  parseAllocatableCPU,
+  parseSize,
+  parseResources,
+  formatMebibytes
+};
@@ -0,0 +1,108 @@
+// Checks request bodies and query strings against the JSON Schemas in schemas.js.
+// Covers the keywords those schemas use: type, enum, properties, required,
+// additionalProperties, items, minItems, pattern, minLength, maxLength, minimum and maximum.
+// Annotations such as description, example and format are not checked.
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  null: value => value === null,
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const describe = value => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+// Every way value breaks schema, as { path, keyword, message }
+function checkSchema(schema, value, path) {
+  const issues = [];
+  const issue = (keyword, message) => issues.push({ path, keyword, message: `${path} ${message}` });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      issue('type', `must be of type ${types.join(' or ')}`);
+      return issues;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    issue('enum', `must be one of: ${schema.enum.join(', ')} (got ${describe(value)})`);
+    return issues;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      issue('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      issue('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issue('pattern', `has an invalid format: ${describe(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issue('minimum', `must be ${schema.minimum} or more`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issue('maximum', `must be ${schema.maximum} or less`);
+    }
+  }
+
+  if (TYPE_CHECKS.array(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    issue('minItems', `must have at least ${schema.minItems} item(s)`);
+  }
+  if (TYPE_CHECKS.array(value) && schema.items) {
+    value.forEach((item, index) => issues.push(...checkSchema(schema.items, item, `${path}[${index}]`)));
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        issues.push({ path: `${path}.${name}`, keyword: 'required', message: `${path}.${name} is required` });
+      }
+    });
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (propertyValue === undefined) return;
+      const propertyPath = `${path}.${name}`;
+      if (properties[name]) {
+        issues.push(...checkSchema(properties[name], propertyValue, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: propertyPath, keyword: 'additionalProperties', message: `${propertyPath} is not a known field` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...checkSchema(schema.additionalProperties, propertyValue, propertyPath));
+      }
+    });
+  }
+
+  return issues;
+}
+
+// Express middleware for a route's { body, query } schemas. Answers 400 with every
+// problem at once: { error, code: 'invalid-request', details: [{ in, path, keyword, message }] }
+function validateRequest({ body, query }) {
+  return (req, res, next) => {
+    const details = [
+      ...(body ? checkSchema(body, req.body === undefined ? {} : req.body, 'body').map(detail => ({ in: 'body', ...detail })) : []),
+      ...(query ? checkSchema(query, req.query, 'query').map(detail => ({ in: 'query', ...detail })) : [])
+    ];
+    if (details.length === 0) {
+      return next();
+    }
+    res.status(400).json({
+      error: `Invalid request: ${details.map(detail => detail.message).join('; ')}`,
+      code: 'invalid-request',
+      details
+    });
+  };
+}
+
+module.exports = {
+  checkSchema,
+  validateRequest
+};
@@ -0,0 +1,80 @@
+// Static routes for multi-router topologies. Routers sharing a segment are
+// neighbours; every router reaches the segments it is not attached to over the
+// shortest router path, via the first neighbour's address on the shared segment.
+
+// Interface of a router on each of its segments: segment name -> assignment
+function routerInterfaces(router, ipAssignments) {
+  return new Map((ipAssignments.get(router.id) || []).map(assignment => [assignment.network, assignment]));
+}
+
+function computeRoutingTables(devices, { ipAssignments, networkSegments }) {
+  const routers = devices.filter(device => device.type === 'router');
+  const interfaces = new Map(routers.map(router => [router.id, routerInterfaces(router, ipAssignments)]));
+
+  // Neighbour edges in router order so ties resolve the same way on every run
+  const neighbours = new Map(routers.map(router => [router.id, []]));
+  networkSegments.forEach(segment => {
+    const attached = routers.filter(router => interfaces.get(router.id).has(segment.name));
+    attached.forEach(router => {
+      attached
+        .filter(other => other.id !== router.id)
+        .forEach(other => neighbours.get(router.id).push({
+          routerId: other.id,
+          segment: segment.name,
+          interfaceName: interfaces.get(router.id).get(segment.name).interfaceName,
+          via: interfaces.get(other.id).get(segment.name).ip
+        }));
+    });
+  });
+
+  return routers.map(router => {
+    const ownSegments = interfaces.get(router.id);
+    const connected = [...ownSegments.values()].map(assignment => ({
+      destination: assignment.subnet,
+      segment: assignment.network,
+      interfaceName: assignment.interfaceName
+    }));
+
+    // Breadth-first over routers, remembering the first hop that led to each one
+    const firstHops = new Map([[router.id, null]]);
+    const distances = new Map([[router.id, 0]]);
+    const queue = [router.id];
+    const routes = [];
+    const routedSegments = new Set(ownSegments.keys());
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+
+      if (current !== router.id) {
+        interfaces.get(current).forEach((assignment, segmentName) => {
+          if (routedSegments.has(segmentName)) return;
+          routedSegments.add(segmentName);
+          const hop = firstHops.get(current);
+          routes.push({
+            destination: assignment.subnet,
+            segment: segmentName,
+            via: hop.via,
+            interfaceName: hop.interfaceName,
+            nextHopRouter: hop.routerId,
+            metric: distances.get(current)
+          });
+        });
+      }
+
+      neighbours.get(current).forEach(edge => {
+        if (distances.has(edge.routerId)) return;
+        distances.set(edge.routerId, distances.get(current) + 1);
+        firstHops.set(edge.routerId, current === router.id ? edge : firstHops.get(current));
+        queue.push(edge.routerId);
+      });
+    }
+
+    const unreachable = [...networkSegments.keys()].filter(name => !routedSegments.has(name));
+
+    return { routerId: router.id, connected, routes, unreachable };
+  });
+}
+
+module.exports = {
+  computeRoutingTables
+};
@@ -0,0 +1,641 @@
+// JSON Schemas of the request bodies and query strings, checked by requestValidation.js
+// before a route runs and published in the OpenAPI document. They describe the shape
+// of a request; what depends on the stored design (unique IDs and addresses, IPs
+// inside their subnet) is still checked by the routes.
+
+const DEVICE_TYPES = ['vm', 'router', 'switch'];
+
+// Device IDs end up lowercased in VM, DataVolume and network names, so they are DNS
+// labels in either case and two IDs that only differ in case clash
+const deviceId = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 63,
+  pattern: '^[A-Za-z0-9]([-A-Za-z0-9]*[A-Za-z0-9])?$',
+  description: 'Device ID, e.g. V1, R2 or S1: letters, digits and \'-\', starting and ending with a letter or digit',
+  example: 'V1'
+};
+
+// Empty strings clear an address, surrounding spaces are trimmed
+const ipv4 = {
+  type: ['string', 'null'],
+  pattern: '^\\s*(\\d{1,3}(\\.\\d{1,3}){3})?\\s*$',
+  description: 'IPv4 address, empty or null for auto-assignment',
+  example: '10.0.1.10'
+};
+
+const cidr = {
+  type: ['string', 'null'],
+  pattern: '^\\s*(\\d{1,3}(\\.\\d{1,3}){3}/\\d{1,2})?\\s*$',
+  description: 'IPv4 network in CIDR notation, empty or null to derive it',
+  example: '10.0.1.0/24'
+};
+
+const cpu = {
+  type: ['integer', 'string', 'null'],
+  description: 'Whole cores: 2, "2", "2 vCPU" or "2 cores"',
+  example: '2 vCPU'
+};
+
+const size = (what) => ({
+  type: ['number', 'string', 'null'],
+  description: `${what}: a quantity such as "2Gi", "2GB" or "2048Mi", or a number of MiB`,
+  example: '2Gi'
+});
+
+const position = {
+  type: 'object',
+  required: ['x', 'y'],
+  additionalProperties: false,
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' }
+  },
+  description: 'Canvas position in pixels'
+};
+
+// Same rule as Kubernetes namespace names (DNS labels)
+const zoneName = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 63,
+  pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$',
+  description: 'Zone name, a lowercase DNS label; exported as the "zone" label',
+  example: 'dmz'
+};
+
+const zoneNamespace = {
+  type: ['string', 'null'],
+  maxLength: 63,
+  pattern: '^([a-z0-9]([-a-z0-9]*[a-z0-9])?)?$',
+  description: 'Namespace of the zone\'s resources, empty or null for the design namespace',
+  example: 'lab-dmz'
+};
+
+const version = {
+  type: ['integer', 'string'],
+  pattern: '^\\d+$',
+  minimum: 1,
+  description: 'Device version the change is based on; 409 when the device has changed since'
+};
+
+const deviceFields = {
+  cpu,
+  memory: size('Memory'),
+  storage: size('Disk size'),
+  ip: { ...ipv4, description: 'VM address, empty or null for auto-assignment' },
+  interfaceIPs: {
+    type: ['object', 'null'],
+    additionalProperties: ipv4,
+    description: 'Router addresses keyed by "to_<peer device ID>"; an empty value removes the custom address',
+    example: { to_V1: '10.0.1.1' }
+  },
+  subnet: { ...cidr, description: 'Segment subnet of a switch' },
+  zone: {
+    ...zoneName,
+    type: ['string', 'null'],
+    minLength: 0,
+    pattern: '^([a-z0-9]([-a-z0-9]*[a-z0-9])?)?$',
+    description: 'Zone of the device, empty or null for none'
+  }
+};
+
+const createDevice = {
+  type: 'object',
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    id: { ...deviceId, description: 'Device ID; taken from the design\'s counters when left out' },
+    type: { type: 'string', enum: DEVICE_TYPES },
+    ...deviceFields,
+    position: { ...position, type: ['object', 'null'] }
+  }
+};
+
+const updateDevice = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: DEVICE_TYPES, description: 'Accepted when it matches, types cannot be changed' },
+    ...deviceFields,
+    version
+  }
+};
+
+const moveDevice = {
+  ...position,
+  properties: { ...position.properties, version }
+};
+
+const deleteDevice = {
+  type: 'object',
+  required: ['deviceId'],
+  additionalProperties: false,
+  properties: {
+    deviceId,
+    version
+  }
+};
+
+const layoutRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    deviceIds: {
+      type: 'array',
+      items: deviceId,
+      minItems: 1,
+      description: 'Devices to arrange, the whole design when left out'
+    }
+  }
+};
+
+const createZone = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: zoneName,
+    namespace: zoneNamespace,
+    devices: { type: 'array', items: deviceId, description: 'Devices to move into the zone' }
+  }
+};
+
+const updateZone = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { ...zoneName, description: 'New name; the zone\'s devices follow' },
+    namespace: zoneNamespace
+  }
+};
+
+const moveZone = {
+  type: 'object',
+  required: ['dx', 'dy'],
+  additionalProperties: false,
+  properties: {
+    dx: { type: 'number', description: 'Horizontal offset in pixels' },
+    dy: { type: 'number', description: 'Vertical offset in pixels' }
+  }
+};
+
+// Same rule as Kubernetes node and storage class names (DNS subdomains)
+const kubernetesName = (description, example) => ({
+  type: 'string',
+  minLength: 1,
+  maxLength: 253,
+  pattern: '^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$',
+  description,
+  example
+});
+
+const nodeName = kubernetesName('Node name, matched by the kubernetes.io/hostname label', 'worker-1');
+
+const clusterNodeFields = {
+  name: nodeName,
+  cpu: {
+    type: ['number', 'string'],
+    description: 'Allocatable cores: 4, "3.5" or millicores such as "3500m"',
+    example: '3500m'
+  },
+  memory: { ...size('Allocatable memory'), type: ['number', 'string'] },
+  storage: {
+    type: 'array',
+    description: 'Storage classes on the node with their capacity; leave out when disks are not bound to nodes',
+    items: {
+      type: 'object',
+      required: ['storageClass', 'capacity'],
+      additionalProperties: false,
+      properties: {
+        storageClass: kubernetesName('Storage class name', 'local-path'),
+        capacity: { ...size('Capacity'), type: ['number', 'string'] }
+      }
+    }
+  }
+};
+
+const createClusterNode = {
+  type: 'object',
+  required: ['name', 'cpu', 'memory'],
+  additionalProperties: false,
+  properties: clusterNodeFields
+};
+
+const updateClusterNode = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...clusterNodeFields,
+    name: { ...nodeName, description: 'New name' }
+  }
+};
+
+const replaceClusterNodes = {
+  type: 'object',
+  required: ['nodes'],
+  additionalProperties: false,
+  properties: {
+    nodes: { type: 'array', items: createClusterNode, description: 'The whole inventory, replacing the stored one' }
+  }
+};
+
+const connectionEnds = {
+  from: { ...deviceId, description: 'Device at one end' },
+  to: { ...deviceId, description: 'Device at the other end' }
+};
+
+// Source and destination: an IPv4 address, a CIDR or a device ID; empty matches anything
+const ruleEndpoint = (what) => ({
+  type: ['string', 'null'],
+  maxLength: 63,
+  description: `${what}: IPv4 address, CIDR or device ID; empty or null for any`,
+  example: '10.0.1.0/24'
+});
+
+const firewallRule = {
+  type: 'object',
+  required: ['action'],
+  additionalProperties: false,
+  properties: {
+    action: { type: 'string', enum: ['allow', 'deny'] },
+    protocol: { type: 'string', enum: ['any', 'tcp', 'udp', 'icmp'], description: 'Defaults to any' },
+    ports: {
+      type: ['string', 'integer', 'null'],
+      pattern: '^\\s*(\\d{1,5}(-\\d{1,5})?)?\\s*$',
+      description: 'Destination port or range such as 8000-8080, tcp and udp only',
+      example: '443'
+    },
+    source: ruleEndpoint('Where the traffic comes from'),
+    destination: ruleEndpoint('Where the traffic goes'),
+    description: {
+      type: ['string', 'null'],
+      maxLength: 100,
+      pattern: '^[A-Za-z0-9 .,:;_()/+=@#-]*$',
+      description: 'Shown as a comment in router rulesets: letters, digits, spaces and . , : ; _ ( ) / + = @ # -'
+    }
+  }
+};
+
+const connectionFields = {
+  fromRouterIP: { ...ipv4, description: 'Address of the "from" device on this link when it is a router' },
+  toRouterIP: { ...ipv4, description: 'Address of the "to" device on this link when it is a router' },
+  subnet: { ...cidr, description: 'Subnet of a routed link' },
+  rules: {
+    type: 'array',
+    items: firewallRule,
+    description: 'Firewall rules, checked in order; traffic no rule matches is dropped. Empty for an open connection'
+  }
+};
+
+const createConnection = {
+  type: 'object',
+  required: ['from', 'to'],
+  additionalProperties: false,
+  properties: { ...connectionEnds, ...connectionFields }
+};
+
+const updateConnection = createConnection;
+
+// DELETE /connections takes the ends as query parameters or in the body
+const connectionQuery = {
+  type: 'object',
+  properties: connectionEnds
+};
+
+const deleteConnection = {
+  type: 'object',
+  additionalProperties: false,
+  properties: connectionEnds
+};
+
+const pathQuery = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: connectionEnds
+};
+
+const exportQuery = {
+  type: 'object',
+  properties: {
+    force: { type: 'string', enum: ['true', 'false'], description: 'Export even when the design has validation errors' }
+  }
+};
+
+// Empty values keep the default
+const NODE_SETTING_PATTERN = '^([A-Za-z0-9][A-Za-z0-9_./:@-]*)?$';
+
+const routerFirewall = {
+  type: 'string',
+  enum: ['none', 'nftables', 'iptables'],
+  description: 'Also enforce the connection firewall rules on the routers, as an nftables or iptables ruleset (default none)'
+};
+
+const kubevirtExportQuery = {
+  type: 'object',
+  properties: {
+    ...exportQuery.properties,
+    routerFirewall,
+    placement: {
+      type: 'string',
+      enum: ['none', 'nodeSelector', 'nodeAffinity'],
+      description: 'Pin the VMs to the nodes GET /capacity places them on, as a nodeSelector or a preferred nodeAffinity (default none)'
+    }
+  }
+};
+
+const cloudInitQuery = {
+  type: 'object',
+  properties: { routerFirewall }
+};
+
+const containerlabQuery = {
+  type: 'object',
+  properties: {
+    ...exportQuery.properties,
+    ...Object.fromEntries(DEVICE_TYPES.flatMap(type => [
+      [`${type}Kind`, { type: 'string', pattern: NODE_SETTING_PATTERN, description: `containerlab kind of ${type} nodes` }],
+      [`${type}Image`, { type: 'string', pattern: NODE_SETTING_PATTERN, description: `Container image of ${type} nodes` }]
+    ]))
+  }
+};
+
+const diagramQuery = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: ['dot', 'svg'], description: 'Graphviz DOT or standalone SVG (default)' }
+  }
+};
+
+const eventsQuery = {
+  type: 'object',
+  required: ['clientId'],
+  properties: {
+    clientId: { type: 'string', minLength: 1, description: 'Browser ID, also sent as X-Client-Id with its changes' },
+    user: { type: 'string', description: 'Name shown to the others' }
+  }
+};
+
+const designFileQuery = {
+  type: 'object',
+  properties: {
+    designId: { type: 'string', pattern: '^\\d*$', description: 'Design to export, the default design when left out' }
+  }
+};
+
+// Label keys are checked by the route, JSON Schema has no way to match property names here
+const createDesign = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, description: 'Design name, unique', example: 'Web lab' },
+    namespace: {
+      ...zoneNamespace,
+      description: 'Kubernetes namespace of the exported resources, empty or null to derive it from the name',
+      example: 'web-lab'
+    },
+    labels: {
+      type: 'object',
+      additionalProperties: { type: 'string', maxLength: 63, pattern: '^([A-Za-z0-9]([-A-Za-z0-9_.]*[A-Za-z0-9])?)?$' },
+      description: 'Labels added to every exported resource',
+      example: { team: 'network' }
+    }
+  }
+};
+
+const createSnapshot = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, pattern: '\\S', description: 'Snapshot name, unique in the design', example: 'deployed' }
+  }
+};
+
+const snapshotReference = what => ({
+  type: 'string',
+  pattern: '^(\\d+|current)$',
+  description: `${what}: a snapshot ID or "current" for the design as it is now`
+});
+
+const snapshotDiffQuery = {
+  type: 'object',
+  required: ['from'],
+  properties: {
+    from: snapshotReference('Older side'),
+    to: { ...snapshotReference('Newer side'), description: 'Newer side: a snapshot ID or "current" (default)' },
+    format: { type: 'string', enum: ['json', 'kubevirt'], description: 'Change lists (default) or a unified diff of the KubeVirt YAML' }
+  }
+};
+
+// The snapshot is named in the path, the body has no fields
+const restoreSnapshot = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {}
+};
+
+// Shapes of the responses, for the OpenAPI document
+const components = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', description: 'Machine-readable error code, e.g. invalid-request or device-not-found' },
+      details: {
+        type: 'array',
+        description: 'Every schema violation of an invalid-request error',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['body', 'query'] },
+            path: { type: 'string', example: 'body.position.x' },
+            keyword: { type: 'string', description: 'JSON Schema keyword that failed', example: 'type' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Design: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      namespace: { type: 'string' },
+      labels: { type: 'object', additionalProperties: { type: 'string' } },
+      deviceCounters: { type: 'object', additionalProperties: { type: 'integer' } },
+      createdAt: { type: 'string', format: 'date-time' },
+      requested: {
+        type: 'object',
+        description: 'GET /designs/:designId only: what the VMs and routers request together, with the export defaults for unset values; cores, MiB and MiB',
+        properties: { vms: { type: 'integer' }, cpu: { type: 'number' }, memory: { type: 'integer' }, storage: { type: 'integer' } }
+      }
+    }
+  },
+  Device: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: DEVICE_TYPES },
+      cpu: { type: ['integer', 'null'], description: 'Cores' },
+      memory: { type: ['integer', 'null'], description: 'MiB' },
+      storage: { type: ['integer', 'null'], description: 'MiB' },
+      ip: { type: ['string', 'null'] },
+      interfaceIPs: { type: ['object', 'null'], additionalProperties: { type: 'string' } },
+      position: { type: ['object', 'null'], properties: position.properties },
+      subnet: { type: ['string', 'null'] },
+      zone: { type: ['string', 'null'] },
+      version: { type: 'integer' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Zone: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      namespace: { type: ['string', 'null'] },
+      devices: { type: 'array', items: { type: 'string' } },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ClusterNode: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      cpu: { type: 'number', description: 'Allocatable cores' },
+      memory: { type: 'integer', description: 'Allocatable MiB' },
+      storage: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { storageClass: { type: 'string' }, capacity: { type: 'integer', description: 'MiB' } }
+        }
+      },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  CapacityReport: {
+    type: 'object',
+    properties: {
+      fits: { type: 'boolean', description: 'Whether every VM and router found a node' },
+      requested: {
+        type: 'object',
+        description: 'Sum of the VM requests; cores, MiB and MiB',
+        properties: { vms: { type: 'integer' }, cpu: { type: 'number' }, memory: { type: 'integer' }, storage: { type: 'integer' } }
+      },
+      allocatable: {
+        type: 'object',
+        description: 'What the nodes offer in total',
+        properties: { nodes: { type: 'integer' }, cpu: { type: 'number' }, memory: { type: 'integer' }, storage: { type: 'integer' } }
+      },
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            allocatable: { type: 'object', properties: { cpu: { type: 'number' }, memory: { type: 'integer' } } },
+            requested: { type: 'object', properties: { cpu: { type: 'number' }, memory: { type: 'integer' } } },
+            storage: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { storageClass: { type: 'string' }, capacity: { type: 'integer' }, requested: { type: 'integer' } }
+              }
+            },
+            devices: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      placements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { deviceId: { type: 'string' }, node: { type: 'string' }, storageClass: { type: ['string', 'null'] } }
+        }
+      },
+      unplaced: {
+        type: 'array',
+        description: 'VMs and routers that fit on no node',
+        items: {
+          type: 'object',
+          properties: {
+            deviceId: { type: 'string' },
+            type: { type: 'string' },
+            cpu: { type: 'integer' },
+            memory: { type: 'integer' },
+            storage: { type: 'integer' },
+            reason: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Connection: {
+    type: 'object',
+    properties: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      fromRouterIP: { type: ['string', 'null'] },
+      toRouterIP: { type: ['string', 'null'] },
+      subnet: { type: ['string', 'null'] },
+      rules: { type: 'array', items: firewallRule },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ValidationReport: {
+    type: 'object',
+    properties: {
+      valid: { type: 'boolean' },
+      errors: { type: 'array', items: { $ref: '#/components/schemas/Issue' } },
+      warnings: { type: 'array', items: { $ref: '#/components/schemas/Issue' } }
+    }
+  },
+  Issue: {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      message: { type: 'string' },
+      devices: { type: 'array', items: { type: 'string' } },
+      connections: {
+        type: 'array',
+        items: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' } } }
+      }
+    }
+  }
+};
+
+module.exports = {
+  DEVICE_TYPES,
+  createDevice,
+  updateDevice,
+  moveDevice,
+  deleteDevice,
+  layoutRequest,
+  createZone,
+  updateZone,
+  moveZone,
+  createClusterNode,
+  updateClusterNode,
+  replaceClusterNodes,
+  createConnection,
+  updateConnection,
+  connectionQuery,
+  deleteConnection,
+  pathQuery,
+  exportQuery,
+  kubevirtExportQuery,
+  cloudInitQuery,
+  containerlabQuery,
+  diagramQuery,
+  designFileQuery,
+  createDesign,
+  createSnapshot,
+  snapshotDiffQuery,
+  restoreSnapshot,
+  eventsQuery,
+  components
+};
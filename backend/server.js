@@ -1,480 +1,1916 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const db = require('./db');
+const { generateKubeVirtInfrastructure, generateVMsOnly, generatePVCsOnly } = require('./kubevirt');
+const { generateConnectionBasedIPAssignments, generateIPAMReport } = require('./topology');
+const { validateCIDR, parseCIDR } = require('./ipam');
+const { validateTopology } = require('./validation');
+const { parseResources, parseAllocatableCPU, parseSize } = require('./quantities');
+const { generateCloudInit } = require('./cloudinit');
+const { computeRoutingTables } = require('./routing');
+const { analyzePath } = require('./analysis');
+const { DEFAULT_NODE_SETTINGS, generateContainerlabTopology } = require('./containerlab');
+const { generateTerraformLibvirt } = require('./terraform');
+const { generateDot, generateSvg } = require('./diagram');
+const { importKubeVirt } = require('./importer');
+const { layoutDevices, layoutSelection } = require('./layout');
+const { buildDesignDocument, readDesignDocument } = require('./designFile');
+const { normalizeFirewallRule, routerFirewall } = require('./firewall');
+const { diffDesigns, unifiedDiff } = require('./diff');
+const { PLACEMENT_HINTS, planCapacity, requestedResources } = require('./capacity');
+const events = require('./events');
+const { createApi } = require('./openapi');
+const schemas = require('./schemas');
 
 const app = express();
+const api = createApi({
+  title: 'Infrastructure Designer API',
+  version: '1.0.0',
+  description: 'Device, connection and export routes are available per design under /designs/{designId} ' +
+    'and, for the default design, without that prefix.'
+});
+const appRoutes = api.scope(app);
 
-// Configuration
-const NAMESPACE = 'infrastructure-lab'; // Configurable namespace for all resources
+// Kubernetes names (namespaces; nodes and storage classes) and label keys/values as
+// accepted by the API server
+const DNS_LABEL_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const KUBERNETES_NAME_PATTERN = /^[a-z0-9]([-a-z0-9.]*[a-z0-9])?$/;
+const LABEL_KEY_PATTERN = /^([a-z0-9]([-a-z0-9.]*[a-z0-9])?\/)?[A-Za-z0-9]([-A-Za-z0-9_.]*[A-Za-z0-9])?$/;
+const LABEL_VALUE_PATTERN = /^([A-Za-z0-9]([-A-Za-z0-9_.]*[A-Za-z0-9])?)?$/;
 
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true
 }));
 
-app.use(bodyParser.json());
-
-let devices = [];
-let connections = [];
+// Design files carry whole designs
+app.use(bodyParser.json({ limit: '5mb' }));
 
-app.get('/', (req, res) => {
+appRoutes.get('/', { operationId: 'getIndex', summary: 'API overview', tags: ['meta'] }, (req, res) => {
   res.json({ 
     message: 'Infrastructure Designer Backend',
-    endpoints: [
-      'GET /health - Health check',
-      'GET /clear-database - Clear all data',
-      'POST /devices - Create device',
-      'GET /devices - List devices',
-      'POST /devices/delete - Delete device',
-      'POST /connections - Create connection',
-      'GET /connections - List connections',
-      'GET /export/kubevirt - Export complete infrastructure',
-      'GET /export/kubevirt-pvcs - Export PVCs only',
-      'GET /export/kubevirt-vms - Export VMs only'
-    ]
+    openapi: '/openapi.json',
+    endpoints: api.endpoints()
   });
 });
 
-app.get('/health', (req, res) => {
+appRoutes.get('/openapi.json', { operationId: 'getOpenApi', summary: 'This OpenAPI document', tags: ['meta'] }, (req, res) => {
+  res.json(api.document());
+});
+
+appRoutes.get('/health', { operationId: 'getHealth', summary: 'Health check', tags: ['meta'] }, (req, res) => {
   res.json({ 
     status: 'healthy',
-    devices: devices.length,
-    connections: connections.length
+    devices: db.countDevices(),
+    connections: db.countConnections()
   });
 });
 
-app.get('/clear-database', (req, res) => {
-  devices = [];
-  connections = [];
-  res.json({ message: 'Database cleared' });
+appRoutes.get('/designs', {
+  operationId: 'listDesigns',
+  summary: 'List designs',
+  tags: ['designs'],
+  response: { schema: { type: 'array', items: { $ref: '#/components/schemas/Design' } } }
+}, (req, res) => {
+  try {
+    res.json(db.listDesigns());
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
 });
 
-app.post('/devices', (req, res) => {
-  const { id, type, cpu, memory, storage, ip, interfaceIPs } = req.body;
-  
+appRoutes.post('/designs', {
+  operationId: 'createDesign',
+  summary: 'Create design',
+  tags: ['designs'],
+  body: schemas.createDesign,
+  errors: [400, 409]
+}, (req, res) => {
   try {
-    const existingDevice = devices.find(d => d.id === id);
-    if (existingDevice) {
-      return res.status(400).json({ error: `Device with ID ${id} already exists` });
+    const result = processDesignInput(req.body);
+    if (result.error) {
+      return sendError(res, 400, 'invalid-design', result.error);
+    }
+    if (db.findDesignByName(result.design.name)) {
+      return sendError(res, 400, 'design-exists', `Design ${result.design.name} already exists`);
+    }
+    // Exports of two designs in one namespace would overwrite each other
+    const sameNamespace = req.body.namespace && db.findDesignByNamespace(result.design.namespace);
+    if (sameNamespace) {
+      return sendError(res, 409, 'namespace-exists', `Namespace ${result.design.namespace} is already used by design ${sameNamespace.name}`);
+    }
+
+    const namespace = uniqueNamespace(result.design.namespace);
+    const design = db.insertDesign({ ...result.design, namespace, createdAt: new Date().toISOString() });
+    res.json({ success: true, design });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// Design files. Registered before the /designs/:designId routes, which would
+// otherwise take "export.json" for a design ID.
+appRoutes.get('/designs/export.json', {
+  operationId: 'exportDesignFile',
+  summary: 'Download a design as a versioned JSON file',
+  tags: ['designs'],
+  query: schemas.designFileQuery,
+  errors: [404]
+}, (req, res) => {
+  try {
+    const design = db.findDesign(req.query.designId || db.DEFAULT_DESIGN_ID);
+    if (!design) {
+      return sendError(res, 404, 'design-not-found', `Design ${req.query.designId} not found`);
+    }
+
+    const document = buildDesignDocument(design, db.listDevices(design.id), db.listConnections(design.id), db.listZones(design.id));
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${design.namespace}.design.json"`);
+    res.send(`${JSON.stringify(document, null, 2)}\n`);
+  } catch (error) {
+    sendError(res, 500, 'internal-error', `Failed to export design: ${error.message}`);
+  }
+});
+
+// Imports a design file as a new design. A name or namespace that is already taken
+// gets a numbered suffix; ?name= overrides the name from the file.
+appRoutes.post('/designs/import.json', {
+  operationId: 'importDesignFile',
+  summary: 'Create a design from a JSON design file (older versions are migrated)',
+  tags: ['designs'],
+  requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } },
+  errors: [400]
+}, (req, res) => {
+  const read = readDesignDocument(req.body);
+  if (read.errors) {
+    return sendError(res, 400, 'invalid-design-file', `Invalid design file: ${read.errors.join('; ')}`, { errors: read.errors });
+  }
+
+  const { document, warnings } = read;
+  const designInput = processDesignInput({ ...document.design, name: req.query.name || document.design.name });
+  if (designInput.error) {
+    return sendError(res, 400, 'invalid-design-file', designInput.error, { errors: [designInput.error] });
+  }
+
+  const errors = [];
+  try {
+    let name = designInput.design.name;
+    for (let copy = 2; db.findDesignByName(name); copy++) {
+      name = `${designInput.design.name} (${copy})`;
     }
+    const namespace = uniqueNamespace(designInput.design.namespace);
 
-    let processedIP = null;
-    if (ip && ip.trim()) {
-      processedIP = ip.trim();
-      const ipPattern = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-      const match = processedIP.match(ipPattern);
-      if (!match) {
-        return res.status(400).json({ error: `Invalid IP address format: ${processedIP}` });
+    const design = db.transaction(() => {
+      const created = db.insertDesign({ ...designInput.design, name, namespace, createdAt: new Date().toISOString() });
+      const deviceCounters = insertDocumentContents(created.id, document, errors);
+      if (errors.length > 0) {
+        throw new Error('Invalid design file');
       }
-      
-      const octets = match.slice(1, 5).map(Number);
-      if (octets.some(octet => octet > 255)) {
-        return res.status(400).json({ error: `Invalid IP address - octets must be 0-255: ${processedIP}` });
+      db.setDeviceCounters(created.id, deviceCounters);
+      return db.findDesign(created.id);
+    })();
+
+    res.json({
+      success: true,
+      design,
+      warnings,
+      validation: validateTopology(db.listDevices(design.id), db.listConnections(design.id))
+    });
+  } catch (error) {
+    if (errors.length > 0) {
+      return sendError(res, 400, 'invalid-design-file', `Invalid design file: ${errors.join('; ')}`, { errors });
+    }
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+appRoutes.get('/designs/:designId', {
+  operationId: 'getDesign',
+  summary: 'Get design with the resources its VMs request',
+  tags: ['designs'],
+  response: { schema: { $ref: '#/components/schemas/Design' } },
+  errors: [404]
+}, loadDesign, (req, res) => {
+  try {
+    res.json({ ...req.design, requested: requestedResources(db.listDevices(req.design.id)) });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+appRoutes.put('/designs/:designId', { operationId: 'updateDesign', summary: 'Update design', tags: ['designs'], errors: [400, 404, 409] }, loadDesign, (req, res) => {
+  try {
+    const result = processDesignInput({ ...req.design, ...req.body });
+    if (result.error) {
+      return sendError(res, 400, 'invalid-design', result.error);
+    }
+    const sameName = db.findDesignByName(result.design.name);
+    if (sameName && sameName.id !== req.design.id) {
+      return sendError(res, 400, 'design-exists', `Design ${result.design.name} already exists`);
+    }
+    const sameNamespace = db.findDesignByNamespace(result.design.namespace);
+    if (sameNamespace && sameNamespace.id !== req.design.id) {
+      return sendError(res, 409, 'namespace-exists', `Namespace ${result.design.namespace} is already used by design ${sameNamespace.name}`);
+    }
+
+    const design = db.updateDesign(req.design.id, result.design);
+    res.json({ success: true, design });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+appRoutes.delete('/designs/:designId', { operationId: 'deleteDesign', summary: 'Delete design', tags: ['designs'], errors: [400, 404] }, loadDesign, (req, res) => {
+  try {
+    if (req.design.id === db.DEFAULT_DESIGN_ID) {
+      return sendError(res, 400, 'default-design', 'The default design cannot be deleted');
+    }
+
+    db.deleteDesign(req.design.id);
+    res.json({ success: true, message: `Design ${req.design.name} deleted` });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// Node inventory of the cluster the designs are deployed to, shared by all designs.
+// GET /capacity checks a design against it.
+const clusterNodeResult = {
+  type: 'object',
+  properties: { success: { type: 'boolean' }, node: { $ref: '#/components/schemas/ClusterNode' } }
+};
+const clusterNodeList = { type: 'array', items: { $ref: '#/components/schemas/ClusterNode' } };
+
+appRoutes.get('/cluster/nodes', {
+  operationId: 'listClusterNodes',
+  summary: 'List the cluster nodes',
+  tags: ['cluster'],
+  response: { schema: clusterNodeList }
+}, (req, res) => {
+  try {
+    res.json(db.listClusterNodes());
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+appRoutes.put('/cluster/nodes', {
+  operationId: 'replaceClusterNodes',
+  summary: 'Replace the whole node inventory',
+  tags: ['cluster'],
+  body: schemas.replaceClusterNodes,
+  response: { schema: clusterNodeList },
+  errors: [400]
+}, (req, res) => {
+  try {
+    const nodes = [];
+    for (const [index, input] of req.body.nodes.entries()) {
+      const result = processClusterNodeInput(input);
+      if (result.error) {
+        return sendError(res, 400, 'invalid-node', `Node ${index + 1}: ${result.error}`);
       }
-      
-      const existingIP = devices.find(d => d.ip === processedIP);
-      if (existingIP) {
-        return res.status(400).json({ error: `IP address ${processedIP} is already assigned to device ${existingIP.id}` });
+      if (nodes.some(node => node.name === result.node.name)) {
+        return sendError(res, 400, 'node-exists', `Node ${result.node.name} is listed twice`);
       }
+      nodes.push({ ...result.node, createdAt: new Date().toISOString() });
     }
 
-    let processedInterfaceIPs = null;
-    if (type === 'router' && interfaceIPs) {
-      processedInterfaceIPs = {};
-      for (const [interfaceKey, interfaceIP] of Object.entries(interfaceIPs)) {
-        if (interfaceIP && interfaceIP.trim()) {
-          const ipPattern = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-          if (!ipPattern.test(interfaceIP.trim())) {
-            return res.status(400).json({ error: `Invalid interface IP format for ${interfaceKey}: ${interfaceIP}` });
-          }
-          processedInterfaceIPs[interfaceKey] = interfaceIP.trim();
-        }
-      }
+    res.json(db.replaceClusterNodes(nodes));
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+appRoutes.post('/cluster/nodes', {
+  operationId: 'createClusterNode',
+  summary: 'Add a cluster node',
+  tags: ['cluster'],
+  body: schemas.createClusterNode,
+  response: { schema: clusterNodeResult },
+  errors: [400]
+}, (req, res) => {
+  try {
+    const result = processClusterNodeInput(req.body);
+    if (result.error) {
+      return sendError(res, 400, 'invalid-node', result.error);
+    }
+    if (db.findClusterNode(result.node.name)) {
+      return sendError(res, 400, 'node-exists', `Node ${result.node.name} already exists`);
+    }
+
+    const node = db.insertClusterNode({ ...result.node, createdAt: new Date().toISOString() });
+    res.json({ success: true, node });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// Fields that are left out keep their value
+appRoutes.put('/cluster/nodes/:nodeName', {
+  operationId: 'updateClusterNode',
+  summary: 'Update or rename a cluster node',
+  tags: ['cluster'],
+  body: schemas.updateClusterNode,
+  response: { schema: clusterNodeResult },
+  errors: [400, 404]
+}, (req, res) => {
+  const { nodeName } = req.params;
+
+  try {
+    const current = db.findClusterNode(nodeName);
+    if (!current) {
+      return sendError(res, 404, 'node-not-found', `Node ${nodeName} not found`);
+    }
+    const result = processClusterNodeInput({ ...current, ...req.body });
+    if (result.error) {
+      return sendError(res, 400, 'invalid-node', result.error);
+    }
+    if (result.node.name !== nodeName && db.findClusterNode(result.node.name)) {
+      return sendError(res, 400, 'node-exists', `Node ${result.node.name} already exists`);
+    }
+
+    const node = db.updateClusterNode(nodeName, result.node);
+    res.json({ success: true, node });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+appRoutes.delete('/cluster/nodes/:nodeName', {
+  operationId: 'deleteClusterNode',
+  summary: 'Remove a cluster node',
+  tags: ['cluster'],
+  errors: [404]
+}, (req, res) => {
+  const { nodeName } = req.params;
+
+  try {
+    if (!db.deleteClusterNode(nodeName)) {
+      return sendError(res, 404, 'node-not-found', `Node ${nodeName} not found`);
+    }
+    res.json({ success: true, message: `Node ${nodeName} removed` });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// Device, connection and export routes. They are mounted once per design under
+// /designs/:designId and once at the root for the default design.
+const designRouter = express.Router({ mergeParams: true });
+const designRoutes = api.scope(designRouter, '/designs/:designId');
+
+const deviceResult = {
+  type: 'object',
+  properties: { success: { type: 'boolean' }, device: { $ref: '#/components/schemas/Device' } }
+};
+const connectionResult = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    connection: { $ref: '#/components/schemas/Connection' },
+    routers: {
+      type: 'array',
+      items: { $ref: '#/components/schemas/Device' },
+      description: 'Routers at either end; their interfaceIPs and version change with the link'
+    }
+  }
+};
+
+// Live change events, see events.js. ?clientId= identifies the browser, ?user= is
+// the name shown to the others.
+designRoutes.get('/events', {
+  operationId: 'subscribeEvents',
+  summary: 'Server-Sent Events with every change to the design and who has it open',
+  tags: ['collaboration'],
+  query: schemas.eventsQuery,
+  response: { description: 'Event stream', schema: { type: 'string' }, contentType: 'text/event-stream' }
+}, (req, res) => {
+  const clientId = String(req.query.clientId || '').trim();
+  if (!clientId) {
+    return sendError(res, 400, 'invalid-request', 'clientId is required');
+  }
+  const user = String(req.query.user || '').trim().slice(0, 40) || 'Anonymous';
+  events.subscribe(req.design.id, clientId, user, res);
+});
+
+designRoutes.get('/presence', { operationId: 'listPresence', summary: 'Users that have the design open', tags: ['collaboration'] }, (req, res) => {
+  res.json(events.listUsers(req.design.id));
+});
+
+designRoutes.get('/clear-database', { operationId: 'clearDesign', summary: 'Delete all devices and connections of the design', tags: ['designs'] }, (req, res) => {
+  try {
+    db.clear(req.design.id);
+    publishChange(req, 'design-reloaded', {});
+    res.json({ message: 'Database cleared' });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.post('/devices', {
+  operationId: 'createDevice',
+  summary: 'Create device',
+  tags: ['devices'],
+  body: schemas.createDevice,
+  response: { schema: deviceResult },
+  errors: [400]
+}, (req, res) => {
+  const { type, cpu, memory, storage, ip, interfaceIPs, position, subnet, zone } = req.body;
+  const id = req.body.id || nextDeviceId(req.design, type);
+  
+  try {
+    // IDs are lowercased into resource names, so V1 and v1 would be the same VM
+    const existingDevice = db.listDevices(req.design.id).find(device => device.id.toLowerCase() === id.toLowerCase());
+    if (existingDevice) {
+      return sendError(res, 400, 'device-exists', existingDevice.id === id
+        ? `Device with ID ${id} already exists`
+        : `Device ID ${id} clashes with ${existingDevice.id}, IDs are compared without case`);
+    }
+
+    const result = processDeviceInput(req.design.id, { type, cpu, memory, storage, ip, interfaceIPs, subnet, zone });
+    if (result.error) {
+      return sendError(res, 400, 'invalid-device', result.error);
     }
 
     const device = { 
       id, 
       type, 
-      cpu, 
-      memory, 
-      storage, 
-      ip: processedIP,
-      interfaceIPs: processedInterfaceIPs,
+      cpu: result.cpu, 
+      memory: result.memory, 
+      storage: result.storage, 
+      ip: result.ip,
+      interfaceIPs: result.interfaceIPs,
+      position: position ? { x: position.x, y: position.y } : null,
+      subnet: result.subnet,
+      zone: result.zone,
       createdAt: new Date().toISOString() 
     };
-    devices.push(device);
-    res.json({ success: true, device });
+    db.transaction(() => {
+      db.insertDevice(req.design.id, device);
+      db.setDeviceCounters(req.design.id, countDeviceId(req.design.deviceCounters, type, id));
+    })();
+    const created = db.findDevice(req.design.id, id);
+    publishChange(req, 'device-created', { device: created });
+    res.json({ success: true, device: created });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, 'internal-error', error.message);
   }
 });
 
-app.get('/devices', (req, res) => {
-  res.json(devices);
-});
-
-app.post('/devices/delete', (req, res) => {
-  const { deviceId } = req.body;
-  
+designRoutes.get('/devices', {
+  operationId: 'listDevices',
+  summary: 'List devices',
+  tags: ['devices'],
+  response: { schema: { type: 'array', items: { $ref: '#/components/schemas/Device' } } }
+}, (req, res) => {
   try {
-    devices = devices.filter(device => device.id !== deviceId);
-    connections = connections.filter(
-      conn => conn.from !== deviceId && conn.to !== deviceId
-    );
-    
-    res.json({ 
-      success: true, 
-      message: `Device ${deviceId} deleted`
-    });
+    res.json(db.listDevices(req.design.id));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, 'internal-error', error.message);
   }
 });
 
-app.post('/connections', (req, res) => {
-  const { from, to, fromRouterIP, toRouterIP } = req.body;
+// Partial update: fields left out of the body keep their current value. An empty
+// router interface IP removes the custom address so the interface is auto-assigned.
+function updateDevice(req, res) {
+  const { deviceId } = req.params;
   
   try {
-    const fromDevice = devices.find(d => d.id === from);
-    const toDevice = devices.find(d => d.id === to);
-    
-    if (!fromDevice || !toDevice) {
-      return res.status(404).json({ error: 'One or both devices not found.' });
+    const device = db.findDevice(req.design.id, deviceId);
+    if (!device) {
+      return sendError(res, 404, 'device-not-found', `Device ${deviceId} not found`);
     }
-
-    if (fromDevice.type === 'vm' && toDevice.type === 'vm') {
-      return res.status(400).json({ error: 'Connecting VM with VM is prohibited.' });
+    if (req.body.type && req.body.type !== device.type) {
+      return sendError(res, 400, 'device-type-immutable', 'Device type cannot be changed');
     }
-
-    const existingConnection = connections.find(
-      c => (c.from === from && c.to === to) || (c.from === to && c.to === from)
-    );
-    if (existingConnection) {
-      return res.status(400).json({ error: 'Connection already exists between these devices' });
+    const stale = staleWrite(req, device);
+    if (stale) {
+      return res.status(409).json(stale);
     }
 
-    const newConnection = {
-      from,
-      to,
-      fromRouterIP: fromRouterIP || null,
-      toRouterIP: toRouterIP || null,
-      createdAt: new Date().toISOString()
-    };
+    const resources = { cpu: device.cpu, memory: device.memory, storage: device.storage };
+    if (device.type === 'vm') {
+      ['cpu', 'memory', 'storage'].forEach(field => {
+        if (req.body[field] !== undefined) resources[field] = req.body[field];
+      });
+    }
     
-    connections.push(newConnection);
+    const ip = req.body.ip !== undefined ? req.body.ip : device.ip;
+    const subnet = req.body.subnet !== undefined ? req.body.subnet : device.subnet;
+    const zone = req.body.zone !== undefined ? req.body.zone : device.zone;
+    const interfaceIPs = device.type === 'router' && req.body.interfaceIPs
+      ? { ...device.interfaceIPs, ...req.body.interfaceIPs }
+      : device.interfaceIPs;
     
-    if (fromRouterIP && fromDevice.type === 'router') {
-      if (!fromDevice.interfaceIPs) fromDevice.interfaceIPs = {};
-      fromDevice.interfaceIPs[`to_${to}`] = fromRouterIP;
+    const result = processDeviceInput(req.design.id, { type: device.type, ...resources, ip, interfaceIPs, subnet, zone }, deviceId);
+    if (result.error) {
+      return sendError(res, 400, 'invalid-device', result.error);
     }
+
+    const updatedDevice = {
+      ...device,
+      cpu: result.cpu,
+      memory: result.memory,
+      storage: result.storage,
+      ip: result.ip,
+      interfaceIPs: result.interfaceIPs,
+      subnet: result.subnet,
+      zone: result.zone
+    };
+    const connections = db.listConnections(req.design.id);
+    // Keep the per-connection router IPs in sync, they take precedence in the IP plan
+    const updatedConnections = device.type === 'router'
+      ? syncRouterIPs(connections, deviceId, result.interfaceIPs)
+      : connections;
     
-    if (toRouterIP && toDevice.type === 'router') {
-      if (!toDevice.interfaceIPs) toDevice.interfaceIPs = {};
-      toDevice.interfaceIPs[`to_${from}`] = toRouterIP;
+    const conflict = findNewAddressConflict(req.design.id, {
+      devices: db.listDevices(req.design.id).map(d => (d.id === deviceId ? updatedDevice : d)),
+      connections: updatedConnections
+    });
+    if (conflict) {
+      return sendError(res, 400, 'address-conflict', conflict.message);
     }
+
+    db.transaction(() => {
+      db.updateDevice(req.design.id, updatedDevice);
+      updatedConnections
+        .filter((conn, index) => conn !== connections[index])
+        .forEach(conn => db.updateConnection(req.design.id, conn));
+    })();
     
-    res.json({ success: true, connection: newConnection });
+    const saved = db.findDevice(req.design.id, deviceId);
+    publishChange(req, 'device-updated', { device: saved });
+    updatedConnections
+      .filter((conn, index) => conn !== connections[index])
+      .forEach(conn => publishChange(req, 'connection-updated', { connection: conn }));
+    res.json({ success: true, device: saved });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, 'internal-error', error.message);
   }
-});
+}
 
-app.get('/connections', (req, res) => {
+const updateDeviceSpec = {
+  summary: 'Update device (409 when "version" is outdated)',
+  tags: ['devices'],
+  body: schemas.updateDevice,
+  response: { schema: deviceResult },
+  errors: [400, 404, 409]
+};
+designRoutes.put('/devices/:deviceId', { ...updateDeviceSpec, operationId: 'updateDevice' }, updateDevice);
+designRoutes.patch('/devices/:deviceId', { ...updateDeviceSpec, operationId: 'patchDevice' }, updateDevice);
+
+designRoutes.put('/devices/:deviceId/position', {
+  operationId: 'moveDevice',
+  summary: 'Move device on the canvas (409 when "version" is outdated)',
+  tags: ['devices'],
+  body: schemas.moveDevice,
+  errors: [404, 409]
+}, (req, res) => {
+  const { x, y } = req.body;
+  
   try {
-    const formattedConnections = connections.map(conn => ({
-      from: conn.from,
-      to: conn.to
-    }));
-    res.json(formattedConnections);
+    const device = db.findDevice(req.design.id, req.params.deviceId);
+    if (!device) {
+      return sendError(res, 404, 'device-not-found', `Device ${req.params.deviceId} not found`);
+    }
+    const stale = staleWrite(req, device);
+    if (stale) {
+      return res.status(409).json(stale);
+    }
+
+    db.setPosition(req.design.id, device.id, { x, y });
+    const version = device.version + 1;
+    publishChange(req, 'device-moved', { id: device.id, position: { x, y }, version });
+    res.json({ success: true, position: { x, y }, version });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, 'internal-error', error.message);
   }
 });
 
-// KubeVirt Export Endpoints
-app.get('/export/kubevirt', (req, res) => {
+// Arranges the whole design, or the devices in deviceIds, and saves the positions.
+// Answers with the new position and version of every moved device.
+designRoutes.post('/layout', {
+  operationId: 'layoutDevices',
+  summary: 'Arrange devices automatically and save their positions',
+  tags: ['devices'],
+  body: schemas.layoutRequest,
+  errors: [404]
+}, (req, res) => {
+  const { deviceIds } = req.body;
+
   try {
-    if (devices.length === 0) {
-      return res.status(400).json({ error: 'No devices to export. Please add some devices first.' });
+    const devices = db.listDevices(req.design.id);
+    const connections = db.listConnections(req.design.id);
+    const missing = (deviceIds || []).find(deviceId => !devices.some(device => device.id === deviceId));
+    if (missing) {
+      return sendError(res, 404, 'device-not-found', `Device ${missing} not found`);
     }
-    
-    const kubevirtYaml = generateKubeVirtInfrastructure(devices, connections);
-    
-    res.setHeader('Content-Type', 'application/x-yaml');
-    res.setHeader('Content-Disposition', 'attachment; filename="kubevirt-infrastructure.yaml"');
-    res.send(kubevirtYaml);
+
+    const positions = deviceIds
+      ? layoutSelection(
+        devices.filter(device => deviceIds.includes(device.id)),
+        connections,
+        devices.filter(device => !deviceIds.includes(device.id))
+      )
+      : layoutDevices(devices, connections);
+    const moved = db.transaction(() => [...positions.entries()].map(([deviceId, position]) => {
+      db.setPosition(req.design.id, deviceId, position);
+      return { id: deviceId, position, version: db.findDevice(req.design.id, deviceId).version };
+    }))();
+
+    moved.forEach(device => publishChange(req, 'device-moved', device));
+    res.json({ success: true, devices: moved });
   } catch (error) {
-    res.status(500).json({ error: `Failed to export KubeVirt configuration: ${error.message}` });
+    sendError(res, 500, 'internal-error', error.message);
   }
 });
 
-app.get('/export/kubevirt-pvcs', (req, res) => {
+// Zones group devices on the canvas; the exports label their resources with the zone
+// and place them in the zone's namespace when it has one
+const zoneResult = {
+  type: 'object',
+  properties: { success: { type: 'boolean' }, zone: { $ref: '#/components/schemas/Zone' } }
+};
+
+designRoutes.get('/zones', {
+  operationId: 'listZones',
+  summary: 'List zones with their devices',
+  tags: ['zones'],
+  response: { schema: { type: 'array', items: { $ref: '#/components/schemas/Zone' } } }
+}, (req, res) => {
   try {
-    if (devices.length === 0) {
-      return res.status(400).json({ error: 'No devices to export. Please add some devices first.' });
+    res.json(db.listZones(req.design.id).map(zone => zoneWithDevices(req.design.id, zone)));
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.post('/zones', {
+  operationId: 'createZone',
+  summary: 'Create a zone, optionally moving devices into it',
+  tags: ['zones'],
+  body: schemas.createZone,
+  response: { schema: zoneResult },
+  errors: [400, 404]
+}, (req, res) => {
+  const { devices = [] } = req.body;
+
+  try {
+    const result = processZoneInput(req.body);
+    if (result.error) {
+      return sendError(res, 400, 'invalid-zone', result.error);
     }
-    
-    const kubevirtYaml = generatePVCsOnly(devices, connections);
-    
-    res.setHeader('Content-Type', 'application/x-yaml');
-    res.setHeader('Content-Disposition', 'attachment; filename="kubevirt-infrastructure-pvcs.yaml"');
-    res.send(kubevirtYaml);
+    if (db.findZone(req.design.id, result.zone.name)) {
+      return sendError(res, 400, 'zone-exists', `Zone ${result.zone.name} already exists`);
+    }
+    const missing = devices.find(deviceId => !db.findDevice(req.design.id, deviceId));
+    if (missing) {
+      return sendError(res, 404, 'device-not-found', `Device ${missing} not found`);
+    }
+
+    const zone = db.transaction(() => {
+      const created = db.insertZone(req.design.id, { ...result.zone, createdAt: new Date().toISOString() });
+      devices.forEach(deviceId => db.setZone(req.design.id, deviceId, created.name));
+      return created;
+    })();
+
+    publishChange(req, 'zone-created', { zone });
+    devices.forEach(deviceId => publishChange(req, 'device-updated', { device: db.findDevice(req.design.id, deviceId) }));
+    res.json({ success: true, zone: zoneWithDevices(req.design.id, zone) });
   } catch (error) {
-    res.status(500).json({ error: `Failed to export KubeVirt PVCs: ${error.message}` });
+    sendError(res, 500, 'internal-error', error.message);
   }
 });
 
-app.get('/export/kubevirt-vms', (req, res) => {
+// Renaming moves the zone's devices along
+designRoutes.put('/zones/:zoneName', {
+  operationId: 'updateZone',
+  summary: 'Rename a zone or change its namespace',
+  tags: ['zones'],
+  body: schemas.updateZone,
+  response: { schema: zoneResult },
+  errors: [400, 404]
+}, (req, res) => {
+  const { zoneName } = req.params;
+
   try {
-    if (devices.length === 0) {
-      return res.status(400).json({ error: 'No devices to export. Please add some devices first.' });
+    const current = db.findZone(req.design.id, zoneName);
+    if (!current) {
+      return sendError(res, 404, 'zone-not-found', `Zone ${zoneName} not found`);
     }
-    
-    const kubevirtYaml = generateVMsOnly(devices, connections);
-    
-    res.setHeader('Content-Type', 'application/x-yaml');
-    res.setHeader('Content-Disposition', 'attachment; filename="kubevirt-infrastructure-vms.yaml"');
-    res.send(kubevirtYaml);
+    const result = processZoneInput({
+      name: req.body.name !== undefined ? req.body.name : current.name,
+      namespace: req.body.namespace !== undefined ? req.body.namespace : current.namespace
+    });
+    if (result.error) {
+      return sendError(res, 400, 'invalid-zone', result.error);
+    }
+    if (result.zone.name !== zoneName && db.findZone(req.design.id, result.zone.name)) {
+      return sendError(res, 400, 'zone-exists', `Zone ${result.zone.name} already exists`);
+    }
+
+    const zone = db.updateZone(req.design.id, zoneName, result.zone);
+    publishChange(req, 'zone-updated', { name: zoneName, zone });
+    if (zone.name !== zoneName) {
+      db.listDevices(req.design.id)
+        .filter(device => device.zone === zone.name)
+        .forEach(device => publishChange(req, 'device-updated', { device }));
+    }
+    res.json({ success: true, zone: zoneWithDevices(req.design.id, zone) });
   } catch (error) {
-    res.status(500).json({ error: `Failed to export KubeVirt VMs: ${error.message}` });
+    sendError(res, 500, 'internal-error', error.message);
   }
 });
 
-app.use((err, req, res, next) => {
-  res.status(500).json({ error: 'Internal server error' });
+// The devices stay where they are, without a zone
+designRoutes.delete('/zones/:zoneName', {
+  operationId: 'deleteZone',
+  summary: 'Delete a zone',
+  tags: ['zones'],
+  errors: [404]
+}, (req, res) => {
+  const { zoneName } = req.params;
+
+  try {
+    const members = db.listDevices(req.design.id).filter(device => device.zone === zoneName);
+    if (!db.deleteZone(req.design.id, zoneName)) {
+      return sendError(res, 404, 'zone-not-found', `Zone ${zoneName} not found`);
+    }
+
+    publishChange(req, 'zone-deleted', { name: zoneName });
+    members.forEach(device => publishChange(req, 'device-updated', { device: db.findDevice(req.design.id, device.id) }));
+    res.json({ success: true, message: `Zone ${zoneName} deleted` });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
 });
 
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+// Moves every placed device of the zone by dx/dy. Answers like POST /layout.
+designRoutes.post('/zones/:zoneName/move', {
+  operationId: 'moveZone',
+  summary: 'Move all devices of a zone on the canvas',
+  tags: ['zones'],
+  body: schemas.moveZone,
+  errors: [404]
+}, (req, res) => {
+  const { zoneName } = req.params;
+  const { dx, dy } = req.body;
+
+  try {
+    if (!db.findZone(req.design.id, zoneName)) {
+      return sendError(res, 404, 'zone-not-found', `Zone ${zoneName} not found`);
+    }
+
+    const members = db.listDevices(req.design.id).filter(device => device.zone === zoneName && device.position);
+    const moved = db.transaction(() => members.map(device => {
+      const position = { x: device.position.x + dx, y: device.position.y + dy };
+      db.setPosition(req.design.id, device.id, position);
+      return { id: device.id, position, version: device.version + 1 };
+    }))();
+
+    moved.forEach(device => publishChange(req, 'device-moved', device));
+    res.json({ success: true, devices: moved });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
 });
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+// The cloudInitNoCloud data the export puts into the device's VirtualMachine
+designRoutes.get('/devices/:deviceId/cloud-init', {
+  operationId: 'getCloudInit',
+  summary: 'Preview the cloud-init network and user data of a VM or router',
+  tags: ['devices'],
+  query: schemas.cloudInitQuery,
+  errors: [400, 404]
+}, (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    const device = db.findDevice(req.design.id, deviceId);
+    if (!device) {
+      return sendError(res, 404, 'device-not-found', `Device ${deviceId} not found`);
+    }
+    if (device.type === 'switch') {
+      return sendError(res, 400, 'switch-not-supported', `Switch ${deviceId} has no guest to configure`);
+    }
+
+    const devices = db.listDevices(req.design.id);
+    const plan = generateConnectionBasedIPAssignments(devices, db.listConnections(req.design.id));
+    const routingTable = computeRoutingTables(devices, plan).find(table => table.routerId === deviceId);
+    const firewall = device.type === 'router' ? routerFirewall(device, plan, kubevirtOptions(req).routerFirewall) : null;
+    res.json({
+      deviceId,
+      ...generateCloudInit(req.design, device, plan.ipAssignments.get(deviceId) || [], routingTable ? routingTable.routes : [], firewall)
+    });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
 });
 
-function analyzeConnectionBasedTopology() {
-  const networkSegments = new Map();
-  const deviceNetworks = new Map();
-  
-  let segmentCounter = 1;
-  const processedConnections = new Set();
-  
-  devices.forEach(device => {
-    deviceNetworks.set(device.id, []);
-  });
+designRoutes.post('/devices/delete', {
+  operationId: 'deleteDevice',
+  summary: 'Delete device (409 when "version" is outdated)',
+  tags: ['devices'],
+  body: schemas.deleteDevice,
+  errors: [409]
+}, (req, res) => {
+  const { deviceId } = req.body;
   
-  connections.forEach(connItem => {
-    const connectionKey = `${connItem.from}-${connItem.to}`;
-    const reverseKey = `${connItem.to}-${connItem.from}`;
-    
-    if (!processedConnections.has(connectionKey) && !processedConnections.has(reverseKey)) {
-      const segmentName = `net${segmentCounter}`;
-      
-      const connectionIPs = [];
-      
-      if (connItem.fromRouterIP) connectionIPs.push(connItem.fromRouterIP);
-      if (connItem.toRouterIP) connectionIPs.push(connItem.toRouterIP);
-      
-      const fromDevice = devices.find(d => d.id === connItem.from);
-      const toDevice = devices.find(d => d.id === connItem.to);
-      
-      if (fromDevice && fromDevice.ip) connectionIPs.push(fromDevice.ip);
-      if (toDevice && toDevice.ip) connectionIPs.push(toDevice.ip);
-      
-      let subnet = `192.168.${segmentCounter}.0/24`;
-      let networkBase = `192.168.${segmentCounter}`;
-      let detectedIP = null;
-      
-      if (connectionIPs.length > 0) {
-        detectedIP = connectionIPs[0];
-        const ipParts = detectedIP.split('.');
-        if (ipParts.length === 4 && ipParts.every(part => !isNaN(part) && part >= 0 && part <= 255)) {
-          networkBase = `${ipParts[0]}.${ipParts[1]}.${ipParts[2]}`;
-          subnet = `${networkBase}.0/24`;
-        }
-      }
-      
-      networkSegments.set(segmentName, {
-        name: segmentName,
-        subnet: subnet,
-        networkBase: networkBase,
-        devices: [connItem.from, connItem.to],
-        connectionId: `${connItem.from}-${connItem.to}`,
-        detectedFromIP: detectedIP,
-        allConnectionIPs: connectionIPs
-      });
-      
-      deviceNetworks.get(connItem.from).push(segmentName);
-      deviceNetworks.get(connItem.to).push(segmentName);
-      
-      processedConnections.add(connectionKey);
-      processedConnections.add(reverseKey);
-      segmentCounter++;
+  try {
+    const device = db.findDevice(req.design.id, deviceId);
+    const stale = device && staleWrite(req, device);
+    if (stale) {
+      return res.status(409).json(stale);
     }
-  });
-  
-  return { networkSegments, deviceNetworks };
-}
 
-function generateConnectionBasedIPAssignments() {
-  const { networkSegments, deviceNetworks } = analyzeConnectionBasedTopology();
-  const ipAssignments = new Map();
-  
-  devices.forEach(device => {
-    const assignments = [];
-    const deviceNetworkList = deviceNetworks.get(device.id) || [];
+    db.deleteDevice(req.design.id, deviceId);
+    if (device) {
+      publishChange(req, 'device-deleted', { id: deviceId });
+    }
     
-    deviceNetworkList.forEach((networkName, index) => {
-      const segment = networkSegments.get(networkName);
-      if (segment) {
-        const baseNetwork = segment.networkBase || `192.168.${networkName.replace('net', '')}`;
-        
-        let ip;
-        let isCustomIP = false;
-        
-        const segmentConn = connections.find(conn => 
-          (conn.from === segment.devices[0] && conn.to === segment.devices[1]) ||
-          (conn.from === segment.devices[1] && conn.to === segment.devices[0])
-        );
-        
-        if (device.type === 'router') {
-          if (segmentConn) {
-            if (segmentConn.from === device.id && segmentConn.fromRouterIP) {
-              ip = segmentConn.fromRouterIP;
-              isCustomIP = true;
-            } else if (segmentConn.to === device.id && segmentConn.toRouterIP) {
-              ip = segmentConn.toRouterIP;
-              isCustomIP = true;
-            }
-          }
-          
-          if (!ip && device.interfaceIPs) {
-            const otherDeviceId = segment.devices.find(d => d !== device.id);
-            const interfaceKey = `to_${otherDeviceId}`;
-            if (device.interfaceIPs[interfaceKey]) {
-              ip = device.interfaceIPs[interfaceKey];
-              isCustomIP = true;
-            }
-          }
-          
-          if (!ip) {
-            ip = `${baseNetwork}.1`;
-          }
-        } else {
-          if (index === 0 && device.ip && device.ip.trim()) {
-            ip = device.ip.trim();
-            isCustomIP = true;
-          } else {
-            // VM gets .10 if connected to router, .11 otherwise
-            const otherDeviceId = segment.devices.find(d => d !== device.id);
-            const otherDevice = devices.find(d => d.id === otherDeviceId);
-            if (otherDevice && otherDevice.type === 'router') {
-              ip = `${baseNetwork}.10`;
-            } else {
-              ip = `${baseNetwork}.11`;
-            }
-          }
-        }
-        
-        let gatewayIP = `${baseNetwork}.1`;
-        
-        if (segmentConn) {
-          const fromDev = devices.find(d => d.id === segmentConn.from);
-          const toDev = devices.find(d => d.id === segmentConn.to);
-          
-          if (fromDev && fromDev.type === 'router' && segmentConn.fromRouterIP) {
-            gatewayIP = segmentConn.fromRouterIP;
-          } else if (toDev && toDev.type === 'router' && segmentConn.toRouterIP) {
-            gatewayIP = segmentConn.toRouterIP;
-          }
-        }
-        
-        assignments.push({
-          network: networkName,
-          ip: ip,
-          subnet: segment.subnet,
-          gateway: gatewayIP,
-          interfaceName: `eth${index + 1}`,
-          isCustomIP: isCustomIP,
-          connectionId: segment.connectionId
-        });
-      }
+    res.json({ 
+      success: true, 
+      message: `Device ${deviceId} deleted`
     });
-    
-    ipAssignments.set(device.id, assignments);
-  });
-  
-  return { ipAssignments, networkSegments };
-}
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
 
-function generateKubeVirtInfrastructure(devices, connections) {
-  const components = [];
-  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments();
-  
-  components.push(`# KubeVirt Infrastructure
-# Generated: ${new Date().toISOString()}
-# Devices: ${devices.length} | Connections: ${connections.length}
-# Namespace: ${NAMESPACE}
-
-# Create namespace first
-apiVersion: v1
-kind: Namespace
-metadata:
-  name: ${NAMESPACE}
-  labels:
-    name: ${NAMESPACE}
-    type: infrastructure-lab`);
-
-  components.push(generateNetworkAttachmentDefinitions(networkSegments));
-  
-  components.push('# Persistent Volume Claims');
-  devices.forEach(device => {
-    components.push(generateDevicePVC(device));
-  });
-  
-  components.push('# Virtual Machines');
-  devices.forEach(device => {
-    components.push(generateNetworkedKubeVirtVM(device, ipAssignments, networkSegments));
-  });
+designRoutes.post('/connections', {
+  operationId: 'createConnection',
+  summary: 'Create connection',
+  tags: ['connections'],
+  body: schemas.createConnection,
+  response: { schema: connectionResult },
+  errors: [400, 404]
+}, (req, res) => {
+  const { from, to, fromRouterIP, toRouterIP, subnet, rules } = req.body;
   
-  return components.join('\n---\n');
-}
+  try {
+    const fromDevice = db.findDevice(req.design.id, from);
+    const toDevice = db.findDevice(req.design.id, to);
+    
+    if (!fromDevice || !toDevice) {
+      return sendError(res, 404, 'device-not-found', 'One or both devices not found.');
+    }
 
-function generateVMsOnly(devices, connections) {
-  const components = [];
-  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments();
-  
-  components.push(`# KubeVirt VMs
-# Generated: ${new Date().toISOString()}
-# Namespace: ${NAMESPACE}`);
-  
-  components.push('# Virtual Machines');
-  devices.forEach(device => {
-    components.push(generateNetworkedKubeVirtVM(device, ipAssignments, networkSegments));
-  });
-  
-  return components.join('\n---\n');
-}
+    if (fromDevice.type === 'vm' && toDevice.type === 'vm') {
+      return sendError(res, 400, 'vm-to-vm', 'Connecting VM with VM is prohibited.');
+    }
 
-function generatePVCsOnly(devices, connections) {
-  const components = [];
-  const { networkSegments } = analyzeConnectionBasedTopology();
-  
-  components.push(`# KubeVirt PVCs and Networks
-# Generated: ${new Date().toISOString()}
-# Namespace: ${NAMESPACE}
-
-# Create namespace first
-apiVersion: v1
-kind: Namespace
-metadata:
-  name: ${NAMESPACE}
-  labels:
-    name: ${NAMESPACE}
-    type: infrastructure-lab`);
+    const existingConnection = db.findConnection(req.design.id, from, to);
+    if (existingConnection) {
+      return sendError(res, 400, 'connection-exists', 'Connection already exists between these devices');
+    }
+
+    const result = processConnectionInput(req.design.id, { fromRouterIP, toRouterIP, subnet, rules });
+    if (result.error) {
+      return sendError(res, 400, 'invalid-connection', result.error);
+    }
+
+    const newConnection = {
+      from,
+      to,
+      fromRouterIP: result.fromRouterIP,
+      toRouterIP: result.toRouterIP,
+      subnet: result.subnet,
+      rules: result.rules,
+      createdAt: new Date().toISOString()
+    };
+    
+    const conflict = findNewAddressConflict(req.design.id, {
+      devices: db.listDevices(req.design.id),
+      connections: [...db.listConnections(req.design.id), newConnection]
+    });
+    if (conflict) {
+      return sendError(res, 400, 'address-conflict', conflict.message);
+    }
+    
+    db.transaction(() => {
+      db.insertConnection(req.design.id, newConnection);
+      
+      if (result.fromRouterIP && fromDevice.type === 'router') {
+        db.setInterfaceIPs(req.design.id, from, { ...fromDevice.interfaceIPs, [`to_${to}`]: result.fromRouterIP });
+      }
+      
+      if (result.toRouterIP && toDevice.type === 'router') {
+        db.setInterfaceIPs(req.design.id, to, { ...toDevice.interfaceIPs, [`to_${from}`]: result.toRouterIP });
+      }
+    })();
+    
+    publishChange(req, 'connection-created', { connection: newConnection });
+    const routers = publishRouters(req, [from, to]);
+    res.json({ success: true, connection: newConnection, routers });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// Fields left out of the body keep their value; an empty string clears it.
+designRoutes.put('/connections', {
+  operationId: 'updateConnection',
+  summary: 'Update router IPs, subnet or firewall rules of a connection',
+  tags: ['connections'],
+  body: schemas.updateConnection,
+  response: { schema: connectionResult },
+  errors: [400, 404]
+}, (req, res) => {
+  const { from, to } = req.body;
   
-  components.push(generateNetworkAttachmentDefinitions(networkSegments));
+  try {
+    const connection = db.findConnection(req.design.id, from, to);
+    if (!connection) {
+      return sendError(res, 404, 'connection-not-found', `No connection between ${from} and ${to}`);
+    }
+
+    // The body may name the endpoints in either order
+    const reversed = connection.from !== from;
+    const input = {
+      fromRouterIP: reversed ? req.body.toRouterIP : req.body.fromRouterIP,
+      toRouterIP: reversed ? req.body.fromRouterIP : req.body.toRouterIP,
+      subnet: req.body.subnet
+    };
+    const result = processConnectionInput(req.design.id, {
+      fromRouterIP: input.fromRouterIP !== undefined ? input.fromRouterIP : connection.fromRouterIP,
+      toRouterIP: input.toRouterIP !== undefined ? input.toRouterIP : connection.toRouterIP,
+      subnet: input.subnet !== undefined ? input.subnet : connection.subnet,
+      rules: req.body.rules !== undefined ? req.body.rules : connection.rules
+    });
+    if (result.error) {
+      return sendError(res, 400, 'invalid-connection', result.error);
+    }
+
+    const updatedConnection = { ...connection, ...result };
+    const conflict = findNewAddressConflict(req.design.id, {
+      devices: db.listDevices(req.design.id),
+      connections: db.listConnections(req.design.id).map(conn =>
+        (conn.from === connection.from && conn.to === connection.to ? updatedConnection : conn))
+    });
+    if (conflict) {
+      return sendError(res, 400, 'address-conflict', conflict.message);
+    }
+
+    db.transaction(() => {
+      db.updateConnection(req.design.id, updatedConnection);
+      [[connection.from, connection.to, result.fromRouterIP], [connection.to, connection.from, result.toRouterIP]]
+        .forEach(([deviceId, peerId, routerIP]) => {
+          const device = db.findDevice(req.design.id, deviceId);
+          if (device.type !== 'router') return;
+          const interfaceIPs = { ...device.interfaceIPs };
+          if (routerIP) interfaceIPs[`to_${peerId}`] = routerIP;
+          else delete interfaceIPs[`to_${peerId}`];
+          db.setInterfaceIPs(req.design.id, deviceId, interfaceIPs);
+        });
+    })();
+    
+    publishChange(req, 'connection-updated', { connection: updatedConnection });
+    const routers = publishRouters(req, [connection.from, connection.to]);
+    res.json({ success: true, connection: updatedConnection, routers });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.delete('/connections', {
+  operationId: 'deleteConnection',
+  summary: 'Delete a single connection (?from=&to= or in the body)',
+  tags: ['connections'],
+  query: schemas.connectionQuery,
+  body: schemas.deleteConnection,
+  errors: [400, 404]
+}, (req, res) => {
+  const { from, to } = { ...req.query, ...req.body };
+  if (!from || !to) {
+    return sendError(res, 400, 'invalid-request', 'from and to are required, as query parameters or in the body');
+  }
   
-  components.push('# Persistent Volume Claims');
-  devices.for
\ No newline at end of file
+  try {
+    const connection = db.findConnection(req.design.id, from, to);
+    if (!connection) {
+      return sendError(res, 404, 'connection-not-found', `No connection between ${from} and ${to}`);
+    }
+
+    db.transaction(() => {
+      db.deleteConnection(req.design.id, from, to);
+      [[connection.from, connection.to], [connection.to, connection.from]].forEach(([deviceId, peerId]) => {
+        const device = db.findDevice(req.design.id, deviceId);
+        if (device.interfaceIPs && device.interfaceIPs[`to_${peerId}`]) {
+          const interfaceIPs = { ...device.interfaceIPs };
+          delete interfaceIPs[`to_${peerId}`];
+          db.setInterfaceIPs(req.design.id, deviceId, interfaceIPs);
+        }
+      });
+    })();
+    
+    publishChange(req, 'connection-deleted', { from: connection.from, to: connection.to });
+    publishRouters(req, [connection.from, connection.to]);
+    res.json({ success: true, message: `Connection ${connection.from} - ${connection.to} deleted` });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.get('/connections', {
+  operationId: 'listConnections',
+  summary: 'List connections',
+  tags: ['connections'],
+  response: { schema: { type: 'array', items: { $ref: '#/components/schemas/Connection' } } }
+}, (req, res) => {
+  try {
+    res.json(db.listConnections(req.design.id));
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.get('/ipam', { operationId: 'getIpam', summary: 'Segment subnets, address pools and allocations', tags: ['analysis'] }, (req, res) => {
+  try {
+    res.json(generateIPAMReport(db.listDevices(req.design.id), db.listConnections(req.design.id)));
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.get('/routes', { operationId: 'getRoutes', summary: 'Static routing table of every router', tags: ['analysis'] }, (req, res) => {
+  try {
+    const devices = db.listDevices(req.design.id);
+    const plan = generateConnectionBasedIPAssignments(devices, db.listConnections(req.design.id));
+    res.json({ routers: computeRoutingTables(devices, plan) });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.get('/analysis/path', {
+  operationId: 'analyzePath',
+  summary: 'Hops between two devices, or why there is no path',
+  tags: ['analysis'],
+  query: schemas.pathQuery,
+  errors: [400, 404]
+}, (req, res) => {
+  const { from, to } = req.query;
+
+  try {
+    if (from === to) {
+      return sendError(res, 400, 'same-device', 'from and to must be different devices');
+    }
+
+    const devices = db.listDevices(req.design.id);
+    for (const deviceId of [from, to]) {
+      const device = devices.find(d => d.id === deviceId);
+      if (!device) {
+        return sendError(res, 404, 'device-not-found', `Device ${deviceId} not found`);
+      }
+      if (device.type === 'switch') {
+        return sendError(res, 400, 'switch-not-supported', `Switch ${deviceId} has no address, pick a VM or router`);
+      }
+    }
+
+    res.json(analyzePath(devices, db.listConnections(req.design.id), from, to));
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.get('/validate', {
+  operationId: 'validateDesign',
+  summary: 'Validate the topology (errors and warnings)',
+  tags: ['analysis'],
+  response: { schema: { $ref: '#/components/schemas/ValidationReport' } }
+}, (req, res) => {
+  try {
+    res.json(validateTopology(db.listDevices(req.design.id), db.listConnections(req.design.id)));
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// Capacity: whether the VMs and routers fit on the cluster nodes, and on which node
+// each one goes
+designRoutes.get('/capacity', {
+  operationId: 'getCapacity',
+  summary: 'Sum the VM requests and place them on the cluster nodes',
+  tags: ['analysis'],
+  response: { schema: { $ref: '#/components/schemas/CapacityReport' } }
+}, (req, res) => {
+  try {
+    res.json(planCapacity(db.listDevices(req.design.id), db.listClusterNodes()));
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// KubeVirt Export Endpoints
+
+designRoutes.get('/export/kubevirt', kubevirtExportSpec('exportKubeVirt', 'Export complete infrastructure as KubeVirt YAML'), (req, res) => {
+  sendExport(req, res, {
+    generate: (design, devices, connections) => generateKubeVirtInfrastructure(design, devices, connections, kubevirtOptions(req, devices)),
+    contentType: 'application/x-yaml',
+    filename: 'kubevirt-infrastructure.yaml',
+    failure: 'Failed to export KubeVirt configuration'
+  });
+});
+
+designRoutes.get('/export/kubevirt-pvcs', kubevirtExportSpec('exportKubeVirtPvcs', 'Export PVCs only'), (req, res) => {
+  sendExport(req, res, {
+    generate: (design, devices, connections) => generatePVCsOnly(design, devices, connections, kubevirtOptions(req, devices)),
+    contentType: 'application/x-yaml',
+    filename: 'kubevirt-infrastructure-pvcs.yaml',
+    failure: 'Failed to export KubeVirt PVCs'
+  });
+});
+
+designRoutes.get('/export/kubevirt-vms', kubevirtExportSpec('exportKubeVirtVms', 'Export VMs only'), (req, res) => {
+  sendExport(req, res, {
+    generate: (design, devices, connections) => generateVMsOnly(design, devices, connections, kubevirtOptions(req, devices)),
+    contentType: 'application/x-yaml',
+    filename: 'kubevirt-infrastructure-vms.yaml',
+    failure: 'Failed to export KubeVirt VMs'
+  });
+});
+
+// Kinds and images default per device type and can be overridden with
+// ?vmKind=&vmImage=&routerKind=&routerImage=&switchKind=&switchImage=
+designRoutes.get('/export/containerlab', {
+  ...exportSpec('exportContainerlab', 'Export a containerlab topology'),
+  query: schemas.containerlabQuery
+}, (req, res) => {
+  const settings = {};
+  for (const type of Object.keys(DEFAULT_NODE_SETTINGS)) {
+    settings[type] = {};
+    for (const field of ['kind', 'image']) {
+      const value = req.query[`${type}${field.charAt(0).toUpperCase()}${field.slice(1)}`];
+      if (value) settings[type][field] = value;
+    }
+  }
+
+  sendExport(req, res, {
+    generate: (design, devices, connections) => generateContainerlabTopology(design, devices, connections, settings),
+    contentType: 'application/x-yaml',
+    filename: `${req.design.namespace}.clab.yml`,
+    failure: 'Failed to export containerlab topology'
+  });
+});
+
+designRoutes.get('/export/terraform', {
+  ...exportSpec('exportTerraform', 'Export Terraform HCL for the libvirt provider'),
+  response: { schema: { type: 'string' }, contentType: 'text/plain' }
+}, (req, res) => {
+  sendExport(req, res, {
+    generate: generateTerraformLibvirt,
+    contentType: 'text/plain',
+    filename: `${req.design.namespace}.tf`,
+    failure: 'Failed to export Terraform configuration'
+  });
+});
+
+// Diagrams are drawn for broken designs too, they skip the validation gate
+designRoutes.get('/export/diagram', {
+  operationId: 'exportDiagram',
+  summary: 'Topology diagram as Graphviz DOT or standalone SVG',
+  tags: ['exports'],
+  query: schemas.diagramQuery,
+  response: { schema: { type: 'string' }, contentType: 'image/svg+xml' }
+}, (req, res) => {
+  const format = req.query.format || 'svg';
+  const formats = {
+    dot: { generate: generateDot, contentType: 'text/vnd.graphviz' },
+    svg: { generate: generateSvg, contentType: 'image/svg+xml' }
+  };
+
+  sendExport(req, res, {
+    ...formats[format],
+    filename: `${req.design.namespace}.${format}`,
+    failure: 'Failed to export diagram',
+    validate: false
+  });
+});
+
+// Accepts the YAML as a text body (text/yaml, application/x-yaml, text/plain) or as
+// { "yaml": "..." }. Imported devices are added to the design below the existing ones.
+designRoutes.post('/import/kubevirt', {
+  operationId: 'importKubeVirt',
+  summary: 'Import VirtualMachines and networks from KubeVirt YAML',
+  tags: ['imports'],
+  requestBody: {
+    required: true,
+    content: {
+      'application/yaml': { schema: { type: 'string' } },
+      'application/json': { schema: { type: 'object', required: ['yaml'], properties: { yaml: { type: 'string' } } } }
+    }
+  },
+  errors: [400]
+}, bodyParser.text({ type: ['text/*', 'application/yaml', 'application/x-yaml'], limit: '5mb' }), (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : req.body && req.body.yaml;
+  if (!text || !text.trim()) {
+    return sendError(res, 400, 'invalid-request', 'YAML body is required');
+  }
+
+  let imported;
+  try {
+    const existing = db.listDevices(req.design.id);
+    imported = importKubeVirt(text, {
+      existingIds: existing.map(device => device.id),
+      deviceCounters: req.design.deviceCounters
+    });
+    const lowest = Math.max(0, ...existing.filter(d => d.position).map(d => d.position.y + 160));
+    const positions = layoutDevices(imported.devices, imported.connections, { origin: { x: 40, y: Math.max(40, lowest) } });
+    imported.devices.forEach(device => {
+      device.position = positions.get(device.id);
+      device.createdAt = new Date().toISOString();
+    });
+    imported.connections.forEach(connItem => {
+      connItem.createdAt = new Date().toISOString();
+    });
+  } catch (error) {
+    return sendError(res, 400, 'invalid-yaml', `Cannot import YAML: ${error.message}`);
+  }
+
+  try {
+    // The manifests are checked like devices and connections added by hand
+    const errors = checkImportedItems(req.design.id, imported);
+    if (errors.length > 0) {
+      return sendError(res, 400, 'invalid-import', `Cannot import YAML: ${errors.join('; ')}`, {
+        errors,
+        mapping: imported.mapping
+      });
+    }
+
+    db.transaction(() => {
+      imported.devices.forEach(device => db.insertDevice(req.design.id, device));
+      imported.connections.forEach(connItem => db.insertConnection(req.design.id, connItem));
+      db.setDeviceCounters(req.design.id, imported.deviceCounters);
+    })();
+    publishChange(req, 'design-reloaded', {});
+
+    res.json({
+      success: true,
+      devices: imported.devices,
+      connections: imported.connections,
+      mapping: imported.mapping,
+      unmapped: imported.unmapped,
+      validation: validateTopology(db.listDevices(req.design.id), db.listConnections(req.design.id))
+    });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// Snapshots: named copies of the device and connection state of a design
+designRoutes.post('/snapshots', {
+  operationId: 'createSnapshot',
+  summary: 'Save a named snapshot of the devices and connections',
+  tags: ['snapshots'],
+  body: schemas.createSnapshot,
+  errors: [400]
+}, (req, res) => {
+  const name = req.body.name.trim();
+
+  try {
+    if (db.findSnapshotByName(req.design.id, name)) {
+      return sendError(res, 400, 'snapshot-exists', `Snapshot ${name} already exists`);
+    }
+
+    const document = buildDesignDocument(
+      req.design, db.listDevices(req.design.id), db.listConnections(req.design.id), db.listZones(req.design.id)
+    );
+    const snapshot = db.insertSnapshot(req.design.id, { name, document, createdAt: new Date().toISOString() });
+    delete snapshot.document;
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.get('/snapshots', { operationId: 'listSnapshots', summary: 'List snapshots', tags: ['snapshots'] }, (req, res) => {
+  try {
+    res.json(db.listSnapshots(req.design.id));
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// ?from= and ?to= take a snapshot ID or "current" (the default for to). format=kubevirt
+// returns a unified diff of the generated KubeVirt YAML instead of the change lists.
+designRoutes.get('/snapshots/diff', {
+  operationId: 'diffSnapshots',
+  summary: 'Changes between two snapshots or "current" (?format=kubevirt for a YAML diff)',
+  tags: ['snapshots'],
+  query: schemas.snapshotDiffQuery,
+  errors: [404]
+}, (req, res) => {
+  const { from, to = 'current', format = 'json' } = req.query;
+
+  try {
+    const before = snapshotState(req.design, from);
+    const after = snapshotState(req.design, to);
+    const missing = [before, after].find(state => state.error);
+    if (missing) {
+      return sendError(res, 404, 'snapshot-not-found', missing.error);
+    }
+
+    if (format === 'kubevirt') {
+      // The generation timestamp would differ in every diff
+      const manifest = (state) => generateKubeVirtInfrastructure({ ...req.design, zones: state.zones }, state.devices, state.connections)
+        .split('\n').filter(line => !line.startsWith('# Generated: ')).join('\n');
+      res.setHeader('Content-Type', 'text/x-diff');
+      return res.send(unifiedDiff(manifest(before), manifest(after), { fromLabel: before.label, toLabel: after.label }));
+    }
+
+    res.json({ from: before.label, to: after.label, ...diffDesigns(before, after) });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', `Failed to diff snapshots: ${error.message}`);
+  }
+});
+
+designRoutes.get('/snapshots/:snapshotId', {
+  operationId: 'getSnapshot',
+  summary: 'Get a snapshot with its devices and connections',
+  tags: ['snapshots'],
+  errors: [404]
+}, (req, res) => {
+  try {
+    const snapshot = db.findSnapshot(req.design.id, req.params.snapshotId);
+    if (!snapshot) {
+      return sendError(res, 404, 'snapshot-not-found', `Snapshot ${req.params.snapshotId} not found`);
+    }
+    res.json(snapshot);
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+// Replaces the devices and connections of the design with the snapshot's. Device
+// counters keep their current value so IDs used since the snapshot are not reused.
+designRoutes.post('/snapshots/:snapshotId/restore', {
+  operationId: 'restoreSnapshot',
+  summary: 'Replace the devices and connections with a snapshot',
+  tags: ['snapshots'],
+  body: schemas.restoreSnapshot,
+  errors: [400, 404]
+}, (req, res) => {
+  const errors = [];
+  try {
+    const snapshot = db.findSnapshot(req.design.id, req.params.snapshotId);
+    if (!snapshot) {
+      return sendError(res, 404, 'snapshot-not-found', `Snapshot ${req.params.snapshotId} not found`);
+    }
+    const read = readDesignDocument(snapshot.document);
+    if (read.errors) {
+      return sendError(res, 500, 'snapshot-damaged', `Snapshot ${snapshot.name} is damaged: ${read.errors.join('; ')}`);
+    }
+
+    db.transaction(() => {
+      db.clear(req.design.id);
+      const restoredCounters = insertDocumentContents(req.design.id, read.document, errors);
+      if (errors.length > 0) {
+        throw new Error('Snapshot cannot be restored');
+      }
+      const deviceCounters = { ...restoredCounters };
+      Object.entries(req.design.deviceCounters).forEach(([type, count]) => {
+        deviceCounters[type] = Math.max(deviceCounters[type] || 0, count);
+      });
+      db.setDeviceCounters(req.design.id, deviceCounters);
+    })();
+
+    publishChange(req, 'design-reloaded', {});
+    res.json({
+      success: true,
+      message: `Restored snapshot ${snapshot.name}`,
+      devices: db.listDevices(req.design.id),
+      connections: db.listConnections(req.design.id)
+    });
+  } catch (error) {
+    if (errors.length > 0) {
+      return sendError(res, 400, 'invalid-snapshot', `Snapshot cannot be restored: ${errors.join('; ')}`, { errors });
+    }
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+designRoutes.delete('/snapshots/:snapshotId', { operationId: 'deleteSnapshot', summary: 'Delete a snapshot', tags: ['snapshots'], errors: [404] }, (req, res) => {
+  try {
+    if (!db.deleteSnapshot(req.design.id, req.params.snapshotId)) {
+      return sendError(res, 404, 'snapshot-not-found', `Snapshot ${req.params.snapshotId} not found`);
+    }
+    res.json({ success: true, message: `Snapshot ${req.params.snapshotId} deleted` });
+  } catch (error) {
+    sendError(res, 500, 'internal-error', error.message);
+  }
+});
+
+app.use('/designs/:designId', loadDesign, designRouter);
+app.use(loadDesign, designRouter);
+
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid-json', `Request body is not valid JSON: ${err.message}`);
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'payload-too-large', `Request body is larger than ${err.limit} bytes`);
+  }
+  sendError(res, 500, 'internal-error', 'Internal server error');
+});
+
+app.use('*', (req, res) => {
+  sendError(res, 404, 'route-not-found', 'Route not found');
+});
+
+const PORT = process.env.PORT || 4000;
+app.listen(PORT, () => {
+  console.log(`Server running on http://localhost:${PORT}`);
+});
+
+// Shared by all export routes. A design with validation errors is refused with 422 and
+// the report, unless ?force=true is passed; remaining issues are listed as comments
+// at the top of the exported file.
+function sendExport(req, res, { generate, contentType, filename, failure, validate = true }) {
+  try {
+    const devices = db.listDevices(req.design.id);
+    const connections = db.listConnections(req.design.id);
+    if (devices.length === 0) {
+      return sendError(res, 400, 'nothing-to-export', 'No devices to export. Please add some devices first.');
+    }
+
+    const report = validate ? validateTopology(devices, connections) : { valid: true, errors: [], warnings: [] };
+    if (!report.valid && req.query.force !== 'true') {
+      return sendError(res, 422, 'validation-failed',
+        `Design has ${report.errors.length} validation error(s). Fix them or pass ?force=true to export anyway.`, report);
+    }
+
+    const issues = [
+      ...report.errors.map(issue => `# ERROR: ${issue.message}`),
+      ...report.warnings.map(issue => `# WARNING: ${issue.message}`)
+    ];
+    const output = generate({ ...req.design, zones: db.listZones(req.design.id) }, devices, connections);
+    
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(issues.length > 0 ? `${issues.join('\n')}\n${output}` : output);
+  } catch (error) {
+    sendError(res, 500, 'internal-error', `${failure}: ${error.message}`);
+  }
+}
+
+// Error answers share one shape: { error, code } plus route-specific details.
+// The codes are listed in the README.
+function sendError(res, status, code, message, details = {}) {
+  return res.status(status).json({ error: message, code, ...details });
+}
+
+// Description of an export route for the OpenAPI document
+function exportSpec(operationId, summary) {
+  return {
+    operationId,
+    summary,
+    tags: ['exports'],
+    query: schemas.exportQuery,
+    response: { schema: { type: 'string' }, contentType: 'application/x-yaml' },
+    errors: [400, 422]
+  };
+}
+
+// The KubeVirt exports also take ?routerFirewall=nftables|iptables and
+// ?placement=nodeSelector|nodeAffinity
+function kubevirtExportSpec(operationId, summary) {
+  return { ...exportSpec(operationId, summary), query: schemas.kubevirtExportQuery };
+}
+
+// Placement hints come from the same plan as GET /capacity
+function kubevirtOptions(req, devices = []) {
+  const { routerFirewall, placement } = req.query;
+  return {
+    routerFirewall: routerFirewall && routerFirewall !== 'none' ? routerFirewall : null,
+    placement: PLACEMENT_HINTS.includes(placement)
+      ? { hint: placement, plan: planCapacity(devices, db.listClusterNodes()) }
+      : null
+  };
+}
+
+// Sends a change event to the other browsers that have the design open
+function publishChange(req, type, data) {
+  events.publish(req.design.id, type, data, req.get('X-Client-Id') || null);
+}
+
+// Router interface IPs follow their connections, so routers change with them.
+// Returns the routers it published.
+function publishRouters(req, deviceIds) {
+  const routers = deviceIds
+    .map(deviceId => db.findDevice(req.design.id, deviceId))
+    .filter(device => device && device.type === 'router');
+  routers.forEach(device => publishChange(req, 'device-updated', { device }));
+  return routers;
+}
+
+// Writes may name the device version they are based on, as "version" in the body or
+// an If-Match header. Returns the 409 body when someone else changed the device since.
+function staleWrite(req, device) {
+  const expected = req.body.version !== undefined && req.body.version !== null
+    ? [String(req.body.version)]
+    : ifMatchVersions(req.get('If-Match'));
+  if (expected.length === 0 || expected.includes(String(device.version))) {
+    return null;
+  }
+  return {
+    error: `${device.id} was changed by someone else in the meantime (version ${device.version}, your change is based on ${expected.join(', ')}). Reload it and try again.`,
+    code: 'stale-write',
+    device
+  };
+}
+
+// If-Match: "3", W/"3", a list of them, or * for any version. Versions are compared
+// as entity tags, so unquoted ones are accepted too. [] when there is no condition.
+function ifMatchVersions(header) {
+  if (!header || header.trim() === '*') return [];
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+}
+
+// Devices, connections and zones of a snapshot, or of the design itself for "current"
+function snapshotState(design, reference) {
+  if (reference === 'current') {
+    return {
+      label: 'current',
+      devices: db.listDevices(design.id),
+      connections: db.listConnections(design.id),
+      zones: db.listZones(design.id)
+    };
+  }
+
+  const snapshot = db.findSnapshot(design.id, reference);
+  if (!snapshot) {
+    return { error: `Snapshot ${reference} not found` };
+  }
+  const read = readDesignDocument(snapshot.document);
+  if (read.errors) {
+    return { error: `Snapshot ${snapshot.name} is damaged: ${read.errors.join('; ')}` };
+  }
+  return {
+    label: `snapshot ${snapshot.name}`,
+    devices: read.document.devices,
+    connections: read.document.connections,
+    zones: read.document.zones
+  };
+}
+
+function loadDesign(req, res, next) {
+  const designId = req.params.designId || db.DEFAULT_DESIGN_ID;
+  const design = db.findDesign(designId);
+  if (!design) {
+    return sendError(res, 404, 'design-not-found', `Design ${designId} not found`);
+  }
+  req.design = design;
+  next();
+}
+
+function processDesignInput({ name, namespace, labels }) {
+  if (!name || !String(name).trim()) {
+    return { error: 'Design name is required' };
+  }
+  const designName = String(name).trim();
+  const designNamespace = namespace
+    ? String(namespace).trim()
+    : designName.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 63);
+
+  if (designNamespace.length > 63 || !DNS_LABEL_PATTERN.test(designNamespace)) {
+    return { error: `Invalid namespace: ${designNamespace}. Use lowercase letters, digits and '-' (max 63 characters)` };
+  }
+
+  const designLabels = {};
+  for (const [key, value] of Object.entries(labels || {})) {
+    const labelValue = String(value);
+    if (!LABEL_KEY_PATTERN.test(key)) {
+      return { error: `Invalid label key: ${key}` };
+    }
+    if (labelValue.length > 63 || !LABEL_VALUE_PATTERN.test(labelValue)) {
+      return { error: `Invalid value for label ${key}: ${labelValue}` };
+    }
+    designLabels[key] = labelValue;
+  }
+
+  return { design: { name: designName, namespace: designNamespace, labels: designLabels } };
+}
+
+// Namespace derived from a name, or imported, that another design already uses:
+// "team-a" becomes "team-a-2", "team-a-3", ..., still a DNS label
+function uniqueNamespace(namespace) {
+  let candidate = namespace;
+  for (let copy = 2; db.findDesignByNamespace(candidate); copy++) {
+    const suffix = `-${copy}`;
+    candidate = `${namespace.slice(0, 63 - suffix.length).replace(/-+$/, '')}${suffix}`;
+  }
+  return candidate;
+}
+
+const IP_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+// Shared by device creation and updates. currentDeviceId excludes the device itself
+// from the duplicate IP check.
+function processDeviceInput(designId, { type, cpu, memory, storage, ip, interfaceIPs, subnet, zone }, currentDeviceId = null) {
+  const resources = parseResources({ cpu, memory, storage });
+  if (resources.error) {
+    return { error: resources.error };
+  }
+
+  let processedIP = null;
+  if (ip && ip.trim()) {
+    processedIP = ip.trim();
+    const match = processedIP.match(IP_PATTERN);
+    if (!match) {
+      return { error: `Invalid IP address format: ${processedIP}` };
+    }
+    
+    const octets = match.slice(1, 5).map(Number);
+    if (octets.some(octet => octet > 255)) {
+      return { error: `Invalid IP address - octets must be 0-255: ${processedIP}` };
+    }
+    
+    const existingIP = db.findDeviceByIP(designId, processedIP);
+    if (existingIP && existingIP.id !== currentDeviceId) {
+      return { error: `IP address ${processedIP} is already assigned to device ${existingIP.id}` };
+    }
+  }
+
+  let processedInterfaceIPs = null;
+  if (type === 'router' && interfaceIPs) {
+    processedInterfaceIPs = {};
+    for (const [interfaceKey, interfaceIP] of Object.entries(interfaceIPs)) {
+      if (interfaceIP && interfaceIP.trim()) {
+        if (!IP_PATTERN.test(interfaceIP.trim())) {
+          return { error: `Invalid interface IP format for ${interfaceKey}: ${interfaceIP}` };
+        }
+        processedInterfaceIPs[interfaceKey] = interfaceIP.trim();
+      }
+    }
+  }
+
+  let processedSubnet = null;
+  if (type === 'switch' && subnet && subnet.trim()) {
+    const subnetError = validateCIDR(subnet);
+    if (subnetError) {
+      return { error: subnetError };
+    }
+    processedSubnet = parseCIDR(subnet).cidr;
+  }
+
+  const processedZone = zone ? String(zone).trim() : null;
+  if (processedZone && !db.findZone(designId, processedZone)) {
+    return { error: `Zone ${processedZone} does not exist` };
+  }
+
+  return {
+    cpu: resources.cpu || null,
+    memory: resources.memory || null,
+    storage: resources.storage || null,
+    ip: processedIP,
+    interfaceIPs: processedInterfaceIPs,
+    subnet: processedSubnet,
+    zone: processedZone
+  };
+}
+
+// Zone names and namespaces follow the Kubernetes namespace rules; an empty namespace
+// keeps the zone in the design's namespace
+function processZoneInput({ name, namespace }) {
+  const zoneName = String(name || '').trim();
+  if (zoneName.length > 63 || !DNS_LABEL_PATTERN.test(zoneName)) {
+    return { error: `Invalid zone name: ${zoneName}. Use lowercase letters, digits and '-' (max 63 characters)` };
+  }
+  const zoneNamespace = namespace ? String(namespace).trim() : null;
+  if (zoneNamespace && (zoneNamespace.length > 63 || !DNS_LABEL_PATTERN.test(zoneNamespace))) {
+    return { error: `Invalid namespace: ${zoneNamespace}. Use lowercase letters, digits and '-' (max 63 characters)` };
+  }
+  return { zone: { name: zoneName, namespace: zoneNamespace } };
+}
+
+// Allocatable CPU and memory and the storage classes of a node in stored form:
+// cores, MiB and [{ storageClass, capacity (MiB) }]
+function processClusterNodeInput({ name, cpu, memory, storage = [] }) {
+  const nodeName = String(name || '').trim();
+  if (nodeName.length > 253 || !KUBERNETES_NAME_PATTERN.test(nodeName)) {
+    return { error: `Invalid node name: ${nodeName}. Use lowercase letters, digits, '-' and '.'` };
+  }
+
+  const node = { name: nodeName, storage: [] };
+  try {
+    node.cpu = parseAllocatableCPU(cpu);
+    node.memory = parseSize(memory, 'memory');
+    for (const entry of storage || []) {
+      const storageClass = String(entry.storageClass || '').trim();
+      if (storageClass.length > 253 || !KUBERNETES_NAME_PATTERN.test(storageClass)) {
+        return { error: `Invalid storage class: ${storageClass}. Use lowercase letters, digits, '-' and '.'` };
+      }
+      if (node.storage.some(other => other.storageClass === storageClass)) {
+        return { error: `Storage class ${storageClass} is listed twice` };
+      }
+      node.storage.push({ storageClass, capacity: parseSize(entry.capacity, `capacity of ${storageClass}`) });
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+  return { node };
+}
+
+// The zone with the IDs of its devices, as the zone routes answer it
+function zoneWithDevices(designId, zone) {
+  return {
+    ...zone,
+    devices: db.listDevices(designId).filter(device => device.zone === zone.name).map(device => device.id)
+  };
+}
+
+// Firewall rule sources and destinations may name devices of the design
+function processConnectionInput(designId, { fromRouterIP, toRouterIP, subnet, rules }) {
+  const processed = { fromRouterIP: null, toRouterIP: null, subnet: null, rules: [] };
+
+  for (const [field, value] of [['fromRouterIP', fromRouterIP], ['toRouterIP', toRouterIP]]) {
+    if (value && value.trim()) {
+      const match = value.trim().match(IP_PATTERN);
+      if (!match || match.slice(1, 5).map(Number).some(octet => octet > 255)) {
+        return { error: `Invalid IP address format for ${field}: ${value}` };
+      }
+      processed[field] = value.trim();
+    }
+  }
+
+  if (subnet && subnet.trim()) {
+    const subnetError = validateCIDR(subnet);
+    if (subnetError) {
+      return { error: subnetError };
+    }
+    processed.subnet = parseCIDR(subnet).cidr;
+  }
+
+  for (const [index, rule] of (rules || []).entries()) {
+    const result = normalizeFirewallRule(rule, deviceId => Boolean(db.findDevice(designId, deviceId)));
+    if (result.error) {
+      return { error: `Firewall rule ${index + 1}: ${result.error}` };
+    }
+    processed.rules.push(result.rule);
+  }
+
+  return processed;
+}
+
+// Copies of the router's connections carrying the IPs from its interfaceIPs map.
+// Unchanged connections keep their identity so callers can tell what changed.
+function syncRouterIPs(connections, routerId, interfaceIPs) {
+  return connections.map(conn => {
+    if (conn.from !== routerId && conn.to !== routerId) return conn;
+    const peerId = conn.from === routerId ? conn.to : conn.from;
+    const field = conn.from === routerId ? 'fromRouterIP' : 'toRouterIP';
+    const routerIP = (interfaceIPs && interfaceIPs[`to_${peerId}`]) || null;
+    return conn[field] === routerIP ? conn : { ...conn, [field]: routerIP };
+  });
+}
+
+// Custom addresses have to stay inside their segment and unique. Compares the IP plan of
+// the proposed state with the current one and returns the first conflict the change adds.
+function findNewAddressConflict(designId, { devices, connections }) {
+  const conflictKey = conflict =>
+    [conflict.type, conflict.deviceId, conflict.ip, conflict.subnet, conflict.otherSubnet].join('|');
+  const current = new Set(
+    generateConnectionBasedIPAssignments(db.listDevices(designId), db.listConnections(designId)).conflicts.map(conflictKey)
+  );
+  const proposed = generateConnectionBasedIPAssignments(devices, connections).conflicts;
+  return proposed.find(conflict => !current.has(conflictKey(conflict))) || null;
+}
+
+// Normalizes the devices and connections of a KubeVirt import in place and returns the
+// problems that would keep them out of the design: invalid values, addresses that are
+// taken, within the import or by the design, and address conflicts they add.
+function checkImportedItems(designId, imported) {
+  const errors = [];
+  const importedIPs = new Map();
+
+  imported.devices.forEach((device, index) => {
+    const result = processDeviceInput(designId, device);
+    if (result.error) {
+      errors.push(`${device.id}: ${result.error}`);
+      return;
+    }
+    if (result.ip && importedIPs.has(result.ip)) {
+      errors.push(`${device.id}: IP address ${result.ip} is already assigned to device ${importedIPs.get(result.ip)}`);
+      return;
+    }
+    if (result.ip) importedIPs.set(result.ip, device.id);
+    imported.devices[index] = { ...device, ...result };
+  });
+
+  imported.connections.forEach((connItem, index) => {
+    const result = processConnectionInput(designId, connItem);
+    if (result.error) {
+      errors.push(`${connItem.from} - ${connItem.to}: ${result.error}`);
+      return;
+    }
+    imported.connections[index] = { ...connItem, ...result };
+  });
+
+  if (errors.length === 0) {
+    const conflict = findNewAddressConflict(designId, {
+      devices: [...db.listDevices(designId), ...imported.devices],
+      connections: [...db.listConnections(designId), ...imported.connections]
+    });
+    if (conflict) errors.push(conflict.message);
+  }
+  return errors;
+}
+
+// Adds the zones, devices and connections of a design document (see designFile.js) to a
+// design, checked like the device and connection routes check them. Problems are
+// pushed onto errors; callers run this in a transaction and roll back when there are
+// any. Returns the device counters the document needs.
+function insertDocumentContents(designId, document, errors) {
+  let deviceCounters = { ...(document.design.deviceCounters || {}) };
+
+  (document.zones || []).forEach(zone => {
+    const result = processZoneInput(zone);
+    if (result.error) {
+      errors.push(`Zone ${zone.name}: ${result.error}`);
+      return;
+    }
+    db.insertZone(designId, { ...result.zone, createdAt: zone.createdAt || new Date().toISOString() });
+  });
+
+  document.devices.forEach(device => {
+    const result = processDeviceInput(designId, device);
+    if (result.error) {
+      errors.push(`${device.id}: ${result.error}`);
+      return;
+    }
+    if (device.position && !isValidPosition(device.position)) {
+      errors.push(`${device.id}: invalid position - expected numeric x and y`);
+      return;
+    }
+    db.insertDevice(designId, {
+      id: device.id,
+      type: device.type,
+      ...result,
+      position: device.position ? { x: device.position.x, y: device.position.y } : null,
+      createdAt: device.createdAt || new Date().toISOString()
+    });
+    deviceCounters = countDeviceId(deviceCounters, device.type, device.id);
+  });
+
+  // The same checks as POST /connections, against the devices and connections inserted so far
+  document.connections.forEach(connItem => {
+    const label = `${connItem.from} - ${connItem.to}`;
+    const fromDevice = db.findDevice(designId, connItem.from);
+    const toDevice = db.findDevice(designId, connItem.to);
+    if (!fromDevice || !toDevice) {
+      errors.push(`${label}: one or both devices not found`);
+      return;
+    }
+    if (fromDevice.type === 'vm' && toDevice.type === 'vm') {
+      errors.push(`${label}: connecting VM with VM is prohibited`);
+      return;
+    }
+    if (db.findConnection(designId, connItem.from, connItem.to)) {
+      errors.push(`${label}: connection already exists between these devices`);
+      return;
+    }
+
+    const result = processConnectionInput(designId, connItem);
+    if (result.error) {
+      errors.push(`${label}: ${result.error}`);
+      return;
+    }
+    const newConnection = {
+      from: connItem.from,
+      to: connItem.to,
+      ...result,
+      createdAt: connItem.createdAt || new Date().toISOString()
+    };
+    const conflict = findNewAddressConflict(designId, {
+      devices: db.listDevices(designId),
+      connections: [...db.listConnections(designId), newConnection]
+    });
+    if (conflict) {
+      errors.push(`${label}: ${conflict.message}`);
+      return;
+    }
+    db.insertConnection(designId, newConnection);
+  });
+
+  return deviceCounters;
+}
+
+function isValidPosition(position) {
+  return typeof position === 'object' && position !== null &&
+    Number.isFinite(position.x) && Number.isFinite(position.y);
+}
+
+// Device IDs are the type initial plus a per-design counter: V1, V2, R1, ...
+function nextDeviceId(design, type) {
+  const prefix = String(type || 'device').charAt(0).toUpperCase();
+  return `${prefix}${(design.deviceCounters[type] || 0) + 1}`;
+}
+
+function countDeviceId(deviceCounters, type, id) {
+  const match = /(\d+)$/.exec(id);
+  const number = match ? Number(match[1]) : 0;
+  return { ...deviceCounters, [type]: Math.max(deviceCounters[type] || 0, number) };
+}
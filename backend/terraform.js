@@ -0,0 +1,151 @@
+const { generateConnectionBasedIPAssignments } = require('./topology');
+const { computeRoutingTables } = require('./routing');
+const { generateCloudInit, interfaceMAC } = require('./cloudinit');
+const { deviceResources } = require('./quantities');
+const { CLOUD_IMAGE_URL } = require('./kubevirt');
+
+// Terraform HCL for the dmacvicar/libvirt provider. Uses the same IP plan and
+// cloud-init data as the KubeVirt export: every segment is an isolated libvirt
+// network and the guests configure their static addresses themselves. eth0 is
+// attached to libvirt's NAT "default" network, like the pod network on KubeVirt.
+
+// HCL labels of every device: lowercase letters, digits, '_' and '-', not starting
+// with a digit. IDs that end up the same (web.1 and web_1, V1 and v1) get a suffix.
+function resourceNames(devices) {
+  const names = new Map();
+  const taken = new Set();
+  devices.forEach(device => {
+    const base = device.id.toLowerCase().replace(/[^a-z0-9_-]/g, '_').replace(/^(?=[0-9-])/, '_');
+    let name = base;
+    for (let copy = 2; taken.has(name); copy++) {
+      name = `${base}_${copy}`;
+    }
+    taken.add(name);
+    names.set(device.id, name);
+  });
+  return names;
+}
+
+// Indents a heredoc body, terminated by the EOT marker at the same level
+function heredoc(text, indent) {
+  const pad = ' '.repeat(indent);
+  return `<<-EOT\n${text.split('\n').map(line => `${pad}${line}`).join('\n')}\n${pad}EOT`;
+}
+
+function generateNetwork(design, segment) {
+  return `# ${segment.name}: ${segment.subnet} (${segment.devices.join(', ')})
+resource "libvirt_network" "${segment.name}" {
+  name      = "${design.namespace}-${segment.name}"
+  mode      = "none"
+  autostart = true
+}`;
+}
+
+function generateDomain(design, device, name, assignments, routes) {
+  const resources = deviceResources(device);
+  const cloudInit = generateCloudInit(design, device, assignments, routes);
+
+  const interfaces = [`  network_interface {
+    network_name = "default"
+    mac          = "${interfaceMAC(design, device, 'eth0')}"
+  }`];
+  assignments.forEach(assignment => {
+    interfaces.push(`  # ${assignment.interfaceName}: ${assignment.ip}/${assignment.prefixLength}, set statically by cloud-init
+  network_interface {
+    network_id = libvirt_network.${assignment.network}.id
+    mac        = "${interfaceMAC(design, device, assignment.interfaceName)}"
+  }`);
+  });
+
+  return `resource "libvirt_volume" "${name}_disk" {
+  name           = "${design.namespace}-${name}.qcow2"
+  pool           = var.pool
+  base_volume_id = libvirt_volume.base_image.id
+  size           = ${resources.storage * 1024 * 1024} # ${resources.storage} MiB
+}
+
+resource "libvirt_cloudinit_disk" "${name}_init" {
+  name           = "${design.namespace}-${name}-init.iso"
+  pool           = var.pool
+  user_data      = ${heredoc(cloudInit.userData, 4)}
+  network_config = ${heredoc(cloudInit.networkData, 4)}
+}
+
+resource "libvirt_domain" "${name}" {
+  name      = "${design.namespace}-${name}"
+  vcpu      = ${resources.cpu}
+  memory    = ${resources.memory}
+  cloudinit = libvirt_cloudinit_disk.${name}_init.id
+
+  disk {
+    volume_id = libvirt_volume.${name}_disk.id
+  }
+
+${interfaces.join('\n\n')}
+
+  console {
+    type        = "pty"
+    target_type = "serial"
+    target_port = "0"
+  }
+}`;
+}
+
+function generateTerraformLibvirt(design, devices, connections) {
+  const { ipAssignments, networkSegments } = generateConnectionBasedIPAssignments(devices, connections);
+  const routingTables = computeRoutingTables(devices, { ipAssignments, networkSegments });
+  const names = resourceNames(devices);
+  const components = [];
+
+  components.push(`# Terraform configuration for libvirt
+# Generated: ${new Date().toISOString()}
+# Devices: ${devices.length} | Connections: ${connections.length}
+# Design: ${design.name}
+
+terraform {
+  required_providers {
+    libvirt = {
+      source  = "dmacvicar/libvirt"
+      version = "~> 0.7"
+    }
+  }
+}
+
+variable "libvirt_uri" {
+  type    = string
+  default = "qemu:///system"
+}
+
+variable "pool" {
+  type    = string
+  default = "default"
+}
+
+provider "libvirt" {
+  uri = var.libvirt_uri
+}
+
+resource "libvirt_volume" "base_image" {
+  name   = "${design.namespace}-base.qcow2"
+  pool   = var.pool
+  source = "${CLOUD_IMAGE_URL}"
+  format = "qcow2"
+}`);
+
+  networkSegments.forEach(segment => {
+    components.push(generateNetwork(design, segment));
+  });
+
+  devices
+    .filter(device => device.type !== 'switch')
+    .forEach(device => {
+      const routingTable = routingTables.find(table => table.routerId === device.id);
+      components.push(generateDomain(design, device, names.get(device.id), ipAssignments.get(device.id) || [], routingTable ? routingTable.routes : []));
+    });
+
+  return `${components.join('\n\n')}\n`;
+}
+
+module.exports = {
+  generateTerraformLibvirt
+};
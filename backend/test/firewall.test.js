@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeFirewallRule, policyIngress, routerFirewall } = require('../firewall');
+
+const ADDRESSES = { V1: ['192.168.1.10'], V3: ['192.168.2.10'], R1: ['192.168.1.1', '192.168.2.1'] };
+const addressesOf = deviceId => ADDRESSES[deviceId] || [];
+const isDeviceId = deviceId => deviceId in ADDRESSES;
+
+const rule = fields => ({ protocol: 'any', ports: null, source: null, destination: null, description: null, ...fields });
+const vm = { device: { id: 'V3', type: 'vm' }, ip: '192.168.2.10' };
+
+// R1 routes between segment a (V1) and segment b (V3); rules sit on R1 - V3
+function routerPlan(rules, peerId = 'V3') {
+  return {
+    ipAssignments: new Map([
+      ['R1', [
+        { network: 'a', ip: '192.168.1.1', interfaceName: 'eth1' },
+        { network: 'b', ip: '192.168.2.1', interfaceName: 'eth2' }
+      ]],
+      ['V1', [{ network: 'a', ip: '192.168.1.10', interfaceName: 'eth1' }]],
+      ['V3', [{ network: 'b', ip: '192.168.2.10', interfaceName: 'eth1' }]]
+    ]),
+    networkSegments: new Map([
+      ['a', { name: 'a', connections: [{ from: 'R1', to: 'V1', rules: [] }] }],
+      ['b', { name: 'b', connections: [{ from: 'R1', to: peerId, rules }] }]
+    ])
+  };
+}
+
+test('normalizeFirewallRule fills in the defaults', () => {
+  assert.deepEqual(normalizeFirewallRule({ action: 'deny', ports: null, source: ' 10.0.0.0/8 ', destination: 'V1' }, isDeviceId), {
+    rule: rule({ action: 'deny', source: '10.0.0.0/8', destination: 'V1' })
+  });
+  assert.equal(normalizeFirewallRule({ action: 'allow', protocol: 'tcp', ports: 443 }, isDeviceId).rule.ports, '443');
+});
+
+test('normalizeFirewallRule rejects ports without tcp or udp, bad ranges and unknown endpoints', () => {
+  assert.match(normalizeFirewallRule({ action: 'allow', protocol: 'icmp', ports: '22' }, isDeviceId).error, /Ports need/);
+  assert.match(normalizeFirewallRule({ action: 'allow', protocol: 'tcp', ports: '80-22' }, isDeviceId).error, /Invalid port range/);
+  assert.match(normalizeFirewallRule({ action: 'allow', protocol: 'tcp', ports: '70000' }, isDeviceId).error, /Invalid port range/);
+  assert.match(normalizeFirewallRule({ action: 'allow', source: 'V9' }, isDeviceId).error, /Invalid source/);
+  assert.match(normalizeFirewallRule({ action: 'allow', source: '10.1.2.3/8' }, isDeviceId).error, /host bits set/);
+});
+
+test('normalizeFirewallRule refuses descriptions that are not plain text', () => {
+  ['ssh $(touch /tmp/pwned)', 'a\nb', 'say "hi"', "it's", '`id`', 'x'.repeat(101)].forEach(description => {
+    assert.match(normalizeFirewallRule({ action: 'allow', description }, isDeviceId).error, /Invalid description/, description);
+  });
+  assert.equal(normalizeFirewallRule({ action: 'allow', description: ' web (80/443) ' }, isDeviceId).rule.description, 'web (80/443)');
+});
+
+test('policyIngress splits an allowed port range around an earlier deny', () => {
+  const { ingress, notes } = policyIngress([
+    rule({ action: 'deny', protocol: 'tcp', ports: '22', source: 'V1' }),
+    rule({ action: 'allow', protocol: 'tcp', ports: '22-80', source: '192.168.1.0/24' })
+  ], vm, addressesOf);
+
+  assert.deepEqual(ingress, [
+    { from: [{ cidr: '192.168.1.0/24', except: [] }], ports: [{ protocol: 'TCP', port: 23, endPort: 80 }] },
+    { from: [{ cidr: '192.168.1.0/24', except: ['192.168.1.10/32'] }], ports: [{ protocol: 'TCP', port: 22 }] }
+  ]);
+  assert.deepEqual(notes, []);
+});
+
+test('policyIngress turns a denied source into an except block', () => {
+  const { ingress } = policyIngress([
+    rule({ action: 'deny', source: '10.0.0.0/8' }),
+    rule({ action: 'allow' })
+  ], vm, addressesOf);
+
+  assert.deepEqual(ingress, [{ from: [{ cidr: '0.0.0.0/0', except: ['10.0.0.0/8'] }], ports: [] }]);
+});
+
+test('policyIngress drops allows that an earlier deny covers completely', () => {
+  const { ingress, notes } = policyIngress([
+    rule({ action: 'deny', source: '10.0.0.0/8' }),
+    rule({ action: 'allow', protocol: 'tcp', ports: '443', source: '10.1.0.0/16' })
+  ], vm, addressesOf);
+
+  assert.deepEqual(ingress, []);
+  assert.deepEqual(notes, []);
+});
+
+test('policyIngress notes a tcp deny inside an allow of every protocol', () => {
+  const { ingress, notes } = policyIngress([
+    rule({ action: 'deny', protocol: 'tcp', ports: '22', source: 'V1' }),
+    rule({ action: 'allow' })
+  ], vm, addressesOf);
+
+  assert.deepEqual(ingress, [{ from: [{ cidr: '0.0.0.0/0', except: [] }], ports: [] }]);
+  assert.match(notes[0], /rule 1 \(deny tcp 22\) only partly overlaps rule 2 \(allow any\)/);
+});
+
+test('policyIngress cuts a deny that partly overlaps the allowed ports', () => {
+  const { ingress, notes } = policyIngress([
+    rule({ action: 'deny', protocol: 'tcp', ports: '20-25', source: 'V1' }),
+    rule({ action: 'allow', protocol: 'tcp', ports: '22-80' })
+  ], vm, addressesOf);
+
+  assert.deepEqual(ingress, [
+    { from: [{ cidr: '0.0.0.0/0', except: [] }], ports: [{ protocol: 'TCP', port: 26, endPort: 80 }] },
+    { from: [{ cidr: '0.0.0.0/0', except: ['192.168.1.10/32'] }], ports: [{ protocol: 'TCP', port: 22, endPort: 25 }] }
+  ]);
+  assert.deepEqual(notes, []);
+});
+
+test('policyIngress leaves icmp out with a note', () => {
+  const { ingress, notes } = policyIngress([rule({ action: 'allow', protocol: 'icmp' })], vm, addressesOf);
+
+  assert.deepEqual(ingress, []);
+  assert.match(notes[0], /rule 1 \(allow icmp\) is left out/);
+});
+
+test('policyIngress gives VMs only the rules for them and routers all of them', () => {
+  const rules = [
+    rule({ action: 'allow', protocol: 'tcp', ports: '80', destination: 'V1' }),
+    rule({ action: 'allow', protocol: 'udp', ports: '53', destination: '192.168.2.0/24' })
+  ];
+
+  assert.deepEqual(policyIngress(rules, vm, addressesOf).ingress, [
+    { from: [{ cidr: '0.0.0.0/0', except: [] }], ports: [{ protocol: 'UDP', port: 53 }] }
+  ]);
+  const router = policyIngress(rules, { device: { id: 'R1', type: 'router' }, ip: '192.168.2.1' }, addressesOf);
+  assert.equal(router.ingress.length, 2);
+  assert.match(router.notes[0], /Destinations are not checked here/);
+});
+
+test('routerFirewall writes an nftables chain per link ending in drop', () => {
+  const { format, ruleset } = routerFirewall({ id: 'R1', type: 'router' }, routerPlan([
+    rule({ action: 'deny', protocol: 'tcp', ports: '22', source: 'V1' }),
+    rule({ action: 'allow', protocol: 'tcp', ports: '80-443', description: 'web' }),
+    rule({ action: 'allow', protocol: 'icmp' }),
+    rule({ action: 'deny', source: 'V9' })
+  ]), 'nftables');
+
+  assert.equal(format, 'nftables');
+  assert.match(ruleset, /oifname "eth2" jump to_1_v3\n/);
+  assert.match(ruleset, /chain to_1_v3 \{\n {4}ip saddr 192\.168\.1\.10\/32 tcp dport 22 drop\n {4}tcp dport 80-443 accept comment "web"\n {4}ip protocol icmp accept\n {4}# rule 4 \(deny any\) skipped: V9 has no address\n {4}drop\n/);
+});
+
+test('routerFirewall writes an iptables script with quoted comments and skipped rules', () => {
+  const { ruleset } = routerFirewall({ id: 'R1', type: 'router' }, routerPlan([
+    rule({ action: 'deny', destination: 'V9' }),
+    rule({ action: 'allow', protocol: 'udp', ports: '8000-8080', source: 'V1', description: 'app' })
+  ]), 'iptables');
+
+  assert.match(ruleset, /^#!\/bin\/sh\n/);
+  assert.match(ruleset, /# rule 1 \(deny any\) skipped: V9 has no address\n/);
+  assert.match(ruleset, /iptables -A LAB-TO-1-V3 -s 192\.168\.1\.10\/32 -p udp --dport 8000:8080 -m comment --comment 'app' -j ACCEPT\n/);
+  assert.match(ruleset, /iptables -A LAB-TO-1-V3 -j DROP$/);
+});
+
+test('routerFirewall never writes shell syntax from stored descriptions', () => {
+  const { ruleset } = routerFirewall({ id: 'R1', type: 'router' }, routerPlan([
+    rule({ action: 'allow', description: "ssh $(touch /tmp/pwned)'\nreboot" })
+  ]), 'iptables');
+
+  assert.match(ruleset, /--comment 'ssh \(touch \/tmp\/pwned\)reboot' -j ACCEPT/);
+  assert.doesNotMatch(ruleset, /\$\(|\nreboot/);
+});
+
+test('routerFirewall keeps chains of look-alike peers apart', () => {
+  const plan = routerPlan([rule({ action: 'allow' })], 'a-very-long-peer-name-number-1');
+  plan.ipAssignments.get('R1').push({ network: 'c', ip: '192.168.3.1', interfaceName: 'eth3' });
+  plan.networkSegments.set('c', {
+    name: 'c',
+    connections: [{ from: 'R1', to: 'a-very-long-peer-name-number-2', rules: [rule({ action: 'deny' })] }]
+  });
+  const chains = [...routerFirewall({ id: 'R1', type: 'router' }, plan, 'iptables').ruleset.matchAll(/iptables -N (\S+)/g)]
+    .map(match => match[1]);
+
+  assert.equal(chains.length, 2);
+  assert.notEqual(chains[0], chains[1]);
+  chains.forEach(chain => assert.ok(chain.length <= 28, chain));
+});
+
+test('routerFirewall needs a known format and rules', () => {
+  assert.equal(routerFirewall({ id: 'R1', type: 'router' }, routerPlan([rule({ action: 'allow' })]), null), null);
+  assert.equal(routerFirewall({ id: 'R1', type: 'router' }, routerPlan([]), 'nftables'), null);
+  assert.throws(() => routerFirewall({ id: 'R1', type: 'router' }, routerPlan([rule({ action: 'allow' })]), 'pf'), /Unknown router firewall format/);
+});
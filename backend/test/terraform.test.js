@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateTerraformLibvirt } = require('../terraform');
+
+const design = { name: 'Lab', namespace: 'lab', labels: {} };
+const device = (id, type = 'vm') => ({ id, type, cpu: null, memory: null, storage: null, ip: null, interfaceIPs: type === 'router' ? {} : null, subnet: null });
+
+// Every resource "<type>" "<label>" block of the generated HCL
+const labels = hcl => [...hcl.matchAll(/^resource "([^"]+)" "([^"]+)"/gm)].map(match => `${match[1]}.${match[2]}`);
+
+test('generateTerraformLibvirt turns device IDs into valid HCL labels', () => {
+  const hcl = generateTerraformLibvirt(design, [device('web.1'), device('S1', 'switch'), device('1db')], [
+    { from: 'S1', to: 'web.1' },
+    { from: 'S1', to: '1db' }
+  ]);
+
+  const found = labels(hcl);
+  assert.ok(found.includes('libvirt_domain.web_1'));
+  assert.ok(found.includes('libvirt_volume.web_1_disk'));
+  assert.ok(found.includes('libvirt_domain._1db'));
+  found.forEach(label => assert.match(label.split('.')[1], /^[a-z_][a-z0-9_-]*$/));
+  assert.match(hcl, /volume_id = libvirt_volume\.web_1_disk\.id/);
+});
+
+test('generateTerraformLibvirt numbers labels that would be the same', () => {
+  const hcl = generateTerraformLibvirt(design, [device('web.1'), device('WEB_1'), device('V1'), device('v1')], []);
+
+  const domains = labels(hcl).filter(label => label.startsWith('libvirt_domain.'));
+  assert.deepEqual(domains, ['libvirt_domain.web_1', 'libvirt_domain.web_1_2', 'libvirt_domain.v1', 'libvirt_domain.v1_2']);
+  assert.equal(new Set(labels(hcl)).size, labels(hcl).length);
+});
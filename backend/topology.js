@@ -0,0 +1,325 @@
+const { createAddressPool, validateCIDR, parseIPv4, networkFor, cidrContains, cidrsOverlap, parseCIDR } = require('./ipam');
+
+// Switches connected to each other form one L2 domain. Returns switch ID -> domain root ID.
+function groupSwitchDomains(devices, connections) {
+  const switchIds = new Set(devices.filter(d => d.type === 'switch').map(d => d.id));
+  const parent = new Map([...switchIds].map(id => [id, id]));
+
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+
+  connections.forEach(connItem => {
+    if (switchIds.has(connItem.from) && switchIds.has(connItem.to)) {
+      parent.set(find(connItem.to), find(connItem.from));
+    }
+  });
+
+  return new Map([...switchIds].map(id => [id, find(id)]));
+}
+
+function analyzeConnectionBasedTopology(devices, connections) {
+  const networkSegments = new Map();
+  const deviceNetworks = new Map();
+  const switchDomains = groupSwitchDomains(devices, connections);
+  const domainSegments = new Map();
+
+  let segmentCounter = 1;
+  const processedConnections = new Set();
+
+  devices.forEach(device => {
+    deviceNetworks.set(device.id, []);
+  });
+
+  const joinSegment = (deviceId, segment) => {
+    if (!segment.devices.includes(deviceId)) segment.devices.push(deviceId);
+    const networks = deviceNetworks.get(deviceId);
+    if (networks && !networks.includes(segment.name)) networks.push(segment.name);
+  };
+
+  connections.forEach(connItem => {
+    const connectionKey = `${connItem.from}-${connItem.to}`;
+    const reverseKey = `${connItem.to}-${connItem.from}`;
+
+    if (!processedConnections.has(connectionKey) && !processedConnections.has(reverseKey)) {
+      const switchId = [connItem.from, connItem.to].find(id => switchDomains.has(id));
+      let segment = switchId ? domainSegments.get(switchDomains.get(switchId)) : null;
+
+      if (!segment) {
+        segment = {
+          name: `net${segmentCounter}`,
+          type: switchId ? 'switched' : 'point-to-point',
+          devices: [],
+          connections: [],
+          switchIds: [],
+          connectionId: switchId ? `switch-${switchDomains.get(switchId)}` : `${connItem.from}-${connItem.to}`
+        };
+        networkSegments.set(segment.name, segment);
+        if (switchId) domainSegments.set(switchDomains.get(switchId), segment);
+        segmentCounter++;
+      }
+
+      segment.connections.push(connItem);
+      [connItem.from, connItem.to].forEach(deviceId => {
+        joinSegment(deviceId, segment);
+        if (switchDomains.has(deviceId) && !segment.switchIds.includes(deviceId)) {
+          segment.switchIds.push(deviceId);
+        }
+      });
+
+      processedConnections.add(connectionKey);
+      processedConnections.add(reverseKey);
+    }
+  });
+
+  assignSegmentSubnets(networkSegments, devices, deviceNetworks);
+
+  return { networkSegments, deviceNetworks };
+}
+
+// An explicit CIDR is set on a switch of the segment or on one of its connections,
+// the switch wins.
+function findExplicitSubnet(segment, devices) {
+  const candidates = [
+    ...segment.switchIds.map(id => (devices.find(d => d.id === id) || {}).subnet),
+    ...segment.connections.map(connItem => connItem.subnet)
+  ];
+  return candidates.find(subnet => subnet && !validateCIDR(subnet)) || null;
+}
+
+// Subnet of every segment: its explicit CIDR, else the /24 around the first address
+// configured on it, else the next 192.168.N.0/24 that does not overlap another segment.
+function assignSegmentSubnets(networkSegments, devices, deviceNetworks) {
+  const takenSubnets = [];
+  const autoSegments = [];
+  let segmentNumber = 1;
+
+  networkSegments.forEach(segment => {
+    const connectionIPs = [];
+
+    segment.connections.forEach(connItem => {
+      if (connItem.fromRouterIP) connectionIPs.push(connItem.fromRouterIP);
+      if (connItem.toRouterIP) connectionIPs.push(connItem.toRouterIP);
+    });
+    segment.devices.forEach(deviceId => {
+      const device = devices.find(d => d.id === deviceId);
+      if (device && device.ip && deviceNetworks.get(deviceId)[0] === segment.name) {
+        connectionIPs.push(device.ip);
+      }
+    });
+
+    const explicitSubnet = findExplicitSubnet(segment, devices);
+    const detectedIP = connectionIPs.find(ip => parseIPv4(ip) !== null) || null;
+
+    Object.assign(segment, {
+      number: segmentNumber++,
+      subnet: null,
+      subnetSource: null,
+      detectedFromIP: detectedIP,
+      allConnectionIPs: connectionIPs
+    });
+
+    if (explicitSubnet) {
+      segment.subnet = parseCIDR(explicitSubnet).cidr;
+      segment.subnetSource = 'explicit';
+    } else if (detectedIP) {
+      segment.subnet = networkFor(detectedIP, 24);
+      segment.subnetSource = 'detected';
+    } else {
+      autoSegments.push(segment);
+      return;
+    }
+    takenSubnets.push(segment.subnet);
+  });
+
+  autoSegments.forEach(segment => {
+    for (let octet = segment.number; octet < 256 + segment.number; octet++) {
+      const candidate = `192.168.${octet % 256}.0/24`;
+      if (!takenSubnets.some(subnet => cidrsOverlap(subnet, candidate))) {
+        segment.subnet = candidate;
+        segment.subnetSource = 'auto';
+        takenSubnets.push(candidate);
+        return;
+      }
+    }
+    throw new Error(`No free 192.168.x.0/24 subnet left for ${segment.name}`);
+  });
+}
+
+// IP a router uses on a segment: the per-connection router IP first, then its interfaceIPs entry.
+function findRouterSegmentIP(router, segment) {
+  for (const connItem of segment.connections) {
+    if (connItem.from === router.id && connItem.fromRouterIP) return connItem.fromRouterIP;
+    if (connItem.to === router.id && connItem.toRouterIP) return connItem.toRouterIP;
+  }
+
+  if (router.interfaceIPs) {
+    for (const connItem of segment.connections) {
+      const otherDeviceId = connItem.from === router.id ? connItem.to : connItem.to === router.id ? connItem.from : null;
+      if (otherDeviceId && router.interfaceIPs[`to_${otherDeviceId}`]) {
+        return router.interfaceIPs[`to_${otherDeviceId}`];
+      }
+    }
+  }
+
+  return null;
+}
+
+// Custom VM addresses apply to the VM's segment whose subnet contains them, falling
+// back to its first segment.
+function findVMSegmentIP(device, segment, deviceNetworks, networkSegments) {
+  if (!device.ip || !device.ip.trim()) return null;
+  const ip = device.ip.trim();
+  const networks = deviceNetworks.get(device.id) || [];
+  const home = networks.find(name => cidrContains(networkSegments.get(name).subnet, ip)) || networks[0];
+  return home === segment.name ? ip : null;
+}
+
+// Custom addresses win when they fall inside the segment and are not taken yet. The
+// gateway (first router, or the first free host when there is no router yet) is
+// reserved next, then other routers fill up from the bottom and VMs from host .10.
+function planSegmentAddresses(segment, devices, deviceNetworks, networkSegments, conflicts) {
+  const pool = createAddressPool(segment.subnet);
+  const addresses = new Map();
+  const members = segment.devices
+    .map(deviceId => devices.find(d => d.id === deviceId))
+    .filter(device => device && device.type !== 'switch');
+  const routers = members.filter(device => device.type === 'router');
+
+  const allocate = (owner, options) => {
+    try {
+      return pool.allocate(owner, options);
+    } catch (error) {
+      conflicts.push({ type: 'pool-exhausted', segment: segment.name, subnet: segment.subnet, deviceId: owner, message: `${error.message} (${segment.name}, needed for ${owner})` });
+      return null;
+    }
+  };
+
+  members.forEach(device => {
+    const ip = device.type === 'router'
+      ? findRouterSegmentIP(device, segment)
+      : findVMSegmentIP(device, segment, deviceNetworks, networkSegments);
+    if (!ip) return;
+
+    if (!pool.contains(ip)) {
+      conflicts.push({ type: 'outside-segment', segment: segment.name, subnet: segment.subnet, deviceId: device.id, ip, message: `${device.id} address ${ip} is outside ${segment.name} (${segment.subnet})` });
+    } else if (pool.isAllocated(ip)) {
+      conflicts.push({ type: 'duplicate', segment: segment.name, subnet: segment.subnet, deviceId: device.id, ip, message: `${ip} on ${segment.name} is assigned to both ${pool.ownerOf(ip)} and ${device.id}` });
+    } else {
+      addresses.set(device.id, { ip: pool.reserve(ip, device.id), isCustomIP: true });
+    }
+  });
+
+  const gatewayRouter = routers[0];
+  let gateway = gatewayRouter && addresses.has(gatewayRouter.id) ? addresses.get(gatewayRouter.id).ip : null;
+  if (!gateway) {
+    gateway = allocate(gatewayRouter ? gatewayRouter.id : 'gateway');
+    if (gateway && gatewayRouter) addresses.set(gatewayRouter.id, { ip: gateway, isCustomIP: false });
+  }
+
+  members.forEach(device => {
+    if (addresses.has(device.id)) return;
+    const ip = allocate(device.id, { offset: device.type === 'router' ? 1 : 10 });
+    if (ip) addresses.set(device.id, { ip, isCustomIP: false });
+  });
+
+  return { addresses, gateway, gatewayDeviceId: gatewayRouter ? gatewayRouter.id : null, pool };
+}
+
+function findSubnetOverlaps(networkSegments) {
+  const overlaps = [];
+  const segments = [...networkSegments.values()];
+  segments.forEach((segment, index) => {
+    segments.slice(index + 1).forEach(other => {
+      if (cidrsOverlap(segment.subnet, other.subnet)) {
+        overlaps.push({ type: 'overlap', segment: segment.name, otherSegment: other.name, subnet: segment.subnet, otherSubnet: other.subnet, message: `${segment.name} (${segment.subnet}) overlaps ${other.name} (${other.subnet})` });
+      }
+    });
+  });
+  return overlaps;
+}
+
+function generateConnectionBasedIPAssignments(devices, connections) {
+  const { networkSegments, deviceNetworks } = analyzeConnectionBasedTopology(devices, connections);
+  const ipAssignments = new Map();
+  const segmentPlans = new Map();
+  const conflicts = findSubnetOverlaps(networkSegments);
+
+  networkSegments.forEach(segment => {
+    segmentPlans.set(segment.name, planSegmentAddresses(segment, devices, deviceNetworks, networkSegments, conflicts));
+  });
+
+  devices.forEach(device => {
+    const assignments = [];
+    const deviceNetworkList = deviceNetworks.get(device.id) || [];
+
+    // Switches only bridge the segment, they have no address of their own
+    if (device.type !== 'switch') {
+      deviceNetworkList.forEach((networkName, index) => {
+        const segment = networkSegments.get(networkName);
+        const plan = segmentPlans.get(networkName);
+        const address = plan && plan.addresses.get(device.id);
+        if (segment && address) {
+          const { ip, isCustomIP } = address;
+
+          assignments.push({
+            network: networkName,
+            ip: ip,
+            subnet: segment.subnet,
+            prefixLength: plan.pool.subnet.prefixLength,
+            gateway: plan.gateway,
+            gatewayDeviceId: plan.gatewayDeviceId,
+            interfaceName: `eth${index + 1}`,
+            isCustomIP: isCustomIP,
+            connectionId: segment.connectionId
+          });
+        }
+      });
+    }
+
+    ipAssignments.set(device.id, assignments);
+  });
+
+  return { ipAssignments, networkSegments, segmentPlans, conflicts };
+}
+
+// Per-segment pool usage and allocations, as served by GET /ipam
+function generateIPAMReport(devices, connections) {
+  const { ipAssignments, networkSegments, segmentPlans, conflicts } = generateConnectionBasedIPAssignments(devices, connections);
+
+  const segments = [...networkSegments.values()].map(segment => {
+    const plan = segmentPlans.get(segment.name);
+    const allocations = [];
+    ipAssignments.forEach((assignments, deviceId) => {
+      assignments
+        .filter(assignment => assignment.network === segment.name)
+        .forEach(assignment => allocations.push({
+          deviceId,
+          interfaceName: assignment.interfaceName,
+          ip: assignment.ip,
+          isCustomIP: assignment.isCustomIP
+        }));
+    });
+
+    return {
+      name: segment.name,
+      type: segment.type,
+      subnet: segment.subnet,
+      subnetSource: segment.subnetSource,
+      gateway: plan.gateway,
+      gatewayDeviceId: plan.gatewayDeviceId,
+      devices: segment.devices,
+      ...plan.pool.usage(),
+      allocations
+    };
+  });
+
+  return { segments, conflicts };
+}
+
+module.exports = {
+  analyzeConnectionBasedTopology,
+  generateConnectionBasedIPAssignments,
+  generateIPAMReport
+};
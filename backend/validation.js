@@ -0,0 +1,107 @@
+const { generateConnectionBasedIPAssignments } = require('./topology');
+const { cidrsOverlap } = require('./ipam');
+const { DEVICE_ID_PATTERN } = require('./designFile');
+
+// Topology checks run before an export. Every issue carries a machine-readable code,
+// a message and the devices/connections it refers to so the UI can highlight them.
+function validateTopology(devices, connections) {
+  const errors = [];
+  const warnings = [];
+  const { ipAssignments, networkSegments, conflicts } = generateConnectionBasedIPAssignments(devices, connections);
+
+  const connectionRef = (connItem) => ({ from: connItem.from, to: connItem.to });
+  const segmentConnections = (segmentName) => {
+    const segment = networkSegments.get(segmentName);
+    return segment ? segment.connections.map(connectionRef) : [];
+  };
+
+  conflicts.forEach(conflict => {
+    const issue = {
+      code: conflict.type,
+      message: conflict.message,
+      devices: conflict.deviceId && conflict.deviceId !== 'gateway' ? [conflict.deviceId] : [],
+      connections: segmentConnections(conflict.segment)
+    };
+    if (conflict.type === 'overlap') {
+      issue.devices = [
+        ...networkSegments.get(conflict.segment).devices,
+        ...networkSegments.get(conflict.otherSegment).devices
+      ].filter((id, index, ids) => ids.indexOf(id) === index);
+      issue.connections = [...issue.connections, ...segmentConnections(conflict.otherSegment)];
+    }
+    errors.push(issue);
+  });
+
+  // IDs from before they were limited to DNS labels would give invalid or shared resource names
+  const lowercaseIds = new Map();
+  devices.forEach(device => {
+    if (device.id.length > 63 || !DEVICE_ID_PATTERN.test(device.id)) {
+      errors.push({
+        code: 'invalid-device-id',
+        message: `Device ID ${device.id} must be at most 63 letters, digits and '-', starting and ending with a letter or digit`,
+        devices: [device.id],
+        connections: []
+      });
+    }
+    const clash = lowercaseIds.get(device.id.toLowerCase());
+    if (clash) {
+      errors.push({
+        code: 'duplicate-device-id',
+        message: `Device IDs ${clash} and ${device.id} only differ in case and would get the same resource names`,
+        devices: [clash, device.id],
+        connections: []
+      });
+    } else {
+      lowercaseIds.set(device.id.toLowerCase(), device.id);
+    }
+  });
+
+  devices.forEach(device => {
+    const attached = connections.filter(conn => conn.from === device.id || conn.to === device.id);
+    const assignments = ipAssignments.get(device.id) || [];
+
+    if (device.type === 'router') {
+      assignments.forEach((assignment, index) => {
+        assignments.slice(index + 1)
+          .filter(other => cidrsOverlap(assignment.subnet, other.subnet))
+          .forEach(other => errors.push({
+            code: 'router-duplicate-subnet',
+            message: `Router ${device.id} has ${assignment.interfaceName} (${assignment.network}) and ${other.interfaceName} (${other.network}) in overlapping subnets ${assignment.subnet} / ${other.subnet}`,
+            devices: [device.id],
+            connections: [...segmentConnections(assignment.network), ...segmentConnections(other.network)]
+          }));
+      });
+
+      if (attached.length === 1) {
+        warnings.push({
+          code: 'router-single-interface',
+          message: `Router ${device.id} has a single interface and routes nothing`,
+          devices: [device.id],
+          connections: attached.map(connectionRef)
+        });
+      }
+    }
+
+    if (attached.length === 0) {
+      warnings.push({
+        code: `unconnected-${device.type}`,
+        message: `${device.type === 'vm' ? 'VM' : device.type.charAt(0).toUpperCase() + device.type.slice(1)} ${device.id} is not connected to anything`,
+        devices: [device.id],
+        connections: []
+      });
+    } else if (device.type === 'switch' && attached.length === 1) {
+      warnings.push({
+        code: 'switch-single-port',
+        message: `Switch ${device.id} has a single device attached`,
+        devices: [device.id],
+        connections: attached.map(connectionRef)
+      });
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  validateTopology
+};
@@ -1,7 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import VM from './components/VM';
 import Router from './components/Router';
+import Switch from './components/Switch';
+import DeviceInspector from './components/DeviceInspector';
+import ConnectionInspector from './components/ConnectionInspector';
+import ZoneInspector from './components/ZoneInspector';
+import { buildCanvasSVG } from './canvasSvg';
+import { formatMebibytes } from './format';
 import './App.css';
 
 // Configure axios defaults
@@ -9,24 +15,244 @@ const API_BASE_URL = 'http://localhost:4000';
 axios.defaults.baseURL = API_BASE_URL;
 axios.defaults.timeout = 10000; // 10 second timeout
 
+// Identifies this tab in the live change events, so it can skip the echo of its own changes
+const CLIENT_ID = Math.random().toString(36).slice(2, 10);
+axios.defaults.headers.common['X-Client-Id'] = CLIENT_ID;
+
+const DEFAULT_DESIGN_ID = 1;
+
+// Devices created through the API have no canvas position yet, lay them out on a grid
+const fallbackPosition = (index) => ({
+  x: 40 + (index % 6) * 140,
+  y: 40 + Math.floor(index / 6) * 140,
+});
+
+// Counters continue after the highest numbered device of each type (V3 -> next VM is V4)
+const countersFromDevices = (devices, designCounters = {}) =>
+  devices.reduce(
+    (counters, device) => {
+      const number = parseInt(device.id.replace(/^\D+/, ''), 10) || 0;
+      return { ...counters, [device.type]: Math.max(counters[device.type] || 0, number) };
+    },
+    { vm: 0, router: 0, switch: 0, ...designCounters }
+  );
+
+// Request bodies that recreate a device or connection exactly as the backend stored it
+const deviceBody = ({ id, type, cpu, memory, storage, ip, interfaceIPs, position, subnet, zone }) =>
+  ({ id, type, cpu, memory, storage, ip, interfaceIPs, position, subnet, zone });
+
+const connectionBody = ({ from, to, fromRouterIP, toRouterIP, subnet, rules }) =>
+  ({ from, to, fromRouterIP, toRouterIP, subnet, rules });
+
+// Version of deviceId after a connection write answered with response: the routers at
+// either end change with their links, other devices keep version
+const routerVersion = (response, deviceId, version) =>
+  (response.data.routers || []).find((router) => router.id === deviceId)?.version ?? version;
+
+const samePair = (conn, from, to) =>
+  (conn.from === from && conn.to === to) || (conn.from === to && conn.to === from);
+
+// Zones are drawn around their devices: the bounding box of the device boxes plus
+// padding, with room for the label on top
+const ZONE_PADDING = 20;
+const ZONE_LABEL_HEIGHT = 24;
+const DEVICE_BOX_SIZE = 80;
+
+const zoneBounds = (zone, devices) => {
+  const members = devices.filter((device) => device.zone === zone.name);
+  if (members.length === 0) return null;
+  const xs = members.map((device) => device.position.x);
+  const ys = members.map((device) => device.position.y);
+  const left = Math.min(...xs) - ZONE_PADDING;
+  const top = Math.min(...ys) - ZONE_PADDING - ZONE_LABEL_HEIGHT;
+  return {
+    left,
+    top,
+    width: Math.max(...xs) + DEVICE_BOX_SIZE + ZONE_PADDING - left,
+    height: Math.max(...ys) + DEVICE_BOX_SIZE + ZONE_PADDING - top,
+  };
+};
+
+const fetchDesignState = async (designId) => {
+  const designPath = `/designs/${designId}`;
+  const [designResponse, devicesResponse, connectionsResponse, zonesResponse] = await Promise.all([
+    axios.get(designPath),
+    axios.get(`${designPath}/devices`),
+    axios.get(`${designPath}/connections`),
+    axios.get(`${designPath}/zones`),
+  ]);
+  const devices = (devicesResponse.data || []).map((device, index) => ({
+    ...device,
+    position: device.position || fallbackPosition(index),
+  }));
+
+  return {
+    design: designResponse.data,
+    devices,
+    connections: connectionsResponse.data || [],
+    zones: zonesResponse.data || [],
+    deviceCounters: countersFromDevices(devices, designResponse.data.deviceCounters),
+  };
+};
+
 const App = () => {
   const [droppedDevices, setDroppedDevices] = useState([]);
-  const [deviceCounters, setDeviceCounters] = useState({ vm: 0, router: 0 });
+  const [deviceCounters, setDeviceCounters] = useState({ vm: 0, router: 0, switch: 0 });
   const [selectedDevice, setSelectedDevice] = useState(null);
+  // { from, to } of the connection open in the connection inspector
+  const [selectedConnection, setSelectedConnection] = useState(null);
+  // Shift+click selection, the devices Auto Layout arranges
+  const [multiSelection, setMultiSelection] = useState([]);
   const [connections, setConnections] = useState([]);
+  const [zones, setZones] = useState([]);
+  // { zone, devices } while the zone inspector is open; zone is null for a new zone
+  const [zoneForm, setZoneForm] = useState(null);
   const [exportStatus, setExportStatus] = useState('');
+  // How the KubeVirt export has routers enforce the firewall rules: none, nftables or iptables
+  const [routerFirewall, setRouterFirewall] = useState('none');
+  // Whether the KubeVirt exports pin the VMs to the nodes the capacity check puts them on
+  const [placement, setPlacement] = useState('none');
+  const [capacityReport, setCapacityReport] = useState(null);
+  // What the VMs and routers request together, as GET /designs/:designId sums it up
+  const [totals, setTotals] = useState({ vms: 0, cpu: 0, memory: 0, storage: 0 });
+  const [designs, setDesigns] = useState([]);
+  const [currentDesignId, setCurrentDesignId] = useState(DEFAULT_DESIGN_ID);
+  const [validationReport, setValidationReport] = useState(null);
+  const [pathMode, setPathMode] = useState(false);
+  const [pathAnalysis, setPathAnalysis] = useState(null);
+  const [history, setHistory] = useState({ undo: [], redo: [] });
+  const historyBusy = useRef(false);
+  const [userName, setUserName] = useState(() => localStorage.getItem('designer-user') || `Guest ${CLIENT_ID.slice(0, 4)}`);
+  const [collaborators, setCollaborators] = useState([]);
+
+  // Every device, connection and export call is scoped to the selected design
+  const designPath = `/designs/${currentDesignId}`;
+  const inspectedDevice = pathMode ? null : droppedDevices.find((device) => device.id === selectedDevice);
+  const inspectedConnection =
+    selectedConnection && connections.find((conn) => samePair(conn, selectedConnection.from, selectedConnection.to));
+
+  const applyDesignState = (state) => {
+    setCurrentDesignId(state.design.id);
+    setDroppedDevices(state.devices);
+    setConnections(state.connections);
+    setZones(state.zones);
+    setDeviceCounters(state.deviceCounters);
+    setSelectedDevice(null);
+    setSelectedConnection(null);
+    setMultiSelection([]);
+    setZoneForm(null);
+    setValidationReport(null);
+    setCapacityReport(null);
+    setPathAnalysis(null);
+    setHistory({ undo: [], redo: [] });
+  };
+
+  // Undo/redo. Every change knows how to revert and re-apply itself through the API,
+  // afterwards the canvas is reloaded so it shows exactly what an export would contain.
+  // Device writes send the version the change's last write left the device at, so an
+  // undo answers 409 instead of overwriting what someone else changed since.
+  const recordChange = (change) => {
+    setHistory((prevHistory) => ({ undo: [...prevHistory.undo, change], redo: [] }));
+  };
+
+  const reloadDesign = async () => {
+    const state = await fetchDesignState(currentDesignId);
+    setDroppedDevices(state.devices);
+    setConnections(state.connections);
+    setZones(state.zones);
+    setDeviceCounters(state.deviceCounters);
+  };
+
+  // direction is 'undo' or 'redo'; the change moves to the opposite stack
+  const stepHistory = async (direction) => {
+    const opposite = direction === 'undo' ? 'redo' : 'undo';
+    const change = history[direction][history[direction].length - 1];
+    if (!change || historyBusy.current) return;
+
+    historyBusy.current = true;
+    try {
+      await change[direction]();
+      setHistory((prevHistory) => ({
+        [direction]: prevHistory[direction].slice(0, -1),
+        [opposite]: [...prevHistory[opposite], change],
+      }));
+      setExportStatus(`${direction === 'undo' ? '↶ Undone' : '↷ Redone'}: ${change.label}`);
+      setTimeout(() => setExportStatus(''), 3000);
+    } catch (error) {
+      console.error(`❌ Error during ${direction}:`, error);
+      if (await handleStaleWrite(error)) {
+        // Based on a version that is gone, the change cannot be applied any more
+        setHistory((prevHistory) => ({ ...prevHistory, [direction]: prevHistory[direction].slice(0, -1) }));
+      } else {
+        alert(`Error: cannot ${direction} "${change.label}": ${error.response?.data?.error || error.message}`);
+      }
+    }
+
+    try {
+      await reloadDesign();
+    } catch (error) {
+      console.error('❌ Error reloading design:', error);
+    }
+    setSelectedDevice(null);
+    setSelectedConnection(null);
+    setValidationReport(null);
+    setCapacityReport(null);
+    setPathAnalysis(null);
+    historyBusy.current = false;
+  };
+
+  const undo = () => stepHistory('undo');
+  const redo = () => stepHistory('redo');
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // The backend fills in the export defaults for unset values. Only resource changes
+  // fetch the totals again, moving devices around does not.
+  const resourceSignature = JSON.stringify(
+    droppedDevices.map(({ id, type, cpu, memory, storage }) => [id, type, cpu, memory, storage])
+  );
+  useEffect(() => {
+    let current = true;
+    axios.get(`/designs/${currentDesignId}`)
+      .then((response) => current && setTotals(response.data.requested))
+      .catch((error) => console.error('❌ Error loading resource totals:', error));
+    return () => {
+      current = false;
+    };
+  }, [currentDesignId, resourceSignature]);
+
+  // One inspector at a time: opening a device or connection closes the zone inspector
+  useEffect(() => {
+    if (selectedDevice || selectedConnection) setZoneForm(null);
+  }, [selectedDevice, selectedConnection]);
 
   useEffect(() => {
     const initializeData = async () => {
       try {
-        console.log('🧹 Clearing database...');
-        await axios.get('/clear-database');
-        console.log('✅ Database cleared');
-        
-        console.log('📋 Loading connections...');
-        const response = await axios.get('/connections');
-        setConnections(response.data || []);
-        console.log('✅ Connections loaded:', response.data?.length || 0);
+        const designsResponse = await axios.get('/designs');
+        setDesigns(designsResponse.data || []);
+
+        console.log('📋 Loading design...');
+        const state = await fetchDesignState(DEFAULT_DESIGN_ID);
+        setDroppedDevices(state.devices);
+        setConnections(state.connections);
+        setZones(state.zones);
+        setDeviceCounters(state.deviceCounters);
+        console.log('✅ Devices loaded:', state.devices.length, '| Connections loaded:', state.connections.length);
       } catch (error) {
         console.error('❌ Error initializing data:', error);
       }
@@ -35,54 +261,222 @@ const App = () => {
     initializeData();
   }, []);
 
-  const createDevice = async (device) => {
+  // Live collaboration: apply what others change in this design as it happens
+  useEffect(() => {
+    const params = new URLSearchParams({ clientId: CLIENT_ID, user: userName });
+    const source = new EventSource(`${API_BASE_URL}/designs/${currentDesignId}/events?${params}`);
+    const on = (type, apply) => {
+      source.addEventListener(type, (event) => apply(JSON.parse(event.data)));
+    };
+    // Our own changes are already on the canvas, only their new version numbers are news
+    const syncVersion = (id, version) => {
+      setDroppedDevices((prevDevices) =>
+        prevDevices.map((d) => (d.id === id ? { ...d, version: Math.max(d.version || 0, version) } : d))
+      );
+    };
+
+    on('presence', ({ users }) => setCollaborators(users.filter((user) => user.clientId !== CLIENT_ID)));
+    on('device-created', ({ device, origin }) => {
+      if (origin === CLIENT_ID) return;
+      setDroppedDevices((prevDevices) =>
+        prevDevices.some((d) => d.id === device.id)
+          ? prevDevices
+          : [...prevDevices, { ...device, position: device.position || fallbackPosition(prevDevices.length) }]
+      );
+      setDeviceCounters((prevCounters) => countersFromDevices([device], prevCounters));
+    });
+    on('device-moved', ({ id, position, version, origin }) => {
+      if (origin === CLIENT_ID) return syncVersion(id, version);
+      setDroppedDevices((prevDevices) => prevDevices.map((d) => (d.id === id ? { ...d, position, version } : d)));
+    });
+    on('device-updated', ({ device, origin }) => {
+      if (origin === CLIENT_ID) return syncVersion(device.id, device.version);
+      setDroppedDevices((prevDevices) =>
+        prevDevices.map((d) => (d.id === device.id ? { ...d, ...device, position: device.position || d.position } : d))
+      );
+    });
+    on('device-deleted', ({ id, origin }) => {
+      if (origin === CLIENT_ID) return;
+      setDroppedDevices((prevDevices) => prevDevices.filter((d) => d.id !== id));
+      setConnections((prevConnections) => prevConnections.filter((conn) => conn.from !== id && conn.to !== id));
+      setSelectedDevice((prevSelected) => (prevSelected === id ? null : prevSelected));
+      setMultiSelection((prevSelection) => prevSelection.filter((deviceId) => deviceId !== id));
+    });
+    on('connection-created', ({ connection, origin }) => {
+      if (origin === CLIENT_ID) return;
+      setConnections((prevConnections) =>
+        prevConnections.some((conn) => samePair(conn, connection.from, connection.to))
+          ? prevConnections
+          : [...prevConnections, connection]
+      );
+    });
+    on('connection-updated', ({ connection, origin }) => {
+      if (origin === CLIENT_ID) return;
+      setConnections((prevConnections) =>
+        prevConnections.map((conn) => (samePair(conn, connection.from, connection.to) ? connection : conn))
+      );
+    });
+    on('connection-deleted', ({ from, to, origin }) => {
+      if (origin === CLIENT_ID) return;
+      setConnections((prevConnections) => prevConnections.filter((conn) => !samePair(conn, from, to)));
+    });
+    // Zone members arrive as device-updated events, the zone list is simply fetched again
+    ['zone-created', 'zone-updated', 'zone-deleted'].forEach((type) =>
+      on(type, ({ origin }) => {
+        if (origin === CLIENT_ID) return;
+        axios.get(`/designs/${currentDesignId}/zones`)
+          .then((response) => setZones(response.data))
+          .catch((error) => console.error('❌ Error loading zones:', error));
+      })
+    );
+    const reload = () =>
+      fetchDesignState(currentDesignId)
+        .then((state) => {
+          setDroppedDevices(state.devices);
+          setConnections(state.connections);
+          setZones(state.zones);
+          setDeviceCounters(state.deviceCounters);
+        })
+        .catch((error) => console.error('❌ Error reloading design:', error));
+    // Bulk changes (clear, import, snapshot restore) are easier to reload than to replay
+    on('design-reloaded', ({ origin }) => {
+      if (origin !== CLIENT_ID) reload();
+    });
+    // EventSource reconnects by itself, but events sent while it was away are lost
+    let connected = false;
+    source.addEventListener('open', () => {
+      if (connected) {
+        console.log('🔄 Reconnected to live updates, reloading the design');
+        reload();
+      }
+      connected = true;
+    });
+
+    return () => source.close();
+  }, [currentDesignId, userName]);
+
+  const renameUser = () => {
+    const name = prompt('Enter the name the other designers see:', userName);
+    if (!name || !name.trim()) return;
+    localStorage.setItem('designer-user', name.trim());
+    setUserName(name.trim());
+  };
+
+  // Someone else changed the device first, show their version instead of ours
+  const handleStaleWrite = async (error) => {
+    if (error.response?.status !== 409) return false;
+    alert(`⚠️ ${error.response.data.error}`);
+    await reloadDesign();
+    return true;
+  };
+
+  const selectDesign = async (designId) => {
     try {
-      console.log('📝 Creating device:', device);
-      const response = await axios.post('/devices', device);
-      console.log('✅ Device created:', response.data);
+      const state = await fetchDesignState(designId);
+      applyDesignState(state);
+      console.log('✅ Switched to design:', state.design.name);
     } catch (error) {
-      console.error('❌ Error creating device:', error);
+      console.error('❌ Error switching design:', error);
+    }
+  };
+
+  const createDesign = async () => {
+    const name = prompt('Enter a name for the new design:', '');
+    if (!name || !name.trim()) return;
+    const namespace = prompt('Enter the Kubernetes namespace for this design (leave empty to derive it from the name):', '');
+
+    try {
+      const response = await axios.post('/designs', { name, namespace });
+      setDesigns((prevDesigns) => [...prevDesigns, response.data.design]);
+      await selectDesign(response.data.design.id);
+    } catch (error) {
+      console.error('❌ Error creating design:', error);
       if (error.response?.data?.error) {
         alert(`Error: ${error.response.data.error}`);
       }
     }
   };
 
-  // Enhanced function to handle router interface IP assignment
-  const assignRouterInterfaceIP = async (routerId, targetDeviceId, targetDeviceType) => {
-    const router = droppedDevices.find(d => d.id === routerId);
-    if (!router || router.type !== 'router') return null;
-
-    // Get existing connections for this router to determine interface number
-    const routerConnections = connections.filter(
-      conn => conn.from === routerId || conn.to === routerId
-    );
-    const interfaceNumber = routerConnections.length + 1;
-
-    const prompt_text = `Router ${routerId} Interface ${interfaceNumber} IP Configuration
+  // Downloads the whole design as a versioned JSON file that can go into git
+  const saveDesign = async () => {
+    try {
+      const response = await axios.get('/designs/export.json', {
+        params: { designId: currentDesignId },
+        responseType: 'blob'
+      });
+      const filename = designs.find((design) => design.id === currentDesignId)?.namespace || 'infrastructure-lab';
 
-This router is connecting to ${targetDeviceId} (${targetDeviceType}).
-Each router interface needs its own IP address in a different subnet.
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${filename}.design.json`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      console.log('✅ Design saved:', filename);
+    } catch (error) {
+      console.error('❌ Error saving design:', error);
+      alert('❌ Error saving design. Please try again.');
+    }
+  };
 
-Examples:
-- Interface 1: 192.168.1.1/24 (for first connection)
-- Interface 2: 192.168.2.1/24 (for second connection)  
-- Interface 3: 10.0.1.1/24 (for third connection)
+  // Opens a design file as a new design and switches to it
+  const openDesign = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
 
-Enter IP address for this interface (or leave empty for auto-assignment):`;
+    try {
+      let designFile;
+      try {
+        designFile = JSON.parse(await file.text());
+      } catch (parseError) {
+        alert(`Error: ${file.name} is not a JSON design file`);
+        return;
+      }
 
-    const routerIP = prompt(prompt_text, '');
-    
-    if (routerIP && routerIP.trim()) {
-      // Validate IP format
-      const ipPattern = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
-      if (!ipPattern.test(routerIP.trim())) {
-        alert('❌ Invalid IP format. Use format like: 192.168.1.1');
-        return null;
+      const response = await axios.post('/designs/import.json', designFile);
+      const { design, warnings } = response.data;
+      setDesigns((prevDesigns) => [...prevDesigns, design]);
+      await selectDesign(design.id);
+      if (warnings.length > 0) {
+        alert(`⚠️ ${file.name} was upgraded from an older version:\n\n${warnings.join('\n')}`);
       }
+    } catch (error) {
+      console.error('❌ Error opening design:', error);
+      const errors = error.response?.data?.errors;
+      alert(errors ? `Error: cannot open ${file.name}:\n\n${errors.join('\n')}` : 'Error: could not open the design. Please try again.');
     }
+  };
 
-    return routerIP ? routerIP.trim() : null;
+  const createDevice = async (device) => {
+    try {
+      console.log('📝 Creating device:', device);
+      const response = await axios.post(`${designPath}/devices`, device);
+      console.log('✅ Device created:', response.data);
+      // The backend normalizes resources ("2GB" -> 2048 MiB), show what it stored
+      setDroppedDevices((prevDevices) =>
+        prevDevices.map((d) => (d.id === device.id ? { ...d, ...response.data.device } : d))
+      );
+      const created = deviceBody(response.data.device);
+      let { version } = response.data.device;
+      recordChange({
+        label: `add ${created.id}`,
+        undo: () => axios.post(`${designPath}/devices/delete`, { deviceId: created.id, version }),
+        redo: async () => {
+          ({ version } = (await axios.post(`${designPath}/devices`, created)).data.device);
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error creating device:', error);
+      if (error.response?.data?.error) {
+        alert(`Error: ${error.response.data.error}`);
+      }
+      if (error.response?.status === 400) {
+        setDroppedDevices((prevDevices) => prevDevices.filter((d) => d.id !== device.id));
+      }
+    }
   };
 
   const handleDrop = (e) => {
@@ -99,38 +493,80 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
     const bin = document.getElementById('bin');
 
     if (inventory && inventory.contains(e.target)) return;
+    // A zone label moves the whole zone by the distance it was dragged
+    const zoneName = e.dataTransfer.getData('zone-name');
+    if (zoneName) {
+      if (bin && bin.contains(e.target)) return;
+      const [startX, startY] = e.dataTransfer.getData('zone-origin').split(',').map(Number);
+      moveZone(zoneName, e.clientX - startX, e.clientY - startY);
+      return;
+    }
     if (bin && bin.contains(e.target)) {
+      // Everything needed to bring the device and its links back
+      let { version } = droppedDevices.find((device) => device.id === deviceId);
+      const deleted = deviceBody(droppedDevices.find((device) => device.id === deviceId));
+      const deletedConnections = connections
+        .filter((connection) => connection.from === deviceId || connection.to === deviceId)
+        .map(connectionBody);
+
       setDroppedDevices((prevDevices) => prevDevices.filter((device) => device.id !== deviceId));
       setConnections((prevConnections) =>
         prevConnections.filter((connection) => connection.from !== deviceId && connection.to !== deviceId)
       );
-      axios.post('/devices/delete', { deviceId }).catch((error) => {
-        console.error('❌ Error deleting device:', error);
-      });
+      setMultiSelection((prevSelection) => prevSelection.filter((id) => id !== deviceId));
+      axios.post(`${designPath}/devices/delete`, { deviceId, version })
+        .then(() => recordChange({
+          label: `delete ${deviceId}`,
+          undo: async () => {
+            ({ version } = (await axios.post(`${designPath}/devices`, deleted)).data.device);
+            for (const connection of deletedConnections) {
+              version = routerVersion(await axios.post(`${designPath}/connections`, connection), deviceId, version);
+            }
+          },
+          redo: () => axios.post(`${designPath}/devices/delete`, { deviceId, version }),
+        }))
+        .catch((error) => {
+          console.error('❌ Error deleting device:', error);
+          handleStaleWrite(error);
+        });
       return;
     }
 
     if (deviceId) {
+      const { position: oldPosition, version } = droppedDevices.find((device) => device.id === deviceId);
       setDroppedDevices((prevDevices) =>
         prevDevices.map((device) => (device.id === deviceId ? { ...device, position: newPosition } : device))
       );
+      axios.put(`${designPath}/devices/${deviceId}/position`, { ...newPosition, version })
+        .then((response) => {
+          setDroppedDevices((prevDevices) =>
+            prevDevices.map((device) => (device.id === deviceId ? { ...device, version: response.data.version } : device))
+          );
+          let savedVersion = response.data.version;
+          const moveTo = (position) => async () => {
+            const moved = await axios.put(`${designPath}/devices/${deviceId}/position`, { ...position, version: savedVersion });
+            savedVersion = moved.data.version;
+          };
+          recordChange({ label: `move ${deviceId}`, undo: moveTo(oldPosition), redo: moveTo(newPosition) });
+        })
+        .catch((error) => {
+          console.error('❌ Error saving device position:', error);
+          handleStaleWrite(error);
+        });
     } else {
       const newId = `${deviceType.charAt(0).toUpperCase()}${deviceCounters[deviceType] + 1}`;
       let newDevice = { id: newId, type: deviceType, position: newPosition };
 
+      // New devices start with defaults and open in the inspector for the details
       if (deviceType === 'vm') {
-        const cpu = prompt('Enter CPU for this VM:', '1 vCPU');
-        const memory = prompt('Enter Memory for this VM (e.g., 2GB):', '2GB');
-        const storage = prompt('Enter Storage for this VM (e.g., 10GB):', '10GB');
-        const ip = prompt('Enter IP address for this VM (optional, e.g., 192.168.1.50):\nLeave empty for auto-assignment:', '');
-        newDevice = { ...newDevice, cpu, memory, storage, ip };
+        newDevice = { ...newDevice, cpu: '1', memory: '2Gi', storage: '10Gi' };
       } else if (deviceType === 'router') {
-        alert('🌐 Router created!\n\nNote: Router IP addresses will be configured per interface when you create connections.');
         newDevice = { ...newDevice, interfaceIPs: {} }; // Store multiple IPs per interface
       }
 
       createDevice(newDevice);
       setDroppedDevices((prevDevices) => [...prevDevices, newDevice]);
+      setSelectedDevice(pathMode ? null : newId);
       setDeviceCounters((prevCounters) => ({
         ...prevCounters,
         [deviceType]: prevCounters[deviceType] + 1,
@@ -143,7 +579,212 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
     e.dataTransfer.setData('device-id', deviceId || '');
   };
 
+  const toggleMultiSelection = (deviceId) => {
+    setMultiSelection((prevSelection) =>
+      prevSelection.includes(deviceId)
+        ? prevSelection.filter((id) => id !== deviceId)
+        : [...prevSelection, deviceId]
+    );
+  };
+
+  // Arranges the Shift+click selection, or the whole design when nothing is selected
+  const autoLayout = async () => {
+    const deviceIds = multiSelection.filter((id) => droppedDevices.some((device) => device.id === id));
+    const previous = droppedDevices
+      .filter((device) => deviceIds.length === 0 || deviceIds.includes(device.id))
+      .map((device) => ({ id: device.id, position: device.position }));
+    // Version of every arranged device after the last write
+    const versions = new Map();
+    const savePositions = async (devices) => {
+      for (const { id, position } of devices) {
+        const response = await axios.put(`${designPath}/devices/${id}/position`, { ...position, version: versions.get(id) });
+        versions.set(id, response.data.version);
+      }
+    };
+
+    try {
+      const response = await axios.post(`${designPath}/layout`, deviceIds.length > 0 ? { deviceIds } : {});
+      const moved = response.data.devices;
+      moved.forEach((device) => versions.set(device.id, device.version));
+      setDroppedDevices((prevDevices) =>
+        prevDevices.map((device) => {
+          const update = moved.find((d) => d.id === device.id);
+          return update ? { ...device, position: update.position, version: update.version } : device;
+        })
+      );
+      recordChange({
+        label: deviceIds.length > 0 ? `arrange ${deviceIds.join(', ')}` : 'auto layout',
+        undo: () => savePositions(previous),
+        redo: () => savePositions(moved),
+      });
+      setMultiSelection([]);
+      console.log('✅ Devices arranged:', moved.length);
+    } catch (error) {
+      console.error('❌ Error arranging devices:', error);
+      alert(`Error: ${error.response?.data?.error || 'could not arrange the devices'}`);
+    }
+  };
+
+  // Zones: Shift+click the devices, then group them. Every zone change reloads the
+  // design, the members' zone, position and version change with it.
+  const zoneChange = async (label, request, change) => {
+    try {
+      await request();
+      recordChange({ label, ...change });
+    } catch (error) {
+      console.error(`❌ Error during ${label}:`, error);
+      alert(`Error: ${error.response?.data?.error || `cannot ${label}`}`);
+    }
+    try {
+      await reloadDesign();
+    } catch (error) {
+      console.error('❌ Error reloading design:', error);
+    }
+  };
+
+  // The zone inspector creates a zone from the Shift+clicked devices, or edits zone
+  const groupAsZone = () => {
+    const devices = multiSelection.filter((id) => droppedDevices.some((device) => device.id === id));
+    setSelectedDevice(null);
+    setSelectedConnection(null);
+    setZoneForm({ zone: null, devices });
+  };
+
+  const editZone = (zone) => {
+    const devices = droppedDevices.filter((device) => device.zone === zone.name).map((device) => device.id);
+    setSelectedDevice(null);
+    setSelectedConnection(null);
+    setZoneForm({ zone, devices });
+  };
+
+  // Zone inspector Save; errors go back to the inspector
+  const saveZone = async ({ name, namespace }) => {
+    const { zone, devices } = zoneForm;
+    try {
+      if (zone) {
+        const before = { name: zone.name, namespace: zone.namespace || '' };
+        const after = { name, namespace };
+        await axios.put(`${designPath}/zones/${before.name}`, after);
+        recordChange({
+          label: `edit zone ${before.name}`,
+          undo: () => axios.put(`${designPath}/zones/${after.name}`, before),
+          redo: () => axios.put(`${designPath}/zones/${before.name}`, after),
+        });
+      } else {
+        const created = { name, namespace, devices };
+        // Undo puts the devices back in the zones they came from
+        const previousZones = droppedDevices
+          .filter((device) => devices.includes(device.id))
+          .map((device) => ({ id: device.id, zone: device.zone || '' }));
+        await axios.post(`${designPath}/zones`, created);
+        recordChange({
+          label: `group ${name}`,
+          undo: async () => {
+            await axios.delete(`${designPath}/zones/${name}`);
+            for (const { id, zone: previous } of previousZones.filter((device) => device.zone)) {
+              await axios.put(`${designPath}/devices/${id}`, { zone: previous });
+            }
+          },
+          redo: () => axios.post(`${designPath}/zones`, created),
+        });
+        setMultiSelection([]);
+      }
+      setZoneForm(null);
+      console.log('✅ Zone saved:', name);
+    } finally {
+      await reloadDesign();
+    }
+  };
+
+  const deleteZone = async (zone) => {
+    if (!window.confirm(`🗂️ Remove zone ${zone.name}? Its devices stay on the canvas.`)) return;
+
+    const removed = {
+      name: zone.name,
+      namespace: zone.namespace || '',
+      devices: droppedDevices.filter((device) => device.zone === zone.name).map((device) => device.id),
+    };
+    await zoneChange(`delete zone ${zone.name}`, () => axios.delete(`${designPath}/zones/${zone.name}`), {
+      undo: () => axios.post(`${designPath}/zones`, removed),
+      redo: () => axios.delete(`${designPath}/zones/${zone.name}`),
+    });
+  };
+
+  const moveZone = (zoneName, dx, dy) => {
+    if (dx === 0 && dy === 0) return;
+    // The backend only moves devices with a stored position; the others are drawn at
+    // their fallback spot, which is stored first so they move along
+    const members = droppedDevices.filter((device) => device.zone === zoneName);
+    const storeFallbackPositions = async () => {
+      const stored = (await axios.get(`${designPath}/devices`)).data;
+      for (const device of members.filter((member) => stored.some((d) => d.id === member.id && !d.position))) {
+        await axios.put(`${designPath}/devices/${device.id}/position`, device.position);
+      }
+    };
+    setDroppedDevices((prevDevices) =>
+      prevDevices.map((device) =>
+        device.zone === zoneName
+          ? { ...device, position: { x: device.position.x + dx, y: device.position.y + dy } }
+          : device
+      )
+    );
+    const move = async () => {
+      await storeFallbackPositions();
+      await axios.post(`${designPath}/zones/${zoneName}/move`, { dx, dy });
+    };
+    zoneChange(`move zone ${zoneName}`, move, {
+      undo: () => axios.post(`${designPath}/zones/${zoneName}/move`, { dx: -dx, dy: -dy }),
+      redo: () => axios.post(`${designPath}/zones/${zoneName}/move`, { dx, dy }),
+    });
+  };
+
+  const handleZoneDragStart = (e, zoneName) => {
+    e.dataTransfer.setData('zone-name', zoneName);
+    e.dataTransfer.setData('zone-origin', `${e.clientX},${e.clientY}`);
+  };
+
+  const togglePathMode = () => {
+    setPathMode(!pathMode);
+    setPathAnalysis(null);
+    setSelectedDevice(null);
+    setSelectedConnection(null);
+  };
+
+  // In path mode the first click picks the source and the second one the destination
+  const tracePath = async (deviceId) => {
+    if (!selectedDevice || selectedDevice === deviceId) {
+      setSelectedDevice(deviceId);
+      setPathAnalysis(null);
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${designPath}/analysis/path`, {
+        params: { from: selectedDevice, to: deviceId },
+      });
+      const analysis = response.data;
+      setPathAnalysis(analysis);
+      setExportStatus(
+        analysis.reachable
+          ? `🧭 ${analysis.hops.map((hop) => hop.deviceId).join(' → ')}`
+          : `🚫 ${analysis.from} cannot reach ${analysis.to}: ${analysis.reason.message}`
+      );
+      setTimeout(() => setExportStatus(''), 5000);
+    } catch (error) {
+      console.error('❌ Error analyzing path:', error);
+      if (error.response?.data?.error) {
+        alert(`Error: ${error.response.data.error}`);
+      }
+    }
+    setSelectedDevice(null);
+  };
+
   const handleSingleClick = async (deviceId) => {
+    if (pathMode) {
+      tracePath(deviceId);
+      return;
+    }
+
     if (selectedDevice && selectedDevice !== deviceId) {
       const fromDevice = droppedDevices.find((device) => device.id === selectedDevice);
       const toDevice = droppedDevices.find((device) => device.id === deviceId);
@@ -157,52 +798,22 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
         return;
       }
 
-      let routerInterfaceData = {};
-      
-      if (fromDevice.type === 'router') {
-        const routerIP = await assignRouterInterfaceIP(fromDevice.id, toDevice.id, toDevice.type);
-        if (routerIP) {
-          routerInterfaceData.fromRouterIP = routerIP;
-        }
-      }
-      
-      if (toDevice.type === 'router') {
-        const routerIP = await assignRouterInterfaceIP(toDevice.id, fromDevice.id, fromDevice.type);
-        if (routerIP) {
-          routerInterfaceData.toRouterIP = routerIP;
-        }
-      }
-
+      // Addresses are auto-assigned, router interfaces are set in the inspector afterwards
       const newConnection = { 
         from: selectedDevice, 
-        to: deviceId, 
-        ...routerInterfaceData
+        to: deviceId
       };
 
       setConnections((prevConnections) => [...prevConnections, newConnection]);
       
       try {
-        const response = await axios.post('/connections', newConnection);
-        
-        if (routerInterfaceData.fromRouterIP || routerInterfaceData.toRouterIP) {
-          setDroppedDevices(prevDevices => 
-            prevDevices.map(device => {
-              if (device.id === fromDevice.id && routerInterfaceData.fromRouterIP) {
-                const updatedDevice = { ...device };
-                if (!updatedDevice.interfaceIPs) updatedDevice.interfaceIPs = {};
-                updatedDevice.interfaceIPs[`to_${toDevice.id}`] = routerInterfaceData.fromRouterIP;
-                return updatedDevice;
-              }
-              if (device.id === toDevice.id && routerInterfaceData.toRouterIP) {
-                const updatedDevice = { ...device };
-                if (!updatedDevice.interfaceIPs) updatedDevice.interfaceIPs = {};
-                updatedDevice.interfaceIPs[`to_${fromDevice.id}`] = routerInterfaceData.toRouterIP;
-                return updatedDevice;
-              }
-              return device;
-            })
-          );
-        }
+        const response = await axios.post(`${designPath}/connections`, newConnection);
+        const created = connectionBody(response.data.connection);
+        recordChange({
+          label: `connect ${created.from} ↔ ${created.to}`,
+          undo: () => axios.delete(`${designPath}/connections`, { data: { from: created.from, to: created.to } }),
+          redo: () => axios.post(`${designPath}/connections`, created),
+        });
       } catch (error) {
         if (error.response?.data?.error) {
           alert(`Error: ${error.response.data.error}`);
@@ -217,9 +828,217 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
       setSelectedDevice(null);
     } else {
       setSelectedDevice(deviceId);
+      setSelectedConnection(null);
+    }
+  };
+
+  // A click on a connection opens it in the connection inspector
+  const selectConnection = (connection) => {
+    if (pathMode) return;
+    setSelectedDevice(null);
+    setSelectedConnection({ from: connection.from, to: connection.to });
+  };
+
+  const removeConnection = async (connection) => {
+    if (!window.confirm(`🔌 Remove the connection between ${connection.from} and ${connection.to}?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${designPath}/connections`, {
+        data: { from: connection.from, to: connection.to },
+      });
+      const removed = connectionBody(connection);
+      recordChange({
+        label: `disconnect ${removed.from} ↔ ${removed.to}`,
+        undo: () => axios.post(`${designPath}/connections`, removed),
+        redo: () => axios.delete(`${designPath}/connections`, { data: { from: removed.from, to: removed.to } }),
+      });
+      setSelectedConnection(null);
+      setConnections((prevConnections) =>
+        prevConnections.filter(
+          (conn) =>
+            !(
+              (conn.from === connection.from && conn.to === connection.to) ||
+              (conn.from === connection.to && conn.to === connection.from)
+            )
+        )
+      );
+      // The router interface IPs belonged to this link
+      setDroppedDevices((prevDevices) =>
+        prevDevices.map((device) => {
+          const peerId = device.id === connection.from ? connection.to : device.id === connection.to ? connection.from : null;
+          if (!peerId || !device.interfaceIPs || !device.interfaceIPs[`to_${peerId}`]) return device;
+          const interfaceIPs = { ...device.interfaceIPs };
+          delete interfaceIPs[`to_${peerId}`];
+          return { ...device, interfaceIPs };
+        })
+      );
+    } catch (error) {
+      console.error('❌ Error removing connection:', error);
+      if (error.response?.data?.error) {
+        alert(`Error: ${error.response.data.error}`);
+      }
+    }
+  };
+
+  // Inspector changes: device fields through the update API, router interfaces through
+  // PUT /connections so an address and its link subnet change together
+  // version guards the device fields against edits made meanwhile in another browser.
+  // Returns the device's version afterwards, which undo and redo send the same way.
+  const applyDeviceSettings = async (deviceId, { device, links }, version) => {
+    let current = version;
+    if (device) {
+      const response = await axios.put(`${designPath}/devices/${deviceId}`, { ...device, version: current });
+      current = response.data.device.version;
+    }
+    for (const link of links) {
+      const response = await axios.put(`${designPath}/connections`, {
+        from: deviceId,
+        to: link.peerId,
+        fromRouterIP: link.ip,
+        subnet: link.subnet,
+      });
+      current = routerVersion(response, deviceId, current);
+    }
+    return current;
+  };
+
+  const saveDeviceSettings = async (deviceId, changes, previous) => {
+    try {
+      let { version } = droppedDevices.find((d) => d.id === deviceId);
+      version = await applyDeviceSettings(deviceId, changes, version);
+      recordChange({
+        label: `edit ${deviceId}`,
+        undo: async () => {
+          version = await applyDeviceSettings(deviceId, previous, version);
+        },
+        redo: async () => {
+          version = await applyDeviceSettings(deviceId, changes, version);
+        },
+      });
+      console.log('✅ Device updated:', deviceId);
+    } finally {
+      // Also after a partial failure, so the canvas shows what was stored
+      await reloadDesign();
+    }
+  };
+
+  // Connection inspector changes: the whole rule list is replaced, undo puts back the previous one
+  const saveConnectionRules = async (connection, rules, previousRules) => {
+    const { from, to } = connection;
+    try {
+      await axios.put(`${designPath}/connections`, { from, to, rules });
+      recordChange({
+        label: `edit firewall rules ${from} ↔ ${to}`,
+        undo: () => axios.put(`${designPath}/connections`, { from, to, rules: previousRules }),
+        redo: () => axios.put(`${designPath}/connections`, { from, to, rules }),
+      });
+      console.log(`✅ Firewall rules updated: ${from} ↔ ${to}`);
+    } finally {
+      await reloadDesign();
     }
   };
 
+  const runValidation = async () => {
+    try {
+      const response = await axios.get(`${designPath}/validate`);
+      setValidationReport(response.data);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error validating design:', error);
+      return null;
+    }
+  };
+
+  const validateDesign = async () => {
+    const report = await runValidation();
+    if (!report) {
+      setExportStatus('❌ Error validating design. Please try again.');
+    } else if (report.valid) {
+      setExportStatus(`✅ Design is valid${report.warnings.length ? ` (${report.warnings.length} warning(s))` : ''}`);
+    } else {
+      setExportStatus(`❌ ${report.errors.length} validation error(s) - see the highlighted devices`);
+    }
+    setTimeout(() => setExportStatus(''), 5000);
+  };
+
+  // Exports are refused with 422 while the design has validation errors
+  const handleExportError = async (error, message) => {
+    if (error.response?.status === 422) {
+      await runValidation();
+      setExportStatus('❌ Export blocked: fix the highlighted validation errors first.');
+    } else {
+      setExportStatus(message);
+    }
+    setTimeout(() => setExportStatus(''), 5000);
+  };
+
+  // Sums what the VMs request and places them on the cluster nodes
+  const checkCapacity = async () => {
+    try {
+      const response = await axios.get(`${designPath}/capacity`);
+      const report = response.data;
+      setCapacityReport(report);
+      if (report.allocatable.nodes === 0) {
+        setExportStatus('❌ No cluster nodes described yet');
+      } else if (report.fits) {
+        setExportStatus(`✅ All ${report.requested.vms} VM(s) fit on ${report.allocatable.nodes} node(s)`);
+      } else {
+        setExportStatus(`❌ ${report.unplaced.length} VM(s) do not fit on the cluster`);
+      }
+    } catch (error) {
+      console.error('❌ Error checking capacity:', error);
+      setExportStatus('❌ Error checking capacity. Please try again.');
+    }
+    setTimeout(() => setExportStatus(''), 5000);
+  };
+
+  const issueLevel = (matches) => {
+    if (!validationReport) return null;
+    if (validationReport.errors.some(matches)) return 'error';
+    if (validationReport.warnings.some(matches)) return 'warning';
+    return null;
+  };
+
+  const deviceIssueLevel = (deviceId) => issueLevel((issue) => issue.devices.includes(deviceId));
+
+  const connectionIssueLevel = (connection) =>
+    issueLevel((issue) =>
+      issue.connections.some(
+        (ref) =>
+          (ref.from === connection.from && ref.to === connection.to) ||
+          (ref.from === connection.to && ref.to === connection.from)
+      )
+    );
+
+  const isOnPath = (connection) =>
+    Boolean(pathAnalysis) &&
+    pathAnalysis.connections.some(
+      (ref) =>
+        (ref.from === connection.from && ref.to === connection.to) ||
+        (ref.from === connection.to && ref.to === connection.from)
+    );
+
+  const connectionClassName = (connection) => {
+    const classes = ['connection'];
+    const level = connectionIssueLevel(connection);
+    if (level) classes.push(`has-${level}`);
+    if (isOnPath(connection)) classes.push('on-path');
+    if (inspectedConnection === connection) classes.push('selected');
+    if (connection.rules && connection.rules.length > 0) classes.push('has-rules');
+    return classes.join(' ');
+  };
+
+  const deviceClassName = (deviceId) => {
+    const classes = ['canvas-device'];
+    const level = deviceIssueLevel(deviceId);
+    if (level) classes.push(`has-${level}`);
+    if (pathAnalysis && pathAnalysis.hops.some((hop) => hop.deviceId === deviceId)) classes.push('on-path');
+    if (multiSelection.includes(deviceId)) classes.push('multi-selected');
+    return classes.join(' ');
+  };
+
   // Enhanced export function with multi-step process
   const exportToKubeVirt = async () => {
     if (droppedDevices.length === 0) {
@@ -231,7 +1050,8 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
       setExportStatus('⏳ Generating KubeVirt configuration...');
       console.log('📦 Exporting to KubeVirt...');
       
-      const response = await axios.get('/export/kubevirt', {
+      const response = await axios.get(`${designPath}/export/kubevirt`, {
+        params: { routerFirewall, placement },
         responseType: 'blob'
       });
       
@@ -250,8 +1070,7 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
       setTimeout(() => setExportStatus(''), 3000);
     } catch (error) {
       console.error('❌ Error exporting to KubeVirt:', error);
-      setExportStatus('❌ Error exporting configuration. Please try again.');
-      setTimeout(() => setExportStatus(''), 5000);
+      await handleExportError(error, '❌ Error exporting configuration. Please try again.');
     }
   };
 
@@ -265,7 +1084,8 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
     try {
       setExportStatus('⏳ Generating PVCs configuration...');
       
-      const response = await axios.get('/export/kubevirt-pvcs', {
+      const response = await axios.get(`${designPath}/export/kubevirt-pvcs`, {
+        params: { placement },
         responseType: 'blob'
       });
       
@@ -282,8 +1102,7 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
       setTimeout(() => setExportStatus(''), 5000);
     } catch (error) {
       console.error('❌ Error exporting PVCs:', error);
-      setExportStatus('❌ Error exporting PVCs. Please try again.');
-      setTimeout(() => setExportStatus(''), 5000);
+      await handleExportError(error, '❌ Error exporting PVCs. Please try again.');
     }
   };
 
@@ -297,7 +1116,8 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
     try {
       setExportStatus('⏳ Generating VMs configuration...');
       
-      const response = await axios.get('/export/kubevirt-vms', {
+      const response = await axios.get(`${designPath}/export/kubevirt-vms`, {
+        params: { routerFirewall, placement },
         responseType: 'blob'
       });
       
@@ -314,20 +1134,90 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
       setTimeout(() => setExportStatus(''), 5000);
     } catch (error) {
       console.error('❌ Error exporting VMs:', error);
-      setExportStatus('❌ Error exporting VMs. Please try again.');
+      await handleExportError(error, '❌ Error exporting VMs. Please try again.');
+    }
+  };
+
+  const exportContainerlab = async () => {
+    if (droppedDevices.length === 0) {
+      alert('❌ No devices to export. Please add some devices first.');
+      return;
+    }
+
+    try {
+      setExportStatus('⏳ Generating containerlab topology...');
+      
+      const response = await axios.get(`${designPath}/export/containerlab`, {
+        responseType: 'blob'
+      });
+      const filename = designs.find((design) => design.id === currentDesignId)?.namespace || 'infrastructure-lab';
+      
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${filename}.clab.yml`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      
+      setExportStatus('✅ containerlab topology exported! Run it with: containerlab deploy -t <file>');
       setTimeout(() => setExportStatus(''), 5000);
+    } catch (error) {
+      console.error('❌ Error exporting containerlab topology:', error);
+      await handleExportError(error, '❌ Error exporting containerlab topology. Please try again.');
     }
   };
 
+  const importKubeVirtYAML = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setExportStatus('⏳ Importing KubeVirt YAML...');
+      const response = await axios.post(`${designPath}/import/kubevirt`, await file.text(), {
+        headers: { 'Content-Type': 'application/x-yaml' },
+      });
+      applyDesignState(await fetchDesignState(currentDesignId));
+
+      const { devices, unmapped } = response.data;
+      setExportStatus(`✅ Imported ${devices.length} device(s) from ${file.name}`);
+      setTimeout(() => setExportStatus(''), 5000);
+      if (unmapped.length > 0) {
+        alert(`⚠️ Some parts could not be mapped:\n\n${unmapped.map((item) => `${item.kind} ${item.name || ''}: ${item.reason}`).join('\n')}`);
+      }
+    } catch (error) {
+      console.error('❌ Error importing KubeVirt YAML:', error);
+      setExportStatus('');
+      alert(`Error: ${error.response?.data?.error || 'Import failed. Please try again.'}`);
+    }
+  };
+
+  const downloadCanvasSVG = () => {
+    const svg = buildCanvasSVG(droppedDevices, connections);
+    const url = window.URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', 'infrastructure-canvas.svg');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
   const clearInfrastructure = async () => {
     if (window.confirm('🗑️ Are you sure you want to clear all devices and connections?')) {
       try {
         console.log('🧹 Clearing infrastructure...');
-        await axios.get('/clear-database');
+        await axios.get(`${designPath}/clear-database`);
         setDroppedDevices([]);
         setConnections([]);
-        setDeviceCounters({ vm: 0, router: 0 });
+        setZones([]);
+        setDeviceCounters({ vm: 0, router: 0, switch: 0 });
         setSelectedDevice(null);
+        // The removed devices cannot be brought back one change at a time
+        setHistory({ undo: [], redo: [] });
         console.log('✅ Infrastructure cleared');
       } catch (error) {
         console.error('❌ Error clearing infrastructure:', error);
@@ -340,7 +1230,132 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
       <h1>Design your infra here:</h1>
       
       <div className="controls">
+        <div className="design-controls">
+          <label htmlFor="design-picker">Design:</label>
+          <select
+            id="design-picker"
+            className="design-picker"
+            value={currentDesignId}
+            onChange={(e) => selectDesign(Number(e.target.value))}
+          >
+            {designs.map((design) => (
+              <option key={design.id} value={design.id}>
+                {design.name} ({design.namespace})
+              </option>
+            ))}
+          </select>
+          <button
+            className="design-button"
+            onClick={createDesign}
+            title="Create a new design with its own namespace"
+          >
+            ➕ New Design
+          </button>
+          <button
+            className="design-button"
+            onClick={saveDesign}
+            title="Download this design as a JSON file"
+          >
+            💾 Save Design
+          </button>
+          <label className="design-button" title="Open a JSON design file as a new design">
+            📂 Open Design
+            <input type="file" accept=".json,application/json" onChange={openDesign} hidden />
+          </label>
+        </div>
+        <div className="presence-controls">
+          <button
+            className="presence-badge own"
+            onClick={renameUser}
+            title="You, click to change the name the others see"
+          >
+            👤 {userName}
+          </button>
+          {collaborators.map((collaborator) => (
+            <span
+              key={collaborator.clientId}
+              className="presence-badge"
+              title={`Editing since ${new Date(collaborator.connectedAt).toLocaleTimeString()}`}
+            >
+              👤 {collaborator.user}
+            </span>
+          ))}
+        </div>
+        <div className="history-controls">
+          <button
+            className="history-button"
+            onClick={undo}
+            disabled={history.undo.length === 0}
+            title={history.undo.length ? `Undo ${history.undo[history.undo.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+          >
+            ↶ Undo
+          </button>
+          <button
+            className="history-button"
+            onClick={redo}
+            disabled={history.redo.length === 0}
+            title={history.redo.length ? `Redo ${history.redo[history.redo.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+          >
+            ↷ Redo
+          </button>
+        </div>
         <div className="export-controls">
+          <button
+            className="layout-button"
+            onClick={autoLayout}
+            disabled={droppedDevices.length === 0}
+            title="Arrange the devices without overlaps; Shift+click devices to arrange only those"
+          >
+            🧩 {multiSelection.length > 0 ? `Arrange ${multiSelection.length} Selected` : 'Auto Layout'}
+          </button>
+          <button
+            className="zone-button"
+            onClick={groupAsZone}
+            disabled={multiSelection.length === 0}
+            title="Put the Shift+clicked devices into a zone; exports label them with it"
+          >
+            🗂️ Group as Zone
+          </button>
+          <button
+            className={`path-button ${pathMode ? 'active' : ''}`}
+            onClick={togglePathMode}
+            disabled={droppedDevices.length === 0}
+            title="Click two devices to see how traffic gets from one to the other"
+          >
+            🧭 {pathMode ? 'Exit Path Mode' : 'Trace Path'}
+          </button>
+          <button
+            className="validate-button"
+            onClick={validateDesign}
+            disabled={droppedDevices.length === 0}
+            title="Check the topology for errors before exporting"
+          >
+            🩺 Validate
+          </button>
+          <button
+            className="capacity-button"
+            onClick={checkCapacity}
+            disabled={droppedDevices.length === 0}
+            title="Check whether the VMs fit on the cluster nodes"
+          >
+            📏 Capacity
+          </button>
+          <label className="firewall-picker" title="How routers enforce the connection firewall rules in KubeVirt exports">
+            🛡️ Router firewall:
+            <select value={routerFirewall} onChange={(e) => setRouterFirewall(e.target.value)}>
+              <option value="none">none</option>
+              <option value="nftables">nftables</option>
+              <option value="iptables">iptables</option>
+            </select>
+          </label>
+          <label className="placement-picker" title="Pin the exported VMs to the nodes the capacity check places them on">
+            📍 Placement:
+            <select value={placement} onChange={(e) => setPlacement(e.target.value)}>
+              <option value="none">none</option>
+              <option value="nodeSelector">nodeSelector</option>
+              <option value="nodeAffinity">nodeAffinity</option>
+            </select>
+          </label>
           <button 
             className="export-button" 
             onClick={exportToKubeVirt}
@@ -349,6 +1364,26 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
           >
             📦 Export Complete
           </button>
+          <button 
+            className="export-button" 
+            onClick={exportContainerlab}
+            disabled={droppedDevices.length === 0}
+            title="Export a containerlab topology to run the design locally with Docker"
+          >
+            🐳 Export containerlab
+          </button>
+          <label className="export-button" title="Add the VirtualMachines of a KubeVirt YAML to this design">
+            📥 Import YAML
+            <input type="file" accept=".yaml,.yml" onChange={importKubeVirtYAML} hidden />
+          </label>
+          <button 
+            className="export-button" 
+            onClick={downloadCanvasSVG}
+            disabled={droppedDevices.length === 0}
+            title="Download the canvas as an SVG image"
+          >
+            🖼️ Canvas SVG
+          </button>
           <button 
             className="export-button" 
             onClick={exportPVCs}
@@ -391,16 +1426,113 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
             <Router onDragStart={(e) => handleDragStart(e, 'router')} isInInventory={true} />
             <span className="device-label">Network Router</span>
           </div>
+          <div className="device-container">
+            <Switch onDragStart={(e) => handleDragStart(e, 'switch')} isInInventory={true} />
+            <span className="device-label">Network Switch</span>
+          </div>
           
           <div className="inventory-info">
             <h3>Statistics</h3>
             <p>VMs: {droppedDevices.filter(d => d.type === 'vm').length}</p>
             <p>Routers: {droppedDevices.filter(d => d.type === 'router').length}</p>
+            <p>Switches: {droppedDevices.filter(d => d.type === 'switch').length}</p>
             <p>Connections: {connections.length}</p>
+            <p>Total vCPU: {totals.cpu}</p>
+            <p>Total memory: {formatMebibytes(totals.memory)}</p>
+            <p>Total storage: {formatMebibytes(totals.storage)}</p>
           </div>
+
+          {capacityReport && (
+            <div className="inventory-info capacity-report">
+              <h3>Capacity</h3>
+              {capacityReport.allocatable.nodes === 0 ? (
+                <p className="capacity-node">Describe the cluster nodes with PUT /cluster/nodes first.</p>
+              ) : (
+                <>
+                  <p className="capacity-node">
+                    {capacityReport.requested.cpu} of {capacityReport.allocatable.cpu} vCPU,{' '}
+                    {formatMebibytes(capacityReport.requested.memory)} of {formatMebibytes(capacityReport.allocatable.memory)}
+                  </p>
+                  {capacityReport.nodes.map((node) => (
+                    <p key={node.name} className="capacity-node">
+                      🖧 {node.name}: {node.requested.cpu}/{node.allocatable.cpu} vCPU,{' '}
+                      {formatMebibytes(node.requested.memory)}/{formatMebibytes(node.allocatable.memory)}
+                      {node.storage.map((entry) => (
+                        <span key={entry.storageClass}>
+                          , {entry.storageClass} {formatMebibytes(entry.requested)}/{formatMebibytes(entry.capacity)}
+                        </span>
+                      ))}
+                      {node.devices.length > 0 && <span className="capacity-devices">{node.devices.join(', ')}</span>}
+                    </p>
+                  ))}
+                </>
+              )}
+              {capacityReport.unplaced.map((entry) => (
+                <p key={entry.deviceId} className="validation-issue error">
+                  ❌ {entry.deviceId}: {entry.reason}
+                </p>
+              ))}
+              {capacityReport.fits && <p className="capacity-result">✅ Everything fits</p>}
+            </div>
+          )}
+
+          {pathAnalysis && (
+            <div className="inventory-info path-report">
+              <h3>
+                Path {pathAnalysis.from} → {pathAnalysis.to}
+              </h3>
+              {pathAnalysis.hops.map((hop, index) => (
+                <p key={index} className="path-hop">
+                  {hop.deviceId}
+                  {hop.in && ` ⇢ ${hop.in.interfaceName} ${hop.in.ip}`}
+                  {hop.out && ` ⇢ ${hop.out.interfaceName} ${hop.out.ip} (${hop.out.segment})`}
+                </p>
+              ))}
+              <p className={`path-result ${pathAnalysis.reachable ? 'reachable' : 'unreachable'}`}>
+                {pathAnalysis.reachable ? '✅ Reachable' : `🚫 ${pathAnalysis.reason.message}`}
+              </p>
+            </div>
+          )}
+
+          {validationReport && (validationReport.errors.length > 0 || validationReport.warnings.length > 0) && (
+            <div className="inventory-info validation-report">
+              <h3>Validation</h3>
+              {validationReport.errors.map((issue, index) => (
+                <p key={`error-${index}`} className="validation-issue error">❌ {issue.message}</p>
+              ))}
+              {validationReport.warnings.map((issue, index) => (
+                <p key={`warning-${index}`} className="validation-issue warning">⚠️ {issue.message}</p>
+              ))}
+            </div>
+          )}
         </div>
         
         <div className="bigger-box" onDrop={handleDrop} onDragOver={(e) => e.preventDefault()}>
+          {zones.map((zone) => {
+            const bounds = zoneBounds(zone, droppedDevices);
+            return (
+              bounds && (
+                <div key={zone.name} className="canvas-zone" style={bounds}>
+                  <div
+                    className="zone-label"
+                    draggable
+                    onDragStart={(e) => handleZoneDragStart(e, zone.name)}
+                    title="Drag to move the zone with its devices"
+                  >
+                    🗂️ {zone.name}
+                    {zone.namespace && <span className="zone-namespace">ns: {zone.namespace}</span>}
+                    <button type="button" onClick={() => editZone(zone)} title="Rename the zone or change its namespace">
+                      ✎
+                    </button>
+                    <button type="button" onClick={() => deleteZone(zone)} title="Remove the zone, the devices stay">
+                      ✕
+                    </button>
+                  </div>
+                </div>
+              )
+            );
+          })}
+
           <svg className="connections">
             {connections.map((connection, index) => {
               const fromDevice = droppedDevices.find((device) => device.id === connection.from);
@@ -408,15 +1540,35 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
               return (
                 fromDevice &&
                 toDevice && (
-                  <line
+                  <g
                     key={index}
-                    x1={fromDevice.position.x + 40}
-                    y1={fromDevice.position.y + 40}
-                    x2={toDevice.position.x + 40}
-                    y2={toDevice.position.y + 40}
-                    stroke="#ffffff"
-                    strokeWidth={1}
-                  />
+                    className={connectionClassName(connection)}
+                    onClick={() => selectConnection(connection)}
+                  >
+                    <title>
+                      {`${connection.from} ↔ ${connection.to}` +
+                        (connection.rules?.length ? ` (${connection.rules.length} firewall rule(s))` : '') +
+                        ' - click to edit'}
+                    </title>
+                    <line
+                      x1={fromDevice.position.x + 40}
+                      y1={fromDevice.position.y + 40}
+                      x2={toDevice.position.x + 40}
+                      y2={toDevice.position.y + 40}
+                      stroke="#ffffff"
+                      strokeWidth={1}
+                    />
+                    {/* Wider invisible stroke so the thin line is easy to hit */}
+                    <line
+                      className="connection-hitbox"
+                      x1={fromDevice.position.x + 40}
+                      y1={fromDevice.position.y + 40}
+                      x2={toDevice.position.x + 40}
+                      y2={toDevice.position.y + 40}
+                      stroke="transparent"
+                      strokeWidth={12}
+                    />
+                  </g>
                 )
               );
             })}
@@ -425,6 +1577,7 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
           {droppedDevices.map((device) => (
             <div
               key={device.id}
+              className={deviceClassName(device.id)}
               style={{
                 position: 'absolute',
                 left: device.position.x,
@@ -435,7 +1588,7 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
               }}
               draggable
               onDragStart={(e) => handleDragStart(e, device.type, device.id)}
-              onClick={() => handleSingleClick(device.id)}
+              onClick={(e) => (e.shiftKey && !pathMode ? toggleMultiSelection(device.id) : handleSingleClick(device.id))}
             >
               {device.type === 'vm' && (
                 <VM 
@@ -454,9 +1607,53 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
                   interfaceIPs={device.interfaceIPs}
                 />
               )}
+              {device.type === 'switch' && (
+                <Switch
+                  id={device.id}
+                  isInInventory={false}
+                  subnet={device.subnet}
+                  ports={connections
+                    .filter((conn) => conn.from === device.id || conn.to === device.id)
+                    .map((conn) => (conn.from === device.id ? conn.to : conn.from))}
+                />
+              )}
             </div>
           ))}
           
+          {inspectedDevice && (
+            <DeviceInspector
+              key={inspectedDevice.id}
+              device={inspectedDevice}
+              devices={droppedDevices}
+              connections={connections}
+              zones={zones}
+              onSave={saveDeviceSettings}
+              onClose={() => setSelectedDevice(null)}
+            />
+          )}
+
+          {inspectedConnection && (
+            <ConnectionInspector
+              key={`${inspectedConnection.from}-${inspectedConnection.to}`}
+              connection={inspectedConnection}
+              devices={droppedDevices}
+              onSave={saveConnectionRules}
+              onRemove={removeConnection}
+              onClose={() => setSelectedConnection(null)}
+            />
+          )}
+
+          {zoneForm && (
+            <ZoneInspector
+              key={zoneForm.zone ? zoneForm.zone.name : 'new'}
+              zone={zoneForm.zone}
+              devices={zoneForm.devices}
+              zones={zones}
+              onSave={saveZone}
+              onClose={() => setZoneForm(null)}
+            />
+          )}
+
           <div id="bin" className="bin">
             🗑️
           </div>
@@ -468,8 +1665,15 @@ Enter IP address for this interface (or leave empty for auto-assignment):`;
               <ul>
                 <li>🖱️ Drag & drop devices from the left panel</li>
                 <li>🔗 Click devices to create connections</li>
+                <li>🛡️ Click a connection to edit its firewall rules or remove it</li>
                 <li>🌐 Configure custom IP addresses</li>
                 <li>🌐 Routers get per-interface IP configuration</li>
+                <li>⚙️ Select a device to edit it in the inspector</li>
+                <li>↶ Ctrl+Z / Ctrl+Shift+Z undo and redo changes</li>
+                <li>🧩 Auto Layout arranges the design, Shift+click to pick devices</li>
+                <li>🗂️ Group Shift+clicked devices into zones, drag a zone label to move it</li>
+                <li>🔀 Switches put several devices on one shared segment</li>
+                <li>📏 Capacity checks whether the lab fits on the cluster nodes</li>
                 <li>📦 Export to KubeVirt when ready</li>
               </ul>
             </div>
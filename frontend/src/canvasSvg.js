@@ -0,0 +1,68 @@
+import { formatCPU, formatMebibytes } from './format';
+
+// Standalone SVG of the canvas: the connection lines plus the device boxes and
+// their details, which only exist as HTML on the page.
+
+const DEVICE_SIZE = 80;
+const DEVICE_COLORS = { vm: '#007bff', router: '#ff073a', switch: '#28a745' };
+
+const escapeXML = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const deviceDetails = (device) => {
+  if (device.type === 'vm') {
+    return [
+      `${formatCPU(device.cpu)}, ${formatMebibytes(device.memory)} RAM, ${formatMebibytes(device.storage)} disk`,
+      ...(device.ip ? [`IP ${device.ip}`] : []),
+    ];
+  }
+  if (device.type === 'router') {
+    return Object.entries(device.interfaceIPs || {}).map(([key, ip]) => `${key.replace('to_', '→ ')}: ${ip}`);
+  }
+  return device.subnet ? [`subnet ${device.subnet}`] : [];
+};
+
+export const buildCanvasSVG = (devices, connections) => {
+  const center = (device) => ({ x: device.position.x + DEVICE_SIZE / 2, y: device.position.y + DEVICE_SIZE / 2 });
+
+  const lines = connections
+    .map((connection) => {
+      const fromDevice = devices.find((device) => device.id === connection.from);
+      const toDevice = devices.find((device) => device.id === connection.to);
+      if (!fromDevice || !toDevice) return '';
+      const from = center(fromDevice);
+      const to = center(toDevice);
+      return `  <line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="#ffffff" stroke-width="1"/>`;
+    })
+    .filter(Boolean);
+
+  const boxes = devices.map((device) => {
+    const { x, y } = device.position;
+    const shape =
+      device.type === 'switch'
+        ? `<rect x="${x}" y="${y}" width="${DEVICE_SIZE}" height="${DEVICE_SIZE}" rx="12" fill="${DEVICE_COLORS.switch}"/>`
+        : `<circle cx="${x + DEVICE_SIZE / 2}" cy="${y + DEVICE_SIZE / 2}" r="${DEVICE_SIZE / 2}" fill="${DEVICE_COLORS[device.type]}"/>`;
+    const details = deviceDetails(device).map(
+      (line, index) =>
+        `    <text x="${x + DEVICE_SIZE / 2}" y="${y + DEVICE_SIZE + 14 + index * 12}" font-size="10" fill="#cccccc">${escapeXML(line)}</text>`
+    );
+    return [
+      '  <g>',
+      `    ${shape}`,
+      `    <text x="${x + DEVICE_SIZE / 2}" y="${y + DEVICE_SIZE / 2 + 5}" font-size="14" font-weight="bold" fill="#ffffff">${escapeXML(device.id)}</text>`,
+      ...details,
+      '  </g>',
+    ].join('\n');
+  });
+
+  const width = Math.max(0, ...devices.map((device) => device.position.x)) + DEVICE_SIZE + 160;
+  const height = Math.max(0, ...devices.map((device) => device.position.y)) + DEVICE_SIZE + 80;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" text-anchor="middle">
+  <rect width="100%" height="100%" fill="#121212"/>
+${lines.join('\n')}
+${boxes.join('\n')}
+</svg>
+`;
+};
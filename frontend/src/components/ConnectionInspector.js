@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import { endpointError, portsError } from '../inputValidation';
+import './DeviceInspector.css';
+
+const ACTIONS = ['allow', 'deny'];
+const PROTOCOLS = ['any', 'tcp', 'udp', 'icmp'];
+
+// Descriptions become comments in the router rulesets, so they are plain text
+const DESCRIPTION_PATTERN = /^[A-Za-z0-9 .,:;_()/+=@#-]*$/;
+
+const emptyRule = { action: 'allow', protocol: 'tcp', ports: '', source: '', destination: '', description: '' };
+
+// Stored rules as form rows, every field a string
+const initialRules = (connection) =>
+  (connection.rules || []).map((rule) => ({
+    action: rule.action,
+    protocol: rule.protocol || 'any',
+    ports: rule.ports ? String(rule.ports) : '',
+    source: rule.source || '',
+    destination: rule.destination || '',
+    description: rule.description || '',
+  }));
+
+// What PUT /connections stores, blank fields as null
+const ruleBody = (rule) => ({
+  action: rule.action,
+  protocol: rule.protocol,
+  ports: rule.ports.trim() || null,
+  source: rule.source.trim() || null,
+  destination: rule.destination.trim() || null,
+  description: rule.description.trim() || null,
+});
+
+// "field-index" -> message for every value that the backend would reject
+const validate = (rules, deviceIds) => {
+  const errors = {};
+  rules.forEach((rule, index) => {
+    if (rule.ports.trim()) {
+      const error = portsError(rule.ports, rule.protocol);
+      if (error) errors[`ports-${index}`] = error;
+    }
+    ['source', 'destination'].forEach((field) => {
+      if (!rule[field].trim()) return;
+      const error = endpointError(rule[field], deviceIds);
+      if (error) errors[`${field}-${index}`] = error;
+    });
+    if (rule.description.trim().length > 100 || !DESCRIPTION_PATTERN.test(rule.description.trim())) {
+      errors[`description-${index}`] = 'Up to 100 letters, digits, spaces and . , : ; _ ( ) / + = @ # -';
+    }
+  });
+  return errors;
+};
+
+const ConnectionInspector = ({ connection, devices, onSave, onRemove, onClose }) => {
+  const initial = initialRules(connection);
+  // Reset the form whenever the stored rules change, e.g. after Save or an undo
+  const signature = JSON.stringify(initial);
+  const [rules, setRules] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    setRules(JSON.parse(signature));
+    setSaveError(null);
+  }, [signature]);
+
+  const deviceIds = devices.map((device) => device.id);
+  const errors = validate(rules, deviceIds);
+  const changed = JSON.stringify(rules.map(ruleBody)) !== JSON.stringify(initial.map(ruleBody));
+  const canSave = changed && Object.keys(errors).length === 0 && !saving;
+
+  const setRuleField = (index, field) => (e) =>
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, [field]: e.target.value } : rule)));
+
+  // Swaps rule index with its neighbour; the order decides which rule matches first
+  const moveRule = (index, offset) => {
+    const next = [...rules];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setRules(next);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(connection, rules.map(ruleBody), initial.map(ruleBody));
+    } catch (error) {
+      setSaveError(error.response?.data?.error || error.message);
+    }
+    setSaving(false);
+  };
+
+  const ruleInput = (index, field, placeholder) => (
+    <>
+      <input
+        type="text"
+        value={rules[index][field]}
+        placeholder={placeholder}
+        onChange={setRuleField(index, field)}
+        className={errors[`${field}-${index}`] ? 'invalid' : ''}
+        list={field === 'source' || field === 'destination' ? 'rule-devices' : undefined}
+      />
+      {errors[`${field}-${index}`] && <span className="inspector-error">{errors[`${field}-${index}`]}</span>}
+    </>
+  );
+
+  return (
+    <aside className="device-inspector">
+      <div className="inspector-header">
+        <h3>
+          🔗 {connection.from} ↔ {connection.to} <span className="inspector-type">connection</span>
+        </h3>
+        <button type="button" className="inspector-close" onClick={onClose} title="Close without saving">
+          ✕
+        </button>
+      </div>
+
+      {connection.subnet && <p className="inspector-hint">Link subnet {connection.subnet}</p>}
+
+      <form onSubmit={save}>
+        <h4 className="inspector-section">Firewall rules</h4>
+        <p className="inspector-hint">
+          {rules.length === 0
+            ? 'No rules: all traffic passes.'
+            : 'The first matching rule decides, traffic that matches no rule is dropped.'}
+        </p>
+
+        <datalist id="rule-devices">
+          {deviceIds.map((id) => (
+            <option key={id} value={id} />
+          ))}
+        </datalist>
+
+        {rules.map((rule, index) => (
+          <div key={index} className={`inspector-rule ${rule.action}`}>
+            <div className="inspector-rule-header">
+              <span>#{index + 1}</span>
+              <button type="button" onClick={() => moveRule(index, -1)} disabled={index === 0} title="Check earlier">
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveRule(index, 1)}
+                disabled={index === rules.length - 1}
+                title="Check later"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => setRules(rules.filter((_, i) => i !== index))}
+                title="Remove the rule"
+              >
+                ✕
+              </button>
+            </div>
+            <div className="inspector-rule-row">
+              <select value={rule.action} onChange={setRuleField(index, 'action')}>
+                {ACTIONS.map((action) => (
+                  <option key={action} value={action}>
+                    {action}
+                  </option>
+                ))}
+              </select>
+              <select value={rule.protocol} onChange={setRuleField(index, 'protocol')}>
+                {PROTOCOLS.map((protocol) => (
+                  <option key={protocol} value={protocol}>
+                    {protocol}
+                  </option>
+                ))}
+              </select>
+              <div>{ruleInput(index, 'ports', 'all ports')}</div>
+            </div>
+            <label className="inspector-field">
+              <span>Source</span>
+              {ruleInput(index, 'source', 'anywhere')}
+            </label>
+            <label className="inspector-field">
+              <span>Destination</span>
+              {ruleInput(index, 'destination', 'anywhere')}
+            </label>
+            <label className="inspector-field">
+              <span>Description</span>
+              {ruleInput(index, 'description', 'optional')}
+            </label>
+          </div>
+        ))}
+
+        <button type="button" className="inspector-add" onClick={() => setRules([...rules, { ...emptyRule }])}>
+          ➕ Add rule
+        </button>
+
+        {saveError && <p className="inspector-error save-error">❌ {saveError}</p>}
+
+        <div className="inspector-actions">
+          <button type="submit" className="inspector-save" disabled={!canSave}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button type="button" className="inspector-cancel" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+        <button type="button" className="inspector-remove" onClick={() => onRemove(connection)}>
+          🔌 Remove connection
+        </button>
+      </form>
+    </aside>
+  );
+};
+
+export default ConnectionInspector;
@@ -0,0 +1,264 @@
+import React, { useEffect, useState } from 'react';
+import { formatQuantity } from '../format';
+import { cidrContains, cidrError, cpuError, ipError, sizeError } from '../inputValidation';
+import './DeviceInspector.css';
+
+// Links of a router as inspector rows: the router's address on each link and the
+// link subnet. Subnets of switched segments belong to the switch.
+const routerLinks = (device, devices, connections) =>
+  connections
+    .filter((conn) => conn.from === device.id || conn.to === device.id)
+    .map((conn, index) => {
+      const peerId = conn.from === device.id ? conn.to : conn.from;
+      const peer = devices.find((d) => d.id === peerId);
+      return {
+        interfaceName: `eth${index + 1}`,
+        peerId,
+        switched: peer?.type === 'switch',
+        ip: (conn.from === device.id ? conn.fromRouterIP : conn.toRouterIP) || '',
+        subnet: conn.subnet || '',
+      };
+    });
+
+const initialValues = (device, devices, connections) => {
+  const zone = device.zone || '';
+  if (device.type === 'vm') {
+    return {
+      cpu: device.cpu ? String(device.cpu) : '',
+      memory: formatQuantity(device.memory),
+      storage: formatQuantity(device.storage),
+      ip: device.ip || '',
+      zone,
+    };
+  }
+  if (device.type === 'switch') {
+    return { subnet: device.subnet || '', zone };
+  }
+  return { links: routerLinks(device, devices, connections), zone };
+};
+
+// Field -> message for every value that the backend would reject
+const validate = (device, values, devices) => {
+  const errors = {};
+  const check = (field, value, checker) => {
+    if (value.trim()) {
+      const error = checker(value);
+      if (error) errors[field] = error;
+    }
+  };
+
+  if (device.type === 'vm') {
+    check('cpu', values.cpu, cpuError);
+    check('memory', values.memory, sizeError);
+    check('storage', values.storage, sizeError);
+    check('ip', values.ip, ipError);
+    const owner = values.ip.trim() && devices.find((d) => d.id !== device.id && d.ip === values.ip.trim());
+    if (!errors.ip && owner) errors.ip = `Already assigned to ${owner.id}`;
+  } else if (device.type === 'switch') {
+    check('subnet', values.subnet, cidrError);
+  } else {
+    values.links.forEach((link, index) => {
+      check(`ip-${index}`, link.ip, ipError);
+      check(`subnet-${index}`, link.subnet, cidrError);
+      if (!errors[`ip-${index}`] && !errors[`subnet-${index}`] && link.ip.trim() && link.subnet.trim() &&
+          !cidrContains(link.subnet, link.ip)) {
+        errors[`ip-${index}`] = `Not inside ${link.subnet.trim()}`;
+      }
+      const duplicate = values.links.findIndex((other) => other.ip.trim() && other.ip.trim() === link.ip.trim());
+      if (!errors[`ip-${index}`] && duplicate !== index && duplicate !== -1) {
+        errors[`ip-${index}`] = `Also used on ${values.links[duplicate].interfaceName}`;
+      }
+    });
+  }
+  return errors;
+};
+
+// What Save sends: { device } fields for PUT /devices/:id and { links } for
+// PUT /connections, each with the matching values to restore on undo. An empty zone
+// takes the device out of its zone.
+const pendingChanges = (device, values, initial) => {
+  if (device.type !== 'router') {
+    const fields = Object.keys(values).filter((field) => values[field].trim() !== initial[field]);
+    if (fields.length === 0) return null;
+    return {
+      changes: { device: Object.fromEntries(fields.map((field) => [field, values[field].trim()])), links: [] },
+      previous: { device: Object.fromEntries(fields.map((field) => [field, initial[field]])), links: [] },
+    };
+  }
+
+  const changed = values.links.filter(
+    (link, index) => link.ip.trim() !== initial.links[index].ip || link.subnet.trim() !== initial.links[index].subnet
+  );
+  const zoneChanged = values.zone !== initial.zone;
+  if (changed.length === 0 && !zoneChanged) return null;
+  const linkBody = (link) => ({
+    peerId: link.peerId,
+    ip: link.ip.trim(),
+    // Left out for switch ports, the switch owns that subnet
+    ...(link.switched ? {} : { subnet: link.subnet.trim() }),
+  });
+  return {
+    changes: { device: zoneChanged ? { zone: values.zone } : null, links: changed.map(linkBody) },
+    previous: {
+      device: zoneChanged ? { zone: initial.zone } : null,
+      links: changed.map((link) => linkBody(initial.links.find((original) => original.peerId === link.peerId))),
+    },
+  };
+};
+
+const DeviceInspector = ({ device, devices, connections, zones, onSave, onClose }) => {
+  const initial = initialValues(device, devices, connections);
+  // Reset the form whenever the stored values change, e.g. after Save or an undo
+  const signature = JSON.stringify(initial);
+  const [values, setValues] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    setValues(JSON.parse(signature));
+    setSaveError(null);
+  }, [signature]);
+
+  const errors = validate(device, values, devices);
+  const pending = pendingChanges(device, values, initial);
+  const canSave = pending && Object.keys(errors).length === 0 && !saving;
+
+  const setField = (field) => (e) => setValues({ ...values, [field]: e.target.value });
+  const setLinkField = (index, field) => (e) =>
+    setValues({
+      ...values,
+      links: values.links.map((link, i) => (i === index ? { ...link, [field]: e.target.value } : link)),
+    });
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(device.id, pending.changes, pending.previous);
+    } catch (error) {
+      setSaveError(error.response?.data?.error || error.message);
+    }
+    setSaving(false);
+  };
+
+  const field = (name, label, placeholder) => (
+    <label className="inspector-field">
+      <span>{label}</span>
+      <input
+        type="text"
+        value={values[name]}
+        placeholder={placeholder}
+        onChange={setField(name)}
+        className={errors[name] ? 'invalid' : ''}
+      />
+      {errors[name] && <span className="inspector-error">{errors[name]}</span>}
+    </label>
+  );
+
+  return (
+    <aside className="device-inspector">
+      <div className="inspector-header">
+        <h3>
+          ⚙️ {device.id} <span className="inspector-type">{device.type}</span>
+        </h3>
+        <button type="button" className="inspector-close" onClick={onClose} title="Close without saving">
+          ✕
+        </button>
+      </div>
+
+      <form onSubmit={save}>
+        {device.type === 'vm' && (
+          <>
+            {field('cpu', 'CPU cores', '1 (default)')}
+            {field('memory', 'Memory', '2Gi (default)')}
+            {field('storage', 'Storage', '10Gi (default)')}
+            {field('ip', 'IP address', 'auto-assigned')}
+          </>
+        )}
+
+        {device.type === 'switch' && field('subnet', 'Segment subnet', 'derived from the devices')}
+
+        {device.type === 'router' &&
+          (values.links.length === 0 ? (
+            <p className="inspector-hint">Connect this router to configure its interfaces.</p>
+          ) : (
+            <table className="inspector-interfaces">
+              <thead>
+                <tr>
+                  <th>Interface</th>
+                  <th>IP address</th>
+                  <th>Link subnet</th>
+                </tr>
+              </thead>
+              <tbody>
+                {values.links.map((link, index) => (
+                  <tr key={link.peerId}>
+                    <td>
+                      {link.interfaceName}
+                      <span className="inspector-peer">→ {link.peerId}</span>
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={link.ip}
+                        placeholder="auto"
+                        onChange={setLinkField(index, 'ip')}
+                        className={errors[`ip-${index}`] ? 'invalid' : ''}
+                      />
+                      {errors[`ip-${index}`] && <span className="inspector-error">{errors[`ip-${index}`]}</span>}
+                    </td>
+                    <td>
+                      {link.switched ? (
+                        <span className="inspector-hint">set on {link.peerId}</span>
+                      ) : (
+                        <>
+                          <input
+                            type="text"
+                            value={link.subnet}
+                            placeholder="auto"
+                            onChange={setLinkField(index, 'subnet')}
+                            className={errors[`subnet-${index}`] ? 'invalid' : ''}
+                          />
+                          {errors[`subnet-${index}`] && (
+                            <span className="inspector-error">{errors[`subnet-${index}`]}</span>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ))}
+
+        <label className="inspector-field">
+          <span>Zone</span>
+          <select value={values.zone} onChange={setField('zone')}>
+            <option value="">No zone</option>
+            {zones.map((zone) => (
+              <option key={zone.name} value={zone.name}>
+                {zone.name}
+                {zone.namespace ? ` (${zone.namespace})` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {saveError && <p className="inspector-error save-error">❌ {saveError}</p>}
+
+        <div className="inspector-actions">
+          <button type="submit" className="inspector-save" disabled={!canSave}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button type="button" className="inspector-cancel" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </aside>
+  );
+};
+
+export default DeviceInspector;
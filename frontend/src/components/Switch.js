@@ -0,0 +1,35 @@
+import React from 'react';
+import './Device.css';
+
+const Switch = ({ onDragStart, id, isInInventory, ports, subnet }) => {
+  return (
+    <div
+      className="device switch"
+      draggable={isInInventory}
+      onDragStart={isInInventory ? onDragStart : null}
+    >
+      {isInInventory ? (
+        'Switch'
+      ) : (
+        <>
+          <div>{id}</div>
+          <div className="details switch-details">
+            <div><strong>Shared segment:</strong></div>
+            {subnet && <div>Subnet: {subnet}</div>}
+            {ports && ports.length > 0 ? (
+              ports.map((deviceId, index) => (
+                <div key={deviceId} className="switch-port">
+                  port{index + 1} → {deviceId}
+                </div>
+              ))
+            ) : (
+              <div>No devices attached</div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Switch;
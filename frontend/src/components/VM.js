@@ -1,4 +1,5 @@
 import React from 'react';
+import { formatCPU, formatMebibytes } from '../format';
 import './Device.css';
 
 const VM = ({ onDragStart, id, isInInventory, cpu, memory, storage, ip }) => {
@@ -14,9 +15,9 @@ const VM = ({ onDragStart, id, isInInventory, cpu, memory, storage, ip }) => {
         <>
           <div>{id}</div>
           <div className="details">
-            <div>CPU: {cpu}</div>
-            <div>Memory: {memory}</div>
-            <div>Storage: {storage}</div>
+            <div>CPU: {formatCPU(cpu)}</div>
+            <div>Memory: {formatMebibytes(memory)}</div>
+            <div>Storage: {formatMebibytes(storage)}</div>
             {ip && <div>IP: {ip}</div>}
           </div>
         </>
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { dnsLabelError } from '../inputValidation';
+import './DeviceInspector.css';
+
+// Field -> message for every value that the backend would reject
+const validate = (values, zone, zones) => {
+  const errors = {};
+  if (!values.name.trim()) {
+    errors.name = 'A zone needs a name';
+  } else if (dnsLabelError(values.name)) {
+    errors.name = dnsLabelError(values.name);
+  } else if (zones.some((other) => other.name === values.name.trim() && other.name !== zone?.name)) {
+    errors.name = `Zone ${values.name.trim()} already exists`;
+  }
+  if (values.namespace.trim() && dnsLabelError(values.namespace)) {
+    errors.namespace = dnsLabelError(values.namespace);
+  }
+  return errors;
+};
+
+// Creates a zone from the Shift+clicked devices, or renames zone and changes its namespace
+const ZoneInspector = ({ zone, devices, zones, onSave, onClose }) => {
+  const [values, setValues] = useState({ name: zone?.name || '', namespace: zone?.namespace || '' });
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const errors = validate(values, zone, zones);
+  const changed = !zone || values.name.trim() !== zone.name || values.namespace.trim() !== (zone.namespace || '');
+  const canSave = changed && Object.keys(errors).length === 0 && !saving;
+
+  const setField = (field) => (e) => setValues({ ...values, [field]: e.target.value });
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSave({ name: values.name.trim(), namespace: values.namespace.trim() });
+    } catch (error) {
+      setSaveError(error.response?.data?.error || error.message);
+      setSaving(false);
+    }
+  };
+
+  const field = (name, label, placeholder) => (
+    <label className="inspector-field">
+      <span>{label}</span>
+      <input
+        type="text"
+        value={values[name]}
+        placeholder={placeholder}
+        onChange={setField(name)}
+        className={errors[name] ? 'invalid' : ''}
+      />
+      {errors[name] && <span className="inspector-error">{errors[name]}</span>}
+    </label>
+  );
+
+  return (
+    <aside className="device-inspector">
+      <div className="inspector-header">
+        <h3>
+          🗂️ {zone ? zone.name : 'New zone'} <span className="inspector-type">zone</span>
+        </h3>
+        <button type="button" className="inspector-close" onClick={onClose} title="Close without saving">
+          ✕
+        </button>
+      </div>
+
+      <p className="inspector-hint">Devices: {devices.length > 0 ? devices.join(', ') : 'none'}</p>
+
+      <form onSubmit={save}>
+        {field('name', 'Name', 'e.g. dmz')}
+        {field('namespace', 'Namespace', 'the design namespace')}
+
+        {saveError && <p className="inspector-error save-error">❌ {saveError}</p>}
+
+        <div className="inspector-actions">
+          <button type="submit" className="inspector-save" disabled={!canSave}>
+            {saving ? 'Saving...' : zone ? 'Save' : 'Create zone'}
+          </button>
+          <button type="button" className="inspector-cancel" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </aside>
+  );
+};
+
+export default ZoneInspector;
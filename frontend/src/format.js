@@ -0,0 +1,15 @@
+// Display helpers for the canonical values the backend stores
+
+// Memory and storage come from the backend in MiB
+export const formatMebibytes = (mebibytes) => {
+  if (typeof mebibytes !== 'number') return mebibytes || '-';
+  return mebibytes % 1024 === 0 ? `${mebibytes / 1024} GiB` : `${mebibytes} MiB`;
+};
+
+export const formatCPU = (cpu) => (typeof cpu === 'number' ? `${cpu} vCPU` : cpu || '-');
+
+// MiB -> the quantity the inspector form starts with, "2Gi" or "1536Mi"
+export const formatQuantity = (mebibytes) => {
+  if (typeof mebibytes !== 'number') return mebibytes || '';
+  return mebibytes % 1024 === 0 ? `${mebibytes / 1024}Gi` : `${mebibytes}Mi`;
+};
@@ -0,0 +1,79 @@
+// Inline checks for the device inspector, mirroring what the backend accepts.
+// Each check returns an error message or null; blank values are left to the caller.
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const CPU_PATTERN = /^(\d+)\s*(?:v?cpus?|cores?)?$/i;
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i;
+const DNS_LABEL_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const SIZE_UNITS = ['', 'ki', 'kib', 'mi', 'mib', 'mb', 'gi', 'gib', 'gb', 'ti', 'tib', 'tb', 'k', 'm', 'g', 't'];
+
+// "10.0.0.1" -> 167772161, null when it is not an IPv4 address
+export const parseIPv4 = (value) => {
+  const match = IPV4_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+  const octets = match.slice(1, 5).map(Number);
+  if (octets.some((octet) => octet > 255)) return null;
+  return octets.reduce((acc, octet) => acc * 256 + octet, 0);
+};
+
+export const cpuError = (value) => {
+  const match = CPU_PATTERN.exec(value.trim());
+  return match && Number(match[1]) > 0 ? null : 'Use a whole number of cores, e.g. 2 or "2 vCPU"';
+};
+
+// A lowercase m means milli in Kubernetes, the backend refuses it
+export const sizeError = (value) => {
+  const match = SIZE_PATTERN.exec(value.trim());
+  if (match && match[2] === 'm') return `A lowercase m means milli, use ${match[1]}M or ${match[1]}Mi`;
+  return match && SIZE_UNITS.includes(match[2].toLowerCase()) && Number(match[1]) > 0
+    ? null
+    : 'Use a size such as 2Gi, 2GB or 2048Mi';
+};
+
+export const ipError = (value) => (parseIPv4(value) === null ? `Invalid IP address: ${value.trim()}` : null);
+
+export const cidrError = (value) => {
+  const [address, prefix, extra] = value.trim().split('/');
+  const network = parseIPv4(address);
+  if (network === null || extra !== undefined || !/^\d{1,2}$/.test(prefix || '') || Number(prefix) > 32) {
+    return 'Use the form 10.0.0.0/24';
+  }
+  if (network % 2 ** (32 - Number(prefix)) !== 0) {
+    return 'Host bits are set, use the network address';
+  }
+  return null;
+};
+
+// Expects a valid CIDR and IP
+export const cidrContains = (cidr, ip) => {
+  const [address, prefix] = cidr.trim().split('/');
+  const blockSize = 2 ** (32 - Number(prefix));
+  const network = parseIPv4(address);
+  const value = parseIPv4(ip);
+  return value >= network && value < network + blockSize;
+};
+
+// Firewall rule ports: "443" or "8000-8080", for tcp and udp only
+export const portsError = (value, protocol) => {
+  if (protocol !== 'tcp' && protocol !== 'udp') return `Ports need protocol tcp or udp, not ${protocol}`;
+  const match = /^(\d{1,5})(?:-(\d{1,5}))?$/.exec(value.trim());
+  const start = match && Number(match[1]);
+  const end = match && (match[2] === undefined ? start : Number(match[2]));
+  return match && start >= 1 && end <= 65535 && start <= end ? null : 'Use a port such as 443 or a range such as 8000-8080';
+};
+
+// Firewall rule source or destination: an IP address, a CIDR or one of deviceIds
+export const endpointError = (value, deviceIds) => {
+  const trimmed = value.trim();
+  if (trimmed.includes('/')) return cidrError(trimmed);
+  if (parseIPv4(trimmed) !== null || deviceIds.includes(trimmed)) return null;
+  return 'Use an IP address, a CIDR or a device ID';
+};
+
+// Zone names and namespaces follow the Kubernetes namespace rules
+export const dnsLabelError = (value) => {
+  const trimmed = value.trim();
+  return trimmed.length <= 63 && DNS_LABEL_PATTERN.test(trimmed)
+    ? null
+    : "Use lowercase letters, digits and '-' (max 63 characters)";
+};